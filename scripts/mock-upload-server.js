@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+
+/**
+ * LeepiAI Mock Upload Server
+ *
+ * Implements the resumable upload endpoints used by ApiService.uploadRawAudioArrays and the
+ * live session endpoints used while recording, so chunked uploads, checksums, resuming and
+ * live segment uploads can be tried without the real backend.
+ *
+ * Usage: PORT=3001 FAIL_RATE=0.2 node scripts/mock-upload-server.js
+ *   PORT       - port to listen on (default 3001, the development backend URL)
+ *   CHUNK_SIZE - chunk size in bytes handed to clients (default 256KB)
+ *   FAIL_RATE  - fraction of chunk requests dropped to simulate a flaky network (default 0)
+ *   RESUMABLE  - set to 0 to answer upload sessions with 404, like a backend without them,
+ *                so clients fall back to the single-request upload-segmented-dual endpoint
+ *
+ * Tests create their own instance with createMockUploadServer(options).
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PORT || '3001', 10);
+const CHUNK_SIZE = parseInt(process.env.CHUNK_SIZE || String(256 * 1024), 10);
+const FAIL_RATE = parseFloat(process.env.FAIL_RATE || '0');
+const RESUMABLE = process.env.RESUMABLE !== '0';
+// How long a live segment takes to "transcribe"
+const LIVE_TRANSCRIBE_DELAY = 4000;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function getReceivedChunks(session) {
+  const received = {};
+  session.chunks.forEach((chunks, fileKey) => {
+    received[fileKey] = Array.from(chunks.keys()).sort((a, b) => a - b);
+  });
+  return received;
+}
+
+async function handleRequest(server, req, res) {
+  const { sessions, options } = server;
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const parts = url.pathname.split('/').filter(Boolean);
+
+  if (req.method === 'GET' && url.pathname === '/health') {
+    return sendJson(res, 200, { status: 'ok', mock: true });
+  }
+
+  if (parts[0] === 'api' && parts[1] === 'audio' && parts[2] === 'live-sessions') {
+    return handleLiveRequest(server, req, res, parts);
+  }
+
+  // POST /api/audio/upload-segmented-dual - the single-request upload
+  if (req.method === 'POST' && url.pathname === '/api/audio/upload-segmented-dual') {
+    return handleSingleUpload(req, res);
+  }
+
+  if (parts[0] !== 'api' || parts[1] !== 'audio' || parts[2] !== 'upload-sessions' || !options.resumable) {
+    return sendJson(res, 404, { success: false, error: 'Not found' });
+  }
+
+  const [, , , uploadSessionId, action, fileKey, chunkIndex] = parts;
+
+  // POST /api/audio/upload-sessions
+  if (req.method === 'POST' && !uploadSessionId) {
+    const { files, metadata } = JSON.parse((await readBody(req)).toString() || '{}');
+    if (!Array.isArray(files) || files.length === 0) {
+      return sendJson(res, 400, { success: false, error: 'No files declared' });
+    }
+
+    const id = `upload_${crypto.randomBytes(8).toString('hex')}`;
+    sessions.set(id, { files, metadata, chunks: new Map() });
+    console.log(`📦 Session ${id}: ${files.length} files`);
+    return sendJson(res, 201, { success: true, uploadSessionId: id, chunkSize: options.chunkSize });
+  }
+
+  const session = sessions.get(uploadSessionId);
+  if (!session) {
+    return sendJson(res, 404, { success: false, error: 'Upload session not found' });
+  }
+
+  // GET /api/audio/upload-sessions/:id
+  if (req.method === 'GET' && !action) {
+    return sendJson(res, 200, { success: true, chunkSize: options.chunkSize, receivedChunks: getReceivedChunks(session) });
+  }
+
+  // PUT /api/audio/upload-sessions/:id/chunks/:fileKey/:chunkIndex
+  if (req.method === 'PUT' && action === 'chunks') {
+    if (options.random() < options.failRate) {
+      console.log(`💥 Dropping chunk ${chunkIndex} of ${fileKey}`);
+      return req.socket.destroy();
+    }
+
+    if (!session.files.some(file => file.key === fileKey)) {
+      return sendJson(res, 400, { success: false, error: `Unknown file ${fileKey}` });
+    }
+
+    const body = await readBody(req);
+    const checksum = crypto.createHash('sha256').update(body).digest('hex');
+    if (checksum !== req.headers['x-chunk-checksum']) {
+      return sendJson(res, 409, { success: false, error: 'Checksum mismatch' });
+    }
+
+    if (!session.chunks.has(fileKey)) session.chunks.set(fileKey, new Map());
+    session.chunks.get(fileKey).set(parseInt(chunkIndex, 10), body);
+    return sendJson(res, 200, { success: true });
+  }
+
+  // POST /api/audio/upload-sessions/:id/complete
+  if (req.method === 'POST' && action === 'complete') {
+    for (const file of session.files) {
+      const expected = Math.max(1, Math.ceil(file.size / options.chunkSize));
+      const chunks = session.chunks.get(file.key) || new Map();
+      const size = Array.from(chunks.values()).reduce((sum, chunk) => sum + chunk.length, 0);
+
+      if (chunks.size !== expected || size !== file.size) {
+        return sendJson(res, 400, { success: false, error: `File ${file.key} is incomplete (${chunks.size}/${expected} chunks)` });
+      }
+    }
+
+    sessions.delete(uploadSessionId);
+    console.log(`✅ Session ${uploadSessionId} complete`);
+    return sendJson(res, 200, {
+      success: true,
+      transcript: {
+        id: `mock_${Date.now()}`,
+        title: 'Mock Transcript',
+        content: `Interviewer: Received ${session.files.length} files from the mock upload server.`,
+        createdAt: new Date().toISOString()
+      }
+    });
+  }
+
+  return sendJson(res, 404, { success: false, error: 'Not found' });
+}
+
+// Value of a plain text field in a multipart body - good enough for the fields ApiService sends
+function getMultipartField(body, name) {
+  const match = body.toString('latin1').match(new RegExp(`name="${name}"\\r\\n\\r\\n([^\\r]*)\\r\\n`));
+  return match ? match[1] : null;
+}
+
+// Count of files sent under a multipart field name
+function countMultipartFiles(body, name) {
+  return (body.toString('latin1').match(new RegExp(`name="${name}"; filename=`, 'g')) || []).length;
+}
+
+async function handleSingleUpload(req, res) {
+  const body = await readBody(req);
+  const microphoneCount = countMultipartFiles(body, 'microphone');
+  const systemCount = countMultipartFiles(body, 'system');
+
+  if (microphoneCount === 0) {
+    return sendJson(res, 400, { success: false, error: 'No microphone files' });
+  }
+
+  console.log(`📦 Single upload: ${microphoneCount} microphone and ${systemCount} system files`);
+  return sendJson(res, 200, {
+    success: true,
+    transcript: {
+      id: `mock_${Date.now()}`,
+      title: 'Mock Transcript',
+      content: `Interviewer: Received ${microphoneCount + systemCount} files from the mock upload server.`,
+      createdAt: new Date().toISOString()
+    }
+  });
+}
+
+async function handleLiveRequest(server, req, res, parts) {
+  const { liveSessions, options } = server;
+  const [, , , sessionId, action] = parts;
+
+  // POST /api/audio/live-sessions/:sessionId/segments
+  if (req.method === 'POST' && action === 'segments') {
+    if (options.random() < options.failRate) {
+      console.log(`💥 Dropping live segment of ${sessionId}`);
+      return req.socket.destroy();
+    }
+
+    const body = await readBody(req);
+    const segmentId = getMultipartField(body, 'segmentId');
+    if (!segmentId) {
+      return sendJson(res, 400, { success: false, error: 'Missing segmentId' });
+    }
+
+    if (!liveSessions.has(sessionId)) liveSessions.set(sessionId, new Map());
+    liveSessions.get(sessionId).set(segmentId, {
+      bytes: body.length,
+      duration: parseFloat(getMultipartField(body, 'duration') || '0'),
+      hasSystem: body.includes('name="system"'),
+      uploadedAt: Date.now()
+    });
+    console.log(`📡 Live segment ${segmentId} (${body.length} bytes)`);
+    return sendJson(res, 200, { success: true, segmentId });
+  }
+
+  // GET /api/audio/live-sessions/:sessionId/transcript - each segment takes a few seconds to "transcribe"
+  if (req.method === 'GET' && action === 'transcript') {
+    const segments = Array.from((liveSessions.get(sessionId) || new Map()).entries()).map(([segmentId, segment]) => {
+      const age = Date.now() - segment.uploadedAt;
+      if (age < LIVE_TRANSCRIBE_DELAY / 2) return { segmentId, status: 'queued', lines: [] };
+      if (age < LIVE_TRANSCRIBE_DELAY) return { segmentId, status: 'processing', lines: [] };
+
+      const microphoneText = `Mock microphone text for ${segmentId}.`;
+      const systemText = segment.hasSystem ? `Mock system audio text for ${segmentId}.` : '';
+      return {
+        segmentId,
+        status: 'completed',
+        microphoneText,
+        systemText,
+        lines: [
+          { speaker: 'Interviewer', text: microphoneText },
+          ...(systemText ? [{ speaker: 'Candidate', text: systemText }] : [])
+        ]
+      };
+    });
+
+    return sendJson(res, 200, { success: true, segments });
+  }
+
+  // POST /api/audio/live-sessions/:sessionId/complete
+  if (req.method === 'POST' && action === 'complete') {
+    const { segmentIds = [] } = JSON.parse((await readBody(req)).toString() || '{}');
+    const segments = liveSessions.get(sessionId) || new Map();
+    const missing = segmentIds.filter(segmentId => !segments.has(segmentId));
+
+    if (missing.length > 0) {
+      return sendJson(res, 400, { success: false, error: `Segments not uploaded: ${missing.join(', ')}` });
+    }
+
+    liveSessions.delete(sessionId);
+    console.log(`✅ Live session ${sessionId} complete`);
+    return sendJson(res, 200, {
+      success: true,
+      transcript: {
+        id: `mock_${Date.now()}`,
+        title: 'Mock Live Transcript',
+        content: `Interviewer: Received ${segmentIds.length} live segments from the mock upload server.`,
+        createdAt: new Date().toISOString()
+      }
+    });
+  }
+
+  return sendJson(res, 404, { success: false, error: 'Not found' });
+}
+
+/**
+ * A mock server instance with its own upload sessions - call listen() on it
+ * @param {Object} options - { chunkSize, failRate, resumable, random }, defaults from the environment;
+ *   random decides which requests are dropped (Math.random by default)
+ */
+function createMockUploadServer(options = {}) {
+  const server = http.createServer((req, res) => {
+    // The renderer runs on another origin in development
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-Chunk-Checksum, X-Total-Chunks');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      return res.end();
+    }
+
+    handleRequest(server, req, res).catch(error => {
+      console.error('❌ Request failed:', error);
+      sendJson(res, 500, { success: false, error: error.message });
+    });
+  });
+
+  server.options = {
+    chunkSize: CHUNK_SIZE,
+    failRate: FAIL_RATE,
+    resumable: RESUMABLE,
+    random: Math.random,
+    ...options
+  };
+  // uploadSessionId -> { files, metadata, chunks: Map(fileKey -> Map(chunkIndex -> Buffer)) }
+  server.sessions = new Map();
+  // recording sessionId -> Map(segmentId -> { bytes, duration, hasSystem, uploadedAt })
+  server.liveSessions = new Map();
+
+  return server;
+}
+
+if (require.main === module) {
+  createMockUploadServer().listen(PORT, () => {
+    console.log(`🧪 Mock upload server listening on http://localhost:${PORT} (chunk size ${CHUNK_SIZE}, fail rate ${FAIL_RATE}${RESUMABLE ? '' : ', no upload sessions'})`);
+  });
+}
+
+module.exports = { createMockUploadServer };
@@ -5,6 +5,8 @@ import LoginScreen from './components/LoginScreen';
 import MainInterface from './components/MainInterface';
 import LoadingScreen from './components/LoadingScreen';
 import apiService from './services/ApiService';
+import StorageEncryptionService from './services/StorageEncryptionService';
+import PromptLibraryService from './services/PromptLibraryService';
 
 /**
  * Main Application Component
@@ -214,12 +216,21 @@ function App() {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [backendStatus, setBackendStatus] = useState({ available: false, checking: true });
+  const [offlineMode, setOfflineMode] = useState(false);
 
   // Check authentication status and backend connectivity on app start
   useEffect(() => {
     initializeApp();
   }, []);
 
+  // Main confirms the signed-in user before handing out the key for their offline recordings
+  useEffect(() => {
+    if (user) {
+      StorageEncryptionService.startSession()
+        .catch(error => console.warn('⚠️ Offline recordings key not available:', error.message));
+    }
+  }, [user]);
+
   const initializeApp = async () => {
     try {
       setLoading(true);
@@ -301,13 +312,18 @@ function App() {
 
   const handleLogout = async () => {
     try {
+      // Offline recording keys shouldn't outlive the session
+      await StorageEncryptionService.endSession();
+      PromptLibraryService.clearLocalCopy();
       await apiService.logout();
       setUser(null);
+      setOfflineMode(false);
       setSuccess('Logged out successfully');
     } catch (error) {
       console.error('Logout error:', error);
       // Force logout even if API call fails
       setUser(null);
+      setOfflineMode(false);
     }
   };
 
@@ -325,9 +341,19 @@ function App() {
   };
 
   const retryConnection = () => {
+    setOfflineMode(false);
     initializeApp();
   };
 
+  // Browse cached transcripts as the last signed-in user while the backend is down
+  const cachedUser = apiService.getCachedUser();
+
+  const browseOffline = () => {
+    setUser(cachedUser);
+    setOfflineMode(true);
+    setError('');
+  };
+
   if (loading) {
     return (
       <ThemeProvider theme={darkTheme}>
@@ -340,7 +366,7 @@ function App() {
   }
 
   // Show backend connection error
-  if (!backendStatus.available) {
+  if (!backendStatus.available && !offlineMode) {
     return (
       <ThemeProvider theme={darkTheme}>
         <CssBaseline />
@@ -380,6 +406,15 @@ function App() {
               >
                 Retry Connection
               </Button>
+              {cachedUser && (
+                <Button 
+                  variant="outlined" 
+                  onClick={browseOffline}
+                  size="large"
+                >
+                  Browse Offline
+                </Button>
+              )}
               <Button 
                 variant="outlined" 
                 onClick={() => window.electronAPI?.system.openExternal('http://localhost:3001')}
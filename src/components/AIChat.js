@@ -9,6 +9,7 @@ import {
   Chip,
   CircularProgress,
   Button,
+  Tooltip,
 } from '@mui/material';
 import {
   Send,
@@ -17,18 +18,56 @@ import {
   Clear,
   AutoAwesome,
   Refresh,
+  Stop,
+  FormatQuote,
+  CompareArrows,
+  Business,
+  LibraryBooks,
 } from '@mui/icons-material';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import apiService from '../services/ApiService';
+import PromptLibraryService, { DEFAULT_PROMPTS } from '../services/PromptLibraryService';
+import PromptLibraryDialog from './PromptLibraryDialog';
 
-function AIChat({ transcript, onError, onSuccess }) {
+/**
+ * Chip label for a citation: its time in the recording, or the line number
+ */
+const formatCitation = (citation) => {
+  if (citation.startTime !== null) {
+    const minutes = Math.floor(citation.startTime / 60);
+    const seconds = Math.floor(citation.startTime % 60);
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  }
+  if (citation.segmentIndex !== null) {
+    return `Line ${citation.segmentIndex + 1}`;
+  }
+  return 'Interview';
+};
+
+const COMPARE_WELCOME = `I'm ready to compare these interviews. Ask about how the candidates handled the same questions, their strengths, or concerns - I'll say which interview each point comes from.`;
+
+/**
+ * Chat about the selected transcript, or about several at once (comparedTranscripts)
+ */
+function AIChat({ transcript, comparedTranscripts = null, onExitCompare, onError, onSuccess, onCitationClick }) {
   const [messages, setMessages] = useState([]);
   const [inputValue, setInputValue] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [showRawMarkdown, setShowRawMarkdown] = useState(false);
+  // Quick questions: the user's prompt library and the organisation templates
+  const [prompts, setPrompts] = useState(DEFAULT_PROMPTS);
+  const [promptTemplates, setPromptTemplates] = useState([]);
+  const [showPromptLibrary, setShowPromptLibrary] = useState(false);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  // Aborts the answer being streamed (Stop button)
+  const abortControllerRef = useRef(null);
+  // Backend conversation of a multi-transcript chat
+  const compareSessionIdRef = useRef(null);
+
+  const isComparing = comparedTranscripts?.length > 1;
+  const chatScopeKey = isComparing ? comparedTranscripts.map(t => t.id).join(',') : transcript?.id;
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -38,12 +77,49 @@ function AIChat({ transcript, onError, onSuccess }) {
     scrollToBottom();
   }, [messages]);
 
+  useEffect(() => {
+    const loadPrompts = async () => {
+      const [library, templates] = await Promise.all([
+        PromptLibraryService.getPrompts(),
+        PromptLibraryService.getTemplates()
+      ]);
+      setPrompts(library);
+      setPromptTemplates(templates);
+    };
+    loadPrompts();
+  }, []);
+
   useEffect(() => {
     // Load existing chat history and add welcome message when transcript changes
-    if (transcript) {
+    if (isComparing) {
+      startCompareSession();
+    } else if (transcript) {
       loadChatHistory();
     }
-  }, [transcript?.id]);
+
+    // Don't keep streaming an answer for a transcript that is no longer shown
+    return () => abortControllerRef.current?.abort();
+  }, [chatScopeKey]);
+
+  // Multi-transcript chats start empty - the backend has no history for them
+  const startCompareSession = (content = COMPARE_WELCOME) => {
+    compareSessionIdRef.current = null;
+    setMessages([{
+      id: 'welcome',
+      role: 'assistant',
+      content,
+      timestamp: new Date().toISOString()
+    }]);
+  };
+
+  // "#2 Title" - which of the compared interviews a citation comes from
+  const getInterviewLabel = (transcriptId) => {
+    const index = (comparedTranscripts || []).findIndex(t => t.id === transcriptId);
+    if (index < 0) return null;
+
+    const title = comparedTranscripts[index].title || 'Interview';
+    return `#${index + 1} ${title.length > 24 ? `${title.substring(0, 24)}…` : title}`;
+  };
 
   const loadChatHistory = async () => {
     try {
@@ -55,6 +131,8 @@ function AIChat({ transcript, onError, onSuccess }) {
           id: `history_${index}`,
           role: msg.role,
           content: msg.content,
+          citations: msg.citations ? apiService.normalizeChatResponse({ success: true, citations: msg.citations }).citations : [],
+          stopped: !!msg.stopped,
           timestamp: msg.timestamp || new Date().toISOString()
         }));
         
@@ -100,32 +178,91 @@ function AIChat({ transcript, onError, onSuccess }) {
       timestamp: new Date().toISOString()
     };
 
-    setMessages(prev => [...prev, userMessage]);
+    // The answer is filled in as it streams
+    const assistantId = (Date.now() + 1).toString();
+    const assistantMessage = {
+      id: assistantId,
+      role: 'assistant',
+      content: '',
+      streaming: true,
+      timestamp: new Date().toISOString()
+    };
+    const updateAssistantMessage = (changes) => {
+      setMessages(prev => prev.map(message => (message.id === assistantId ? { ...message, ...changes } : message)));
+    };
+
+    setMessages(prev => [...prev, userMessage, assistantMessage]);
     setInputValue('');
     setIsLoading(true);
 
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
     try {
-      const result = await apiService.chatWithTranscript(transcript.id, userMessage.content, true);
+      const onToken = (text, answer) => updateAssistantMessage({ content: answer });
+      let result;
 
-      if (result.success) {
-        const assistantMessage = {
-          id: (Date.now() + 1).toString(),
-          role: 'assistant',
-          content: result.response,
-          timestamp: new Date().toISOString()
-        };
+      if (isComparing) {
+        const transcriptIds = comparedTranscripts.map(t => t.id);
+        result = await apiService.streamChatWithTranscripts(transcriptIds, userMessage.content, {
+          sessionId: compareSessionIdRef.current,
+          signal: abortController.signal,
+          onToken
+        });
+
+        if (result.unsupported) {
+          result = await apiService.chatWithTranscripts(transcriptIds, userMessage.content, compareSessionIdRef.current, {
+            signal: abortController.signal
+          });
+        }
+        if (result.sessionId) {
+          compareSessionIdRef.current = result.sessionId;
+        }
+      } else {
+        result = await apiService.streamChatWithTranscript(transcript.id, userMessage.content, {
+          saveToHistory: true,
+          signal: abortController.signal,
+          onToken
+        });
+
+        if (result.unsupported) {
+          result = await apiService.chatWithTranscript(transcript.id, userMessage.content, true, {
+            signal: abortController.signal
+          });
+        }
+      }
 
-        setMessages(prev => [...prev, assistantMessage]);
+      if (result.success && result.stopped && !result.response) {
+        // Stopped before the first token - there's no answer to show
+        setMessages(prev => prev.filter(message => message.id !== assistantId));
+      } else if (result.success) {
+        updateAssistantMessage({
+          content: result.response,
+          citations: result.citations || [],
+          streaming: false,
+          stopped: !!result.stopped
+        });
+      } else if (result.response) {
+        // Keep what arrived before the failure
+        updateAssistantMessage({ streaming: false, stopped: true });
+        onError(`AI response was interrupted: ${result.error}`);
       } else {
+        setMessages(prev => prev.filter(message => message.id !== assistantId));
         onError('Failed to get AI response');
       }
     } catch (error) {
+      setMessages(prev => prev.filter(message => message.id !== assistantId));
       onError('Failed to communicate with AI service');
     } finally {
+      abortControllerRef.current = null;
       setIsLoading(false);
     }
   };
 
+  const handleStopResponse = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const handleKeyPress = (event) => {
     if (event.key === 'Enter' && !event.shiftKey) {
       event.preventDefault();
@@ -134,6 +271,11 @@ function AIChat({ transcript, onError, onSuccess }) {
   };
 
   const handleClearChat = () => {
+    if (isComparing) {
+      startCompareSession(`Chat cleared! Ask me anything about these ${comparedTranscripts.length} interviews.`);
+      return;
+    }
+
     setMessages([{
       id: 'welcome',
       role: 'assistant',
@@ -151,14 +293,17 @@ function AIChat({ transcript, onError, onSuccess }) {
     inputRef.current?.focus();
   };
 
-  const quickQuestions = [
-    "What are the key themes in this interview?",
-    "How did the candidate perform overall?",
-    "What questions were asked?",
-    "What are the main strengths shown?",
-    "What could be improved?",
-    "Summarize the technical discussion"
-  ];
+  // Library prompts are about one transcript, so comparisons keep their own questions
+  const quickQuestions = isComparing ? [
+    "How did the candidates compare overall?",
+    "Which candidate gave the strongest technical answers?",
+    "How did each candidate answer the same questions?",
+    "What concerns came up in each interview?",
+    "Rank the candidates with reasons"
+  ].map(text => ({ id: text, label: '', text })) : [
+    ...promptTemplates.map(template => ({ ...template, isTemplate: true })),
+    ...prompts
+  ].map(prompt => ({ ...prompt, text: PromptLibraryService.fillVariables(prompt.text, transcript) }));
 
   const formatTimestamp = (timestamp) => {
     return new Date(timestamp).toLocaleTimeString([], { 
@@ -169,6 +314,11 @@ function AIChat({ transcript, onError, onSuccess }) {
 
   const renderMessage = (message) => {
     const isUser = message.role === 'user';
+
+    // Shown as the "thinking" indicator until the first words arrive
+    if (message.streaming && !message.content) {
+      return null;
+    }
     
     return (
       <Box
@@ -342,6 +492,30 @@ function AIChat({ transcript, onError, onSuccess }) {
             </Box>
           )}
           
+          {!isUser && message.citations?.length > 0 && (
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1 }}>
+              {message.citations.map((citation, index) => (
+                <Tooltip
+                  key={index}
+                  title={citation.quote ? `${citation.speaker ? `${citation.speaker}: ` : ''}"${citation.quote}"` : 'Show in transcript'}
+                >
+                  <Chip
+                    icon={<FormatQuote />}
+                    label={isComparing && citation.transcriptId
+                      ? [getInterviewLabel(citation.transcriptId), citation.segmentIndex !== null || citation.startTime !== null ? formatCitation(citation) : null]
+                        .filter(Boolean).join(' · ') || formatCitation(citation)
+                      : formatCitation(citation)}
+                    size="small"
+                    variant="outlined"
+                    color="secondary"
+                    onClick={onCitationClick ? () => onCitationClick(citation) : undefined}
+                    sx={{ fontSize: '0.7rem' }}
+                  />
+                </Tooltip>
+              ))}
+            </Box>
+          )}
+
           <Typography
             variant="caption"
             color="text.secondary"
@@ -352,13 +526,14 @@ function AIChat({ transcript, onError, onSuccess }) {
             }}
           >
             {formatTimestamp(message.timestamp)}
+            {message.stopped && ' · Stopped'}
           </Typography>
         </Paper>
       </Box>
     );
   };
 
-  if (!transcript) {
+  if (!transcript && !isComparing) {
     return (
       <Box sx={{
         height: '100%',
@@ -407,6 +582,22 @@ function AIChat({ transcript, onError, onSuccess }) {
             color="secondary"
             sx={{ fontSize: '0.7rem' }}
           />
+          {isComparing && (
+            <Tooltip
+              title={comparedTranscripts.map((t, index) => (
+                <div key={t.id}>#{index + 1} {t.title || 'Interview'}</div>
+              ))}
+            >
+              <Chip
+                icon={<CompareArrows />}
+                label={`Comparing ${comparedTranscripts.length} interviews`}
+                size="small"
+                color="primary"
+                onDelete={onExitCompare}
+                sx={{ fontSize: '0.7rem', ml: 1 }}
+              />
+            </Tooltip>
+          )}
         </Box>
         
         <Button
@@ -418,14 +609,16 @@ function AIChat({ transcript, onError, onSuccess }) {
           {showRawMarkdown ? 'Hide' : 'Show'} Raw
         </Button>
         
-        <Button
-          size="small"
-          onClick={handleRefreshChat}
-          startIcon={<Refresh />}
-          sx={{ color: 'text.secondary', mr: 1 }}
-        >
-          Refresh
-        </Button>
+        {!isComparing && (
+          <Button
+            size="small"
+            onClick={handleRefreshChat}
+            startIcon={<Refresh />}
+            sx={{ color: 'text.secondary', mr: 1 }}
+          >
+            Refresh
+          </Button>
+        )}
         
         <Button
           size="small"
@@ -467,7 +660,7 @@ function AIChat({ transcript, onError, onSuccess }) {
           <>
             {messages.map(renderMessage)}
             
-            {isLoading && (
+            {isLoading && !messages.some(message => message.streaming && message.content) && (
               <Box sx={{ 
                 display: 'flex', 
                 alignItems: 'center', 
@@ -494,25 +687,40 @@ function AIChat({ transcript, onError, onSuccess }) {
           borderTop: '1px solid #333',
           borderBottom: '1px solid #333',
         }}>
-          <Typography variant="caption" color="text.secondary" sx={{ mb: 1, display: 'block' }}>
-            Quick questions:
-          </Typography>
-          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
-            {quickQuestions.map((question, index) => (
-              <Chip
-                key={index}
-                label={question}
+          <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+            <Typography variant="caption" color="text.secondary" sx={{ flexGrow: 1 }}>
+              Quick questions:
+            </Typography>
+            {!isComparing && (
+              <Button
                 size="small"
-                variant="outlined"
-                onClick={() => handleQuickQuestion(question)}
-                sx={{ 
-                  fontSize: '0.7rem',
-                  cursor: 'pointer',
-                  '&:hover': {
-                    backgroundColor: 'rgba(255, 255, 255, 0.05)',
-                  },
-                }}
-              />
+                startIcon={<LibraryBooks />}
+                onClick={() => setShowPromptLibrary(true)}
+                sx={{ color: 'text.secondary', fontSize: '0.7rem', py: 0 }}
+              >
+                Manage
+              </Button>
+            )}
+          </Box>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            {quickQuestions.map((question) => (
+              <Tooltip key={`${question.isTemplate ? 'template' : 'prompt'}_${question.id}`} title={question.label ? question.text : ''}>
+                <Chip
+                  icon={question.isTemplate ? <Business /> : undefined}
+                  label={question.label || question.text}
+                  size="small"
+                  variant="outlined"
+                  color={question.isTemplate ? 'primary' : 'default'}
+                  onClick={() => handleQuickQuestion(question.text)}
+                  sx={{ 
+                    fontSize: '0.7rem',
+                    cursor: 'pointer',
+                    '&:hover': {
+                      backgroundColor: 'rgba(255, 255, 255, 0.05)',
+                    },
+                  }}
+                />
+              </Tooltip>
             ))}
           </Box>
         </Box>
@@ -534,7 +742,7 @@ function AIChat({ transcript, onError, onSuccess }) {
           value={inputValue}
           onChange={(e) => setInputValue(e.target.value)}
           onKeyPress={handleKeyPress}
-          placeholder="Ask me anything about this transcript..."
+          placeholder={isComparing ? "Ask me to compare these interviews..." : "Ask me anything about this transcript..."}
           disabled={isLoading}
           variant="outlined"
           size="small"
@@ -545,26 +753,48 @@ function AIChat({ transcript, onError, onSuccess }) {
           }}
         />
         
-        <IconButton
-          onClick={handleSendMessage}
-          disabled={!inputValue.trim() || isLoading}
-          color="primary"
-          sx={{ 
-            p: 1,
-            backgroundColor: inputValue.trim() ? 'primary.main' : 'transparent',
-            color: inputValue.trim() ? 'white' : 'text.secondary',
-            '&:hover': {
-              backgroundColor: inputValue.trim() ? 'primary.dark' : 'rgba(255, 255, 255, 0.05)',
-            },
-          }}
-        >
-          {isLoading ? (
-            <CircularProgress size={20} color="inherit" />
-          ) : (
+        {isLoading ? (
+          <Tooltip title="Stop">
+            <IconButton
+              onClick={handleStopResponse}
+              color="error"
+              sx={{ 
+                p: 1,
+                border: '1px solid',
+                borderColor: 'error.main',
+              }}
+            >
+              <Stop />
+            </IconButton>
+          </Tooltip>
+        ) : (
+          <IconButton
+            onClick={handleSendMessage}
+            disabled={!inputValue.trim()}
+            color="primary"
+            sx={{ 
+              p: 1,
+              backgroundColor: inputValue.trim() ? 'primary.main' : 'transparent',
+              color: inputValue.trim() ? 'white' : 'text.secondary',
+              '&:hover': {
+                backgroundColor: inputValue.trim() ? 'primary.dark' : 'rgba(255, 255, 255, 0.05)',
+              },
+            }}
+          >
             <Send />
-          )}
-        </IconButton>
+          </IconButton>
+        )}
       </Box>
+
+      <PromptLibraryDialog
+        open={showPromptLibrary}
+        onClose={() => setShowPromptLibrary(false)}
+        prompts={prompts}
+        templates={promptTemplates}
+        onSaved={setPrompts}
+        onError={onError}
+        onSuccess={onSuccess}
+      />
     </Box>
   );
 }
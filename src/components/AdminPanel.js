@@ -59,8 +59,13 @@ import {
   ExpandLess,
   Add,
   AutoFixHigh,
+  LibraryBooks,
+  Save,
+  Grading,
 } from '@mui/icons-material';
 import apiService from '../services/ApiService';
+import { PromptListEditor } from './PromptLibraryDialog';
+import RubricEditorDialog from './RubricEditorDialog';
 
 // Reusable markdown components configuration
 const markdownComponents = {
@@ -166,6 +171,12 @@ function AdminPanel({ open, onClose, onError, onSuccess }) {
   const [transcripts, setTranscripts] = useState([]);
   const [analytics, setAnalytics] = useState(null);
   const [settings, setSettings] = useState({});
+  const [promptTemplates, setPromptTemplates] = useState([]);
+  const [promptTemplatesChanged, setPromptTemplatesChanged] = useState(false);
+  const [savingPromptTemplates, setSavingPromptTemplates] = useState(false);
+  const [rubrics, setRubrics] = useState([]);
+  const [rubricDialog, setRubricDialog] = useState({ open: false, rubric: null });
+  const [savingRubric, setSavingRubric] = useState(false);
   const [loading, setLoading] = useState(false);
   
   // Filter states
@@ -213,10 +224,12 @@ function AdminPanel({ open, onClose, onError, onSuccess }) {
     setLoading(true);
     try {
       // Load users, analytics, and settings
-      const [usersResult, analyticsResult, settingsResult] = await Promise.all([
+      const [usersResult, analyticsResult, settingsResult, templatesResult, rubricsResult] = await Promise.all([
         apiService.getUsers(userPagination),
         apiService.getAnalytics(),
-        apiService.getSystemSettings()
+        apiService.getSystemSettings(),
+        apiService.getPromptTemplates(),
+        apiService.getRubrics()
       ]);
 
       if (usersResult.success) {
@@ -235,6 +248,15 @@ function AdminPanel({ open, onClose, onError, onSuccess }) {
       if (settingsResult.success) {
         setSettings(settingsResult.settings);
       }
+
+      if (templatesResult.success) {
+        setPromptTemplates(templatesResult.templates || []);
+        setPromptTemplatesChanged(false);
+      }
+
+      if (rubricsResult.success) {
+        setRubrics(rubricsResult.rubrics || []);
+      }
     } catch (error) {
       onError('Failed to load admin data');
     } finally {
@@ -432,6 +454,72 @@ function AdminPanel({ open, onClose, onError, onSuccess }) {
     }
   };
 
+  const handlePromptTemplatesChange = (templates) => {
+    setPromptTemplates(templates);
+    setPromptTemplatesChanged(true);
+  };
+
+  const handleSavePromptTemplates = async () => {
+    setSavingPromptTemplates(true);
+    try {
+      const templates = promptTemplates
+        .map(({ id, label, text }) => ({ id, label: (label || '').trim(), text: text.trim() }))
+        .filter(template => template.text);
+
+      const result = await apiService.updatePromptTemplates(templates);
+      if (result.success) {
+        onSuccess('Prompt templates saved');
+        setPromptTemplates(templates);
+        setPromptTemplatesChanged(false);
+      } else {
+        onError(result.error || 'Failed to save prompt templates');
+      }
+    } catch (error) {
+      onError('Failed to save prompt templates');
+    } finally {
+      setSavingPromptTemplates(false);
+    }
+  };
+
+  const handleSaveRubric = async (rubric) => {
+    setSavingRubric(true);
+    try {
+      const result = await apiService.saveRubric(rubric);
+      if (result.success) {
+        const saved = result.rubric || rubric;
+        setRubrics(prev => (prev.some(r => r.id === saved.id)
+          ? prev.map(r => (r.id === saved.id ? saved : r))
+          : [...prev, saved]));
+        setRubricDialog({ open: false, rubric: null });
+        onSuccess('Rubric saved');
+      } else {
+        onError(result.error || 'Failed to save rubric');
+      }
+    } catch (error) {
+      onError('Failed to save rubric');
+    } finally {
+      setSavingRubric(false);
+    }
+  };
+
+  const handleDeleteRubric = async (rubric) => {
+    if (!window.confirm(`Delete the rubric "${rubric.name}"? Existing scorecards keep their scores.`)) {
+      return;
+    }
+
+    try {
+      const result = await apiService.deleteRubric(rubric.id);
+      if (result.success) {
+        setRubrics(prev => prev.filter(r => r.id !== rubric.id));
+        onSuccess('Rubric deleted');
+      } else {
+        onError(result.error || 'Failed to delete rubric');
+      }
+    } catch (error) {
+      onError('Failed to delete rubric');
+    }
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString() + ' ' + 
            new Date(dateString).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -1215,6 +1303,104 @@ function AdminPanel({ open, onClose, onError, onSuccess }) {
     </Box>
   );
 
+  const renderRubricsTab = () => (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6" sx={{ flexGrow: 1 }}>Scorecard Rubrics</Typography>
+        <Button
+          variant="contained"
+          startIcon={<Add />}
+          onClick={() => setRubricDialog({ open: true, rubric: null })}
+        >
+          New Rubric
+        </Button>
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        Interviewers pick a rubric in a transcript's Scorecard tab. AI proposes a 1-5 score per competency
+        using the anchors below, and the interviewer can override it before submitting.
+      </Typography>
+
+      {rubrics.length === 0 ? (
+        <Alert severity="info">No rubrics yet - create one so interviews can be scored</Alert>
+      ) : (
+        <Grid container spacing={2}>
+          {rubrics.map(rubric => (
+            <Grid item xs={12} md={6} key={rubric.id}>
+              <Card sx={{ backgroundColor: '#1e1e1e' }}>
+                <CardContent>
+                  <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+                    <Typography variant="h6" sx={{ flexGrow: 1 }}>
+                      {rubric.name}
+                    </Typography>
+                    <Tooltip title="Edit rubric">
+                      <IconButton size="small" onClick={() => setRubricDialog({ open: true, rubric })}>
+                        <Edit />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete rubric">
+                      <IconButton size="small" color="error" onClick={() => handleDeleteRubric(rubric)}>
+                        <Delete />
+                      </IconButton>
+                    </Tooltip>
+                  </Box>
+                  {rubric.description && (
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                      {rubric.description}
+                    </Typography>
+                  )}
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                    {rubric.competencies.map(competency => (
+                      <Chip key={competency.id} label={competency.name} size="small" variant="outlined" />
+                    ))}
+                  </Box>
+                </CardContent>
+              </Card>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+
+      <RubricEditorDialog
+        open={rubricDialog.open}
+        rubric={rubricDialog.rubric}
+        onClose={() => setRubricDialog({ open: false, rubric: null })}
+        onSave={handleSaveRubric}
+        saving={savingRubric}
+      />
+    </Box>
+  );
+
+  const renderPromptsTab = () => (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6" sx={{ flexGrow: 1 }}>Prompt Templates</Typography>
+        <Button
+          variant="contained"
+          startIcon={<Save />}
+          onClick={handleSavePromptTemplates}
+          disabled={!promptTemplatesChanged || savingPromptTemplates}
+        >
+          Save
+        </Button>
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        Shown to everyone in the organisation as quick questions in AI chat, before their own prompts.
+        Use {'{{candidate}}'}, {'{{role}}'}, {'{{title}}'} and {'{{date}}'} to fill in details from the transcript.
+      </Typography>
+
+      <Card sx={{ backgroundColor: '#1e1e1e' }}>
+        <CardContent>
+          <PromptListEditor
+            prompts={promptTemplates}
+            onChange={handlePromptTemplatesChange}
+            disabled={savingPromptTemplates}
+            emptyText="No organisation templates yet"
+          />
+        </CardContent>
+      </Card>
+    </Box>
+  );
+
   return (
     <Dialog
       open={open}
@@ -1264,6 +1450,8 @@ function AdminPanel({ open, onClose, onError, onSuccess }) {
           <Tab label="Transcripts" icon={<Description />} />
           <Tab label="Analytics" icon={<Analytics />} />
           <Tab label="Settings" icon={<Settings />} />
+          <Tab label="Prompts" icon={<LibraryBooks />} />
+          <Tab label="Rubrics" icon={<Grading />} />
         </Tabs>
 
         <Box sx={{ height: 'calc(100% - 48px)', overflow: 'auto' }}>
@@ -1279,6 +1467,12 @@ function AdminPanel({ open, onClose, onError, onSuccess }) {
           <TabPanel value={tabValue} index={3}>
             {renderSettingsTab()}
           </TabPanel>
+          <TabPanel value={tabValue} index={4}>
+            {renderPromptsTab()}
+          </TabPanel>
+          <TabPanel value={tabValue} index={5}>
+            {renderRubricsTab()}
+          </TabPanel>
         </Box>
       </DialogContent>
     </Dialog>
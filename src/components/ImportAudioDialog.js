@@ -0,0 +1,372 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Typography,
+  ToggleButtonGroup,
+  ToggleButton,
+  FormControlLabel,
+  Switch,
+  LinearProgress,
+  Alert,
+  IconButton,
+} from '@mui/material';
+import {
+  UploadFile,
+  Mic,
+  Headset,
+  Close,
+} from '@mui/icons-material';
+import apiService from '../services/ApiService';
+
+// Accepted when the backend doesn't list its formats
+const DEFAULT_IMPORT_FORMATS = ['wav', 'mp3', 'm4a', 'flac', 'ogg', 'opus', 'webm'];
+
+// Names a format may be listed under by getSupportedFormats()
+const FORMAT_ALIASES = {
+  mp3: ['mpeg', 'mpeg3'],
+  m4a: ['mp4', 'aac'],
+  ogg: ['opus'],
+  opus: ['ogg'],
+};
+
+// Codecs the channels of a stereo file are encoded to, best first - WAV when the backend doesn't list its formats
+const SPLIT_CODEC_PREFERENCE = ['flac', 'opus', 'wav'];
+
+const MIME_TYPES = {
+  wav: 'audio/wav',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  flac: 'audio/flac',
+  ogg: 'audio/ogg',
+  opus: 'audio/ogg',
+  webm: 'audio/webm',
+};
+
+const getExtension = (name) => (name.includes('.') ? name.split('.').pop().toLowerCase() : '');
+
+const isFormatAccepted = (name, acceptedFormats) => {
+  const extension = getExtension(name);
+  return [extension, ...(FORMAT_ALIASES[extension] || [])].some(format => acceptedFormats.includes(format));
+};
+
+/**
+ * Duration in seconds read from the file's metadata, 0 if the browser can't tell
+ */
+const getAudioDuration = (file) => new Promise(resolve => {
+  const url = URL.createObjectURL(file);
+  const audio = new Audio();
+  let settled = false;
+
+  const done = (duration) => {
+    if (settled) return;
+    settled = true;
+    URL.revokeObjectURL(url);
+    resolve(Number.isFinite(duration) ? duration : 0);
+  };
+
+  audio.onloadedmetadata = () => done(audio.duration);
+  audio.onerror = () => done(0);
+  setTimeout(() => done(0), 10000);
+  audio.src = url;
+});
+
+/**
+ * Import interviews recorded elsewhere (phone, Zoom...) as one or two files, or a stereo file
+ * whose channels are split into microphone and remote audio by the main process
+ */
+function ImportAudioDialog({ open, onClose, onImport, importing = false, uploadProgress = null }) {
+  const [mode, setMode] = useState('separate'); // 'separate' | 'stereo'
+  const [microphone, setMicrophone] = useState(null); // { name, path } in Electron, { name, file } in the browser
+  const [remote, setRemote] = useState(null);
+  const [stereo, setStereo] = useState(null);
+  const [swapChannels, setSwapChannels] = useState(false);
+  const [acceptedFormats, setAcceptedFormats] = useState(DEFAULT_IMPORT_FORMATS);
+  const [splitCodec, setSplitCodec] = useState('wav');
+  const [preparing, setPreparing] = useState(null); // step description while files are read or split
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+  const pickTargetRef = useRef(null);
+
+  const canUseDialog = !!window.electronAPI?.file;
+  const canSplitStereo = !!window.electronAPI?.audio?.splitStereo;
+  const busy = !!preparing || importing;
+
+  useEffect(() => {
+    if (!open) return;
+
+    setMicrophone(null);
+    setRemote(null);
+    setStereo(null);
+    setError(null);
+
+    const loadFormats = async () => {
+      const codecs = await apiService.getAcceptedUploadCodecs();
+      if (codecs && codecs.length > 0) {
+        setAcceptedFormats(codecs);
+        setSplitCodec(SPLIT_CODEC_PREFERENCE.find(codec => codecs.includes(codec)) || 'wav');
+      }
+    };
+    loadFormats();
+  }, [open]);
+
+  const setSelection = (target, selection) => {
+    if (selection && !isFormatAccepted(selection.name, acceptedFormats)) {
+      setError(`${selection.name} is not a supported format (${acceptedFormats.join(', ')})`);
+      return;
+    }
+
+    setError(null);
+    ({ microphone: setMicrophone, remote: setRemote, stereo: setStereo })[target](selection);
+  };
+
+  const handlePick = async (target) => {
+    if (!canUseDialog) {
+      pickTargetRef.current = target;
+      fileInputRef.current.click();
+      return;
+    }
+
+    const result = await window.electronAPI.file.openDialog({
+      title: 'Select audio file',
+      properties: ['openFile'],
+      filters: [
+        { name: 'Audio', extensions: acceptedFormats },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
+
+    if (!result.canceled && result.filePaths?.length > 0) {
+      const filePath = result.filePaths[0];
+      setSelection(target, { name: filePath.split(/[\\/]/).pop(), path: filePath });
+    }
+  };
+
+  const handleBrowserFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) {
+      setSelection(pickTargetRef.current, { name: file.name, file });
+    }
+  };
+
+  // Turn a selection (or a path produced by the split) into a File for upload
+  const readSelection = async ({ name, path, file }) => {
+    if (file) return file;
+
+    const result = await window.electronAPI.file.readAudioFile(path);
+    if (!result.success) {
+      throw new Error(`Could not read ${name}: ${result.error}`);
+    }
+
+    const extension = getExtension(name);
+    return new File([result.buffer], name, { type: MIME_TYPES[extension] || 'audio/wav' });
+  };
+
+  const handleImport = async () => {
+    try {
+      setError(null);
+      let microphoneFile;
+      let systemFile = null;
+
+      if (mode === 'stereo') {
+        setPreparing('Splitting channels...');
+        const split = await window.electronAPI.audio.splitStereo(stereo.path, { codec: splitCodec });
+        if (!split.success) {
+          throw new Error(split.error || 'Could not split the stereo file');
+        }
+
+        const baseName = stereo.name.replace(/\.[^.]+$/, '');
+        const [micPath, remotePath] = swapChannels
+          ? [split.systemFile, split.microphoneFile]
+          : [split.microphoneFile, split.systemFile];
+
+        setPreparing('Reading channels...');
+        microphoneFile = await readSelection({ name: `${baseName}-microphone.${getExtension(micPath)}`, path: micPath });
+        systemFile = await readSelection({ name: `${baseName}-remote.${getExtension(remotePath)}`, path: remotePath });
+      } else {
+        setPreparing('Reading files...');
+        microphoneFile = await readSelection(microphone);
+        systemFile = remote ? await readSelection(remote) : null;
+      }
+
+      const duration = await getAudioDuration(microphoneFile);
+      const sessionId = `import_${Date.now()}`;
+
+      console.log('📥 Importing audio:', {
+        mode,
+        microphone: microphoneFile.name,
+        remote: systemFile?.name || null,
+        duration
+      });
+
+      setPreparing(null);
+      await onImport({
+        success: true,
+        sessionId,
+        isImported: true,
+        inputFiles: [microphoneFile],
+        outputFiles: systemFile ? [systemFile] : [],
+        hasDualAudio: !!systemFile,
+        isSegmented: false,
+        totalSegments: 1,
+        totalDuration: duration,
+        segments: [{
+          segmentId: `${sessionId}_1`,
+          segmentIndex: 0,
+          startTime: microphoneFile.lastModified,
+          duration,
+          overlapDuration: 0,
+          inputFile: microphoneFile.name,
+          outputFile: systemFile?.name || null,
+          hasOutputAudio: !!systemFile,
+          codec: getExtension(microphoneFile.name)
+        }]
+      });
+    } catch (importError) {
+      console.error('❌ Audio import failed:', importError);
+      setError(importError.message);
+    } finally {
+      setPreparing(null);
+    }
+  };
+
+  const renderPicker = (target, label, icon, selection, required) => (
+    <Box sx={{
+      display: 'flex',
+      alignItems: 'center',
+      gap: 1.5,
+      p: 1.5,
+      mb: 1,
+      border: '1px solid #333',
+      borderRadius: 1,
+    }}>
+      {icon}
+      <Box sx={{ flex: 1, minWidth: 0 }}>
+        <Typography variant="body2">
+          {label}{!required && ' (optional)'}
+        </Typography>
+        <Typography variant="caption" color="text.secondary" noWrap sx={{ display: 'block' }}>
+          {selection ? selection.name : 'No file selected'}
+        </Typography>
+      </Box>
+      {selection && !required && (
+        <IconButton size="small" onClick={() => setSelection(target, null)} disabled={busy}>
+          <Close fontSize="small" />
+        </IconButton>
+      )}
+      <Button size="small" variant="outlined" onClick={() => handlePick(target)} disabled={busy}>
+        {selection ? 'Change' : 'Choose'}
+      </Button>
+    </Box>
+  );
+
+  const ready = mode === 'stereo' ? !!stereo : !!microphone;
+
+  return (
+    <Dialog
+      open={open}
+      onClose={busy ? undefined : onClose}
+      maxWidth="sm"
+      fullWidth
+      PaperProps={{
+        sx: {
+          backgroundColor: '#1e1e1e',
+          border: '1px solid #333',
+        },
+      }}
+    >
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <UploadFile />
+        Import audio
+      </DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Create a transcript from an interview recorded on a phone, in Zoom or elsewhere.
+        </Typography>
+
+        <ToggleButtonGroup
+          value={mode}
+          exclusive
+          size="small"
+          onChange={(event, value) => value && setMode(value)}
+          sx={{ mb: 2 }}
+          disabled={busy}
+        >
+          <ToggleButton value="separate">Separate files</ToggleButton>
+          <ToggleButton value="stereo" disabled={!canSplitStereo}>Stereo file</ToggleButton>
+        </ToggleButtonGroup>
+
+        {mode === 'separate' ? (
+          <>
+            {renderPicker('microphone', 'Microphone (you)', <Mic color="primary" />, microphone, true)}
+            {renderPicker('remote', 'Remote (other participants)', <Headset color="secondary" />, remote, false)}
+          </>
+        ) : (
+          <>
+            {renderPicker('stereo', 'Stereo recording', <UploadFile color="primary" />, stereo, true)}
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={swapChannels}
+                  onChange={(e) => setSwapChannels(e.target.checked)}
+                  disabled={busy}
+                />
+              }
+              label={swapChannels ? 'Left: remote, right: microphone' : 'Left: microphone, right: remote'}
+            />
+          </>
+        )}
+
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+          Supported formats: {acceptedFormats.join(', ')}
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {busy && (
+          <Box sx={{ mt: 2 }}>
+            <LinearProgress
+              variant={uploadProgress !== null && uploadProgress < 100 ? 'determinate' : 'indeterminate'}
+              value={uploadProgress || 0}
+            />
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              {preparing || (uploadProgress !== null && uploadProgress < 100
+                ? `Uploading... ${uploadProgress}%`
+                : 'Transcribing...')}
+            </Typography>
+          </Box>
+        )}
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={acceptedFormats.map(format => `.${format}`).join(',')}
+          style={{ display: 'none' }}
+          onChange={handleBrowserFile}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={busy}>Cancel</Button>
+        <Button
+          variant="contained"
+          startIcon={<UploadFile />}
+          onClick={handleImport}
+          disabled={!ready || busy}
+        >
+          Import
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ImportAudioDialog;
@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  Chip,
+  Tooltip,
+  IconButton,
+  Collapse,
+  CircularProgress,
+} from '@mui/material';
+import {
+  ExpandMore,
+  WarningAmber,
+} from '@mui/icons-material';
+import apiService from '../services/ApiService';
+import LiveUploadService from '../services/LiveUploadService';
+
+// How often partial results are fetched while segments are still being transcribed
+const LIVE_POLL_INTERVAL = 5000;
+
+const SEGMENT_STATUS = {
+  uploading: { label: 'Uploading', color: 'default' },
+  skipped: { label: 'No speech', color: 'default' },
+  'upload-failed': { label: 'Upload failed', color: 'error' },
+  queued: { label: 'Queued', color: 'default' },
+  processing: { label: 'Transcribing', color: 'info' },
+  completed: { label: 'Done', color: 'success' },
+  failed: { label: 'Failed', color: 'error' },
+};
+
+// Segments whose transcription can still change
+const isPending = (segment) => ['queued', 'processing'].includes(segment.status);
+
+/**
+ * Rolling transcript of the segments finished so far in a live recording session
+ */
+function LiveTranscriptPanel({ sessionId }) {
+  const [segments, setSegments] = useState([]);
+  const [expanded, setExpanded] = useState(true);
+  const [unsupported, setUnsupported] = useState(false);
+  const scrollRef = useRef(null);
+
+  const updateSegment = (segmentId, changes) => {
+    setSegments(prev => {
+      const exists = prev.some(segment => segment.segmentId === segmentId);
+      const next = exists
+        ? prev.map(segment => (segment.segmentId === segmentId ? { ...segment, ...changes } : segment))
+        : [...prev, { segmentId, lines: [], ...changes }];
+      return next.sort((a, b) => (a.startTime || 0) - (b.startTime || 0));
+    });
+  };
+
+  useEffect(() => {
+    setSegments([]);
+    setUnsupported(false);
+
+    return LiveUploadService.onUpdate((update) => {
+      if (update.sessionId !== sessionId) return;
+
+      if (update.type === 'unsupported') {
+        setUnsupported(true);
+        return;
+      }
+
+      const { segmentId, startTime, hasOutputAudio } = update.segment;
+      const status = {
+        'segment-queued': 'uploading',
+        'segment-skipped': 'skipped',
+        'segment-uploaded': 'queued',
+        'segment-failed': 'upload-failed',
+      }[update.type];
+
+      if (status) {
+        updateSegment(segmentId, { status, startTime, hasOutputAudio: !!hasOutputAudio, error: update.error || null });
+      }
+    });
+  }, [sessionId]);
+
+  const hasPendingSegments = segments.some(isPending);
+
+  useEffect(() => {
+    // Only poll while something uploaded is still waiting for its transcript
+    if (!hasPendingSegments) return undefined;
+
+    const poll = async () => {
+      const result = await apiService.getLiveTranscript(sessionId);
+      if (!result.success) {
+        console.warn('⚠️ Could not fetch live transcript:', result.error);
+        return;
+      }
+
+      (result.segments || []).forEach(partial => {
+        updateSegment(partial.segmentId, {
+          status: partial.status,
+          lines: partial.lines || [],
+          microphoneText: partial.microphoneText || '',
+          systemText: partial.systemText || '',
+          error: partial.error || null,
+        });
+      });
+    };
+
+    const interval = setInterval(poll, LIVE_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [sessionId, hasPendingSegments]);
+
+  useEffect(() => {
+    // Keep the newest text in view
+    if (scrollRef.current) {
+      scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+    }
+  }, [segments]);
+
+  const getSystemAudioWarning = (segment) => {
+    if (segment.status !== 'completed') return null;
+    if (!segment.hasOutputAudio) return 'System audio was not captured in this segment';
+    if (!segment.systemText?.trim()) return 'No speech was transcribed from system audio - check the output device';
+    return null;
+  };
+
+  return (
+    <Box sx={{
+      p: 1.5,
+      mb: 2,
+      backgroundColor: 'rgba(255, 255, 255, 0.05)',
+      borderRadius: 1,
+    }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <Chip label="Live" color="error" size="small" sx={{ fontWeight: 600 }} />
+        <Typography variant="body2" color="text.secondary" sx={{ flexGrow: 1 }}>
+          {segments.length === 0
+            ? 'Transcript appears after each segment'
+            : `${segments.filter(segment => segment.status === 'completed').length} of ${segments.length} segments transcribed`}
+        </Typography>
+        {hasPendingSegments && <CircularProgress size={14} />}
+        <IconButton
+          size="small"
+          onClick={() => setExpanded(!expanded)}
+          sx={{
+            color: 'text.secondary',
+            transform: expanded ? 'rotate(180deg)' : 'rotate(0deg)',
+            transition: 'transform 0.3s ease',
+          }}
+        >
+          <ExpandMore />
+        </IconButton>
+      </Box>
+
+      <Collapse in={expanded}>
+        {unsupported ? (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+            The server doesn't support live transcription - the transcript will be ready after you stop recording.
+          </Typography>
+        ) : (
+          <Box ref={scrollRef} sx={{ maxHeight: 240, overflowY: 'auto', mt: 1 }}>
+            {segments.map((segment, index) => {
+              const status = SEGMENT_STATUS[segment.status] || SEGMENT_STATUS.queued;
+              const systemAudioWarning = getSystemAudioWarning(segment);
+
+              return (
+                <Box
+                  key={segment.segmentId}
+                  sx={{ py: 1, borderTop: index > 0 ? '1px solid rgba(255, 255, 255, 0.1)' : 'none' }}
+                >
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+                    <Typography variant="caption" color="text.secondary" sx={{ flexGrow: 1 }}>
+                      Segment {index + 1}
+                      {segment.startTime && ` · ${new Date(segment.startTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}
+                    </Typography>
+                    {systemAudioWarning && (
+                      <Tooltip title={systemAudioWarning}>
+                        <Chip
+                          icon={<WarningAmber />}
+                          label="Silent system audio"
+                          color="warning"
+                          size="small"
+                          variant="outlined"
+                        />
+                      </Tooltip>
+                    )}
+                    <Tooltip title={segment.error || ''}>
+                      <Chip label={status.label} color={status.color} size="small" variant="outlined" />
+                    </Tooltip>
+                  </Box>
+
+                  {segment.lines.map((line, lineIndex) => (
+                    <Typography key={lineIndex} variant="body2" sx={{ fontSize: '0.8rem' }}>
+                      {line.speaker && <strong>{line.speaker}: </strong>}
+                      {line.text}
+                    </Typography>
+                  ))}
+
+                  {segment.status === 'completed' && segment.lines.length === 0 && (
+                    <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.8rem', fontStyle: 'italic' }}>
+                      No words recognized
+                    </Typography>
+                  )}
+                </Box>
+              );
+            })}
+          </Box>
+        )}
+      </Collapse>
+    </Box>
+  );
+}
+
+export default LiveTranscriptPanel;
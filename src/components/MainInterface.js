@@ -26,8 +26,10 @@ import {
   AudioFile,
   Description,
   Storage,
+  UploadFile,
 } from '@mui/icons-material';
 import RecordingPanel from './RecordingPanel';
+import ImportAudioDialog from './ImportAudioDialog';
 import TranscriptList from './TranscriptList';
 import TranscriptViewer from './TranscriptViewer';
 import AIChat from './AIChat';
@@ -36,6 +38,114 @@ import OfflineRecordingsManager from './OfflineRecordingsManager';
 import apiService from '../services/ApiService';
 import AdminPanel from './AdminPanel';
 import OfflineStorageService from '../services/OfflineStorageService';
+import TranscriptCacheService from '../services/TranscriptCacheService';
+import TranscriptLineService from '../services/TranscriptLineService';
+import UploadQueueService from '../services/UploadQueueService';
+import LiveUploadService from '../services/LiveUploadService';
+
+/**
+ * Drop segments the main-process voice-activity detection found no speech in
+ * Segments without VAD results (e.g. Windows WebM recordings) are always kept
+ */
+const selectSpeechSegments = (dualAudioData) => {
+  const segments = dualAudioData.segments || [];
+
+  // Files can only be matched to segments when RecordingPanel annotated which ones were read
+  const canFilter = segments.length > 0 && segments.every(segment => segment.hasInputFile !== undefined);
+  if (!canFilter || !segments.some(segment => segment.hasSpeech === false)) {
+    return { ...dualAudioData, silentSegments: 0 };
+  }
+
+  const inputFiles = [];
+  const outputFiles = [];
+  const speechSegments = [];
+  let inputIndex = 0;
+  let outputIndex = 0;
+  let previousDropped = false;
+
+  segments.forEach(segment => {
+    const inputFile = segment.hasInputFile ? dualAudioData.inputFiles[inputIndex++] : null;
+    const outputFile = segment.hasOutputFile ? dualAudioData.outputFiles[outputIndex++] : null;
+
+    if (segment.hasSpeech === false) {
+      previousDropped = true;
+      return;
+    }
+
+    if (inputFile) inputFiles.push(inputFile);
+    if (outputFile) outputFiles.push(outputFile);
+    // The overlap only repeats audio if the previous segment is uploaded too
+    speechSegments.push(previousDropped ? { ...segment, overlapDuration: 0 } : segment);
+    previousDropped = false;
+  });
+
+  return {
+    ...dualAudioData,
+    inputFiles,
+    outputFiles,
+    hasDualAudio: inputFiles.length > 0 && outputFiles.length > 0,
+    segments: speechSegments,
+    totalSegments: speechSegments.length,
+    totalDuration: speechSegments.reduce(
+      (sum, segment) => sum + (segment.duration || 0) - (segment.overlapDuration || 0),
+      0
+    ),
+    silentSegments: segments.length - speechSegments.length
+  };
+};
+
+const MAX_SEARCH_HITS = 3;
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * Check a transcript against the search bar filters (date range, speaker, summary/debrief)
+ * Applied client-side too, in case the backend ignores some of them
+ */
+const matchesSearchFilters = (transcript, filters) => {
+  const createdAt = new Date(transcript.createdAt);
+
+  if (filters.from && createdAt < new Date(`${filters.from}T00:00:00`)) return false;
+  if (filters.to && createdAt > new Date(`${filters.to}T23:59:59.999`)) return false;
+  if (filters.hasSummary && !transcript.summary) return false;
+  if (filters.hasDebrief && !transcript.debrief) return false;
+
+  const speaker = filters.speaker.trim().toLowerCase();
+  if (speaker) {
+    const speakers = (transcript.speakers || []).map(s => String(s.name || s.label || s).toLowerCase());
+    const inContent = (transcript.content || '')
+      .split('\n')
+      .some(line => line.toLowerCase().startsWith(speaker));
+    if (!speakers.some(name => name.includes(speaker)) && !inContent) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Find the transcript lines that contain the query
+ * @returns {Array} - [{ hitIndex, snippet }] where hitIndex is the position among all matching lines
+ */
+const findSearchHits = (transcript, query) => {
+  if (!query) return [];
+
+  // The same lines the viewer shows, so a hit's index finds the same line there
+  const needle = query.toLowerCase();
+  const lines = TranscriptLineService.getLines(transcript).map(line => TranscriptLineService.getSearchText(line));
+
+  return lines
+    .filter(line => line.toLowerCase().includes(needle))
+    .slice(0, MAX_SEARCH_HITS)
+    .map((line, hitIndex) => {
+      const position = line.toLowerCase().indexOf(needle);
+      const start = Math.max(0, position - SNIPPET_CONTEXT);
+      const end = Math.min(line.length, position + query.length + SNIPPET_CONTEXT);
+
+      return {
+        hitIndex,
+        snippet: `${start > 0 ? '…' : ''}${line.substring(start, end)}${end < line.length ? '…' : ''}`
+      };
+    });
+};
 
 
 function MainInterface({ user, onLogout, onError, onSuccess }) {
@@ -55,11 +165,43 @@ function MainInterface({ user, onLogout, onError, onSuccess }) {
   const [uploadHistory, setUploadHistory] = useState([]);
   const [failedUploads, setFailedUploads] = useState([]);
 
+  // Transcript search - results are null while no search is active
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [transcriptFocus, setTranscriptFocus] = useState(null);
+  // Transcripts the AI chat answers across, null for a single-transcript chat
+  const [comparedTranscripts, setComparedTranscripts] = useState(null);
+  // Backend unreachable - transcripts come from the local cache
+  const [isOffline, setIsOffline] = useState(false);
+  // Audio recorded elsewhere, uploaded like a recording
+  const [showImportDialog, setShowImportDialog] = useState(false);
+  const [importSessionId, setImportSessionId] = useState(null);
+
   // Load user's transcripts on component mount
   useEffect(() => {
     loadTranscripts();
   }, []);
 
+  // Upload recordings saved offline in the background
+  useEffect(() => {
+    const unsubscribe = UploadQueueService.onUpdate((update) => {
+      if (update.type === 'uploaded') {
+        onSuccess('A queued recording was uploaded and transcribed');
+        loadTranscripts();
+      } else if (update.type === 'gave-up') {
+        onError(`Gave up uploading a queued recording: ${update.error}. You can retry it from Offline Storage.`);
+      }
+    });
+
+    UploadQueueService.start();
+
+    return () => {
+      unsubscribe();
+      UploadQueueService.stop();
+    };
+  }, []);
+
   const loadTranscripts = async () => {
     try {
       setLoading(true);
@@ -67,17 +209,61 @@ function MainInterface({ user, onLogout, onError, onSuccess }) {
 
       if (result.success) {
         setTranscripts(result.transcripts);
-      } else {
+        setIsOffline(false);
+      } else if (!(await loadCachedTranscripts())) {
         onError('Failed to load transcripts');
       }
     } catch (error) {
-      onError('Failed to connect to backend');
+      if (!(await loadCachedTranscripts())) {
+        onError('Failed to connect to backend');
+      }
     } finally {
       setLoading(false);
     }
   };
 
-  const handleRecordingComplete = async (dualAudioData) => {
+  /**
+   * Fall back to the local transcript cache when the backend is down
+   * @returns {boolean} - whether cached transcripts are being shown
+   */
+  const loadCachedTranscripts = async () => {
+    const status = await apiService.checkBackendStatus();
+    if (status.available) return false;
+
+    try {
+      const cachedTranscripts = await TranscriptCacheService.getTranscripts();
+      console.log(`📴 Backend unavailable, showing ${cachedTranscripts.length} cached transcripts`);
+      setTranscripts(cachedTranscripts);
+      setIsOffline(true);
+      onError('Backend is unavailable - showing transcripts saved on this device');
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to load cached transcripts:', error);
+      return false;
+    }
+  };
+
+  const searchCachedTranscripts = async (query) => {
+    try {
+      return await TranscriptCacheService.search(query, { limit: 100 });
+    } catch (error) {
+      console.error('❌ Local transcript search failed:', error);
+      return [];
+    }
+  };
+
+  const handleRecordingComplete = async (recordedAudioData) => {
+    // Only speech-bearing segments are uploaded
+    const dualAudioData = selectSpeechSegments(recordedAudioData);
+    if (dualAudioData.silentSegments > 0) {
+      console.log(`🔇 Skipping ${dualAudioData.silentSegments} silent segment(s) before upload`);
+    }
+
+    if (dualAudioData.totalSegments === 0 && recordedAudioData.totalSegments > 0) {
+      onError('No speech was detected in this recording, so nothing was uploaded.');
+      return;
+    }
+
     try {
       // COMPREHENSIVE DEBUG: Log data received from RecordingPanel
       console.log('🔍 COMPREHENSIVE_DEBUG_MAIN - Data received in MainInterface:');
@@ -181,6 +367,33 @@ function MainInterface({ user, onLogout, onError, onSuccess }) {
       setUploadHistory(prev => [...prev, uploadRecord]);
       onSuccess('Uploading and processing recording...');
 
+      // Segments were uploaded while recording - completing the live session is all that's left
+      if (LiveUploadService.isActive(sessionId)) {
+        onSuccess('Finishing transcript from segments uploaded during recording...');
+        const liveResult = await LiveUploadService.finishSession(sessionId, dualAudioData);
+
+        if (liveResult.success) {
+          setUploadHistory(prev =>
+            prev.map(upload =>
+              upload.id === uploadId
+                ? { ...upload, status: 'completed', endTime: new Date(), progress: 100, result: liveResult }
+                : upload
+            )
+          );
+
+          onSuccess('Transcript generated successfully!');
+
+          await loadTranscripts();
+
+          if (liveResult.transcript) {
+            setSelectedTranscript(liveResult.transcript);
+          }
+          return;
+        }
+
+        console.warn('⚠️ Live session could not be completed, uploading the full recording:', liveResult.error);
+      }
+
       // Check if we have dual audio or single audio
       if (dualAudioData.outputFiles && dualAudioData.outputFiles.length > 0 &&
         dualAudioData.inputFiles && dualAudioData.inputFiles.length > 0) {
@@ -223,8 +436,9 @@ function MainInterface({ user, onLogout, onError, onSuccess }) {
               uploadId,
               error: uploadError.message
             });
+            await UploadQueueService.enqueue(offlineId, uploadError.message);
 
-            onError(`Network error: Recording saved offline (ID: ${offlineId}). You can retry upload later.`);
+            onError(`Network error: Recording saved offline (ID: ${offlineId}). It will be uploaded automatically once the connection is back.`);
           } catch (offlineError) {
             console.error('❌ Failed to store recording offline:', offlineError);
             onError(`Network error and offline storage failed: ${uploadError.message}`);
@@ -290,10 +504,13 @@ function MainInterface({ user, onLogout, onError, onSuccess }) {
               ...dualAudioData,
               sessionId,
               uploadId,
+              // Lets the upload queue resume from the chunks that already made it
+              uploadSessionId: result.uploadSessionId || null,
               error: result.error
             });
+            await UploadQueueService.enqueue(offlineId, result.error);
 
-            onError(`Upload failed: Recording saved offline (ID: ${offlineId}). You can retry upload later.`);
+            onError(`Upload failed: Recording saved offline (ID: ${offlineId}). It will be retried automatically.`);
           } catch (offlineError) {
             console.error('❌ Failed to store recording offline:', offlineError);
             onError(`Upload failed and offline storage failed: ${result.error}`);
@@ -482,6 +699,21 @@ function MainInterface({ user, onLogout, onError, onSuccess }) {
     }
   };
 
+  // Imported files go through the same upload path as a finished recording
+  const handleImportAudio = async (importedAudioData) => {
+    setImportSessionId(importedAudioData.sessionId);
+    try {
+      await handleRecordingComplete(importedAudioData);
+    } finally {
+      setImportSessionId(null);
+      setShowImportDialog(false);
+    }
+  };
+
+  const importUpload = importSessionId
+    ? uploadHistory.find(upload => upload.dualAudioData.sessionId === importSessionId)
+    : null;
+
   // Retry a failed upload
   const handleRetryUpload = async (failedUpload) => {
     try {
@@ -495,8 +727,96 @@ function MainInterface({ user, onLogout, onError, onSuccess }) {
     }
   };
 
-  const handleTranscriptSelect = (transcript) => {
+  const handleTranscriptSelect = (transcript, focus = null) => {
     setSelectedTranscript(transcript);
+    // focus: { query, hitIndex } - scrolls the viewer to a search hit
+    setTranscriptFocus(focus);
+  };
+
+  // Chat across several interviews - the viewer starts on the first one
+  const handleStartCompare = (compared) => {
+    setComparedTranscripts(compared);
+    if (!compared.some(transcript => transcript.id === selectedTranscript?.id)) {
+      handleTranscriptSelect(compared[0]);
+    }
+    setIsAIChatExpanded(true);
+  };
+
+  // A citation chip in AI chat - point the viewer at the cited line
+  const handleCitationClick = (citation) => {
+    // In a comparison the citation may come from another interview
+    if (citation.transcriptId && citation.transcriptId !== selectedTranscript?.id) {
+      const cited = (comparedTranscripts || []).find(transcript => transcript.id === citation.transcriptId)
+        || transcripts.find(transcript => transcript.id === citation.transcriptId);
+      if (cited) {
+        setSelectedTranscript(cited);
+      }
+    }
+
+    setTranscriptFocus({
+      lineIndex: citation.segmentIndex,
+      startTime: citation.startTime
+    });
+  };
+
+  const handleTranscriptSearch = async (query, filters) => {
+    const hasFilters = Boolean(
+      filters.from || filters.to || filters.speaker.trim() || filters.hasSummary || filters.hasDebrief
+    );
+
+    setSearchQuery(query);
+
+    if (!query && !hasFilters) {
+      setSearchResults(null);
+      return;
+    }
+
+    let candidates = transcripts;
+
+    if (query && isOffline) {
+      setSearching(true);
+      try {
+        candidates = await searchCachedTranscripts(query);
+      } finally {
+        setSearching(false);
+      }
+    } else if (query) {
+      setSearching(true);
+      try {
+        const result = await apiService.searchTranscripts(query, {
+          limit: 100,
+          from: filters.from,
+          to: filters.to,
+          speaker: filters.speaker.trim(),
+          hasSummary: filters.hasSummary,
+          hasDebrief: filters.hasDebrief
+        });
+
+        if (result.success) {
+          candidates = result.transcripts || [];
+        } else if (!(await apiService.checkBackendStatus()).available) {
+          console.warn('⚠️ Backend unavailable, searching the local transcript index');
+          setIsOffline(true);
+          candidates = await searchCachedTranscripts(query);
+        } else {
+          // Fall back to searching the transcripts already loaded
+          console.warn('⚠️ Transcript search failed, searching loaded transcripts:', result.error);
+          const needle = query.toLowerCase();
+          candidates = transcripts.filter(t =>
+            (t.title || '').toLowerCase().includes(needle) ||
+            (t.content || '').toLowerCase().includes(needle)
+          );
+        }
+      } finally {
+        setSearching(false);
+      }
+    }
+
+    setSearchResults(
+      candidates
+        .filter(transcript => matchesSearchFilters(transcript, filters))
+        .map(transcript => ({ transcript, hits: findSearchHits(transcript, query) }))
+    );
   };
 
   const handleTranscriptDelete = async (transcriptId) => {
@@ -508,11 +828,16 @@ function MainInterface({ user, onLogout, onError, onSuccess }) {
 
         // Refresh list
         await loadTranscripts();
+        setSearchResults(prev => prev && prev.filter(result => result.transcript.id !== transcriptId));
 
         // Clear selection if deleted transcript was selected
         if (selectedTranscript && selectedTranscript.id === transcriptId) {
           setSelectedTranscript(null);
         }
+        setComparedTranscripts(prev => {
+          const remaining = prev && prev.filter(transcript => transcript.id !== transcriptId);
+          return remaining && remaining.length > 1 ? remaining : null;
+        });
       } else {
         onError('Failed to delete transcript');
       }
@@ -636,6 +961,15 @@ function MainInterface({ user, onLogout, onError, onSuccess }) {
           </Typography>
 
           <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Button
+              size="small"
+              variant="outlined"
+              startIcon={<UploadFile />}
+              onClick={() => setShowImportDialog(true)}
+              sx={{ mr: 1 }}
+            >
+              Import audio
+            </Button>
             <Typography variant="body2" color="text.secondary">
               Welcome, {user.firstName}
             </Typography>
@@ -718,6 +1052,14 @@ function MainInterface({ user, onLogout, onError, onSuccess }) {
         />
       )}
 
+      <ImportAudioDialog
+        open={showImportDialog}
+        onClose={() => setShowImportDialog(false)}
+        onImport={handleImportAudio}
+        importing={!!importSessionId}
+        uploadProgress={importUpload ? importUpload.progress : null}
+      />
+
       {/* Main Content */}
       <Box sx={{
         flex: 1,
@@ -813,6 +1155,12 @@ function MainInterface({ user, onLogout, onError, onSuccess }) {
                     onTranscriptDelete={handleTranscriptDelete}
                     loading={loading}
                     onRefresh={loadTranscripts}
+                    onSearch={handleTranscriptSearch}
+                    searchQuery={searchQuery}
+                    searchResults={searchResults}
+                    searching={searching}
+                    offline={isOffline}
+                    onCompare={handleStartCompare}
                   />
                 ) : activeTab === 1 ? (
                   // RecordingsManager temporarily hidden
@@ -858,6 +1206,7 @@ function MainInterface({ user, onLogout, onError, onSuccess }) {
                 }}>
                   <TranscriptViewer
                     transcript={selectedTranscript}
+                    focus={transcriptFocus}
                     onError={onError}
                     onSuccess={onSuccess}
                     onTranscriptUpdate={handleTranscriptUpdate}
@@ -945,8 +1294,11 @@ function MainInterface({ user, onLogout, onError, onSuccess }) {
                   >
                     <AIChat
                       transcript={selectedTranscript}
+                      comparedTranscripts={comparedTranscripts}
+                      onExitCompare={() => setComparedTranscripts(null)}
                       onError={onError}
                       onSuccess={onSuccess}
+                      onCitationClick={handleCitationClick}
                     />
                   </Box>
                 </Box>
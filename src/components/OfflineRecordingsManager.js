@@ -20,11 +20,7 @@ import {
   DialogTitle,
   DialogContent,
   DialogActions,
-  TextField,
-  FormControl,
-  InputLabel,
-  Select,
-  MenuItem
+  TextField
 } from '@mui/material';
 import {
   CloudUpload,
@@ -38,32 +34,68 @@ import {
   ExpandMore,
   ExpandLess,
   Storage,
-  Replay
+  Replay,
+  Restore,
+  PushPin,
+  PushPinOutlined
 } from '@mui/icons-material';
-import OfflineStorageService from '../services/OfflineStorageService';
+import OfflineStorageService, { DEFAULT_RETENTION_SETTINGS } from '../services/OfflineStorageService';
 import ApiService from '../services/ApiService';
+import UploadQueueService from '../services/UploadQueueService';
 
 function OfflineRecordingsManager({ onSuccess, onError, onRefreshTranscripts }) {
   const [offlineRecordings, setOfflineRecordings] = useState([]);
   const [loading, setLoading] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [showDetails, setShowDetails] = useState({});
-  const [retryDialog, setRetryDialog] = useState({ open: false, recording: null });
-  const [retrySettings, setRetrySettings] = useState({
-    maxAttempts: 3,
-    delayBetweenAttempts: 5000
-  });
   const [storageStats, setStorageStats] = useState(null);
+  const [recoveredSessions, setRecoveredSessions] = useState([]);
+  const [recoveringSessionId, setRecoveringSessionId] = useState(null);
+  const [queueProgress, setQueueProgress] = useState({}); // recording ID -> { progress, segments }
+  const [queueOffline, setQueueOffline] = useState(!UploadQueueService.isOnline);
+  const [retentionPlan, setRetentionPlan] = useState(null);
+  const [retentionDialog, setRetentionDialog] = useState(false);
+  const [retentionSettings, setRetentionSettings] = useState(DEFAULT_RETENTION_SETTINGS);
+  const [freeingSpace, setFreeingSpace] = useState(false);
 
   useEffect(() => {
     loadOfflineRecordings();
     loadStorageStats();
+    loadRecoveredSessions();
+  }, []);
+
+  // Follow background uploads from the upload queue
+  useEffect(() => {
+    return UploadQueueService.onUpdate((update) => {
+      switch (update.type) {
+        case 'progress':
+          setQueueProgress(prev => ({
+            ...prev,
+            [update.recording.id]: { progress: update.progress, segments: update.segments || [] }
+          }));
+          break;
+        case 'offline':
+        case 'online':
+          setQueueOffline(update.type === 'offline');
+          break;
+        default:
+          if (update.type !== 'uploading') {
+            setQueueProgress(prev => {
+              const { [update.recording.id]: finished, ...rest } = prev;
+              return rest;
+            });
+          }
+          loadOfflineRecordings();
+          loadStorageStats();
+      }
+    });
   }, []);
 
   const loadOfflineRecordings = async () => {
     try {
       setLoading(true);
-      const recordings = await OfflineStorageService.getAllRecordings();
+      // Recordings made by other users on this computer are hidden
+      const recordings = (await OfflineStorageService.getRecordingSummaries()).filter(recording => !recording.ownedByOtherUser);
       setOfflineRecordings(recordings);
       console.log('📱 Loaded offline recordings:', recordings.length);
     } catch (error) {
@@ -78,104 +110,194 @@ function OfflineRecordingsManager({ onSuccess, onError, onRefreshTranscripts })
     try {
       const stats = await OfflineStorageService.getStorageStats();
       setStorageStats(stats);
+      // What retention would remove, shown in the low-disk warning
+      setRetentionPlan(await OfflineStorageService.getRetentionPlan());
     } catch (error) {
       console.error('❌ Failed to load storage stats:', error);
     }
   };
 
-  const handleRetryUpload = async (recording) => {
+  const handleTogglePin = async (recording) => {
     try {
-      setUploading(true);
+      await OfflineStorageService.setPinned(recording.id, !recording.pinned);
+      await loadOfflineRecordings();
+      await loadStorageStats();
+    } catch (error) {
+      console.error('❌ Failed to pin recording:', error);
+      onError('Failed to pin recording');
+    }
+  };
 
-      // Check if recording has exceeded max attempts
-      if (recording.attempts >= retrySettings.maxAttempts) {
-        onError(`Recording has exceeded maximum retry attempts (${retrySettings.maxAttempts})`);
-        return;
+  const handleFreeSpace = async () => {
+    try {
+      setFreeingSpace(true);
+      const plan = await OfflineStorageService.applyRetentionPolicy();
+      if (!plan) {
+        throw new Error('Retention policy could not be applied');
       }
+      onSuccess(`Freed ${OfflineStorageService.formatBytes(plan.bytesFreed)} from ${plan.evictions.length} uploaded recording(s)`);
+      await loadOfflineRecordings();
+      await loadStorageStats();
+    } catch (error) {
+      console.error('❌ Failed to free up space:', error);
+      onError('Failed to free up space');
+    } finally {
+      setFreeingSpace(false);
+    }
+  };
 
-      console.log('🔄 Retrying upload for recording:', recording.id);
+  const openRetentionDialog = async () => {
+    setRetentionSettings(await OfflineStorageService.getRetentionSettings());
+    setRetentionDialog(true);
+  };
 
-      // Update status to uploading
-      await OfflineStorageService.updateRecordingStatus(recording.id, 'uploading', {
-        lastAttempt: new Date().toISOString()
-      });
-
-      // Attempt upload based on recording type
-      let result;
-      if (recording.outputFiles && recording.outputFiles.length > 0 &&
-        recording.inputFiles && recording.inputFiles.length > 0) {
-        // Dual audio upload
-        result = await ApiService.uploadRawAudioArrays(
-          recording.inputFiles,
-          recording.outputFiles,
-          (progress) => {
-            console.log(`📤 Upload progress for ${recording.id}: ${progress}%`);
-          },
-          {
-            segments: recording.segments || [],
-            totalDuration: recording.totalDuration || 0,
-            totalSegments: recording.totalSegments || 0
-          }
-        );
-      } else if (recording.inputFiles && recording.inputFiles.length > 0) {
-        // Single audio upload (segmented)
-        result = await ApiService.uploadRawAudioArrays(
-          recording.inputFiles,
-          [], // No system audio
-          (progress) => {
-            console.log(`📤 Upload progress for ${recording.id}: ${progress}%`);
-          },
-          {
-            segments: recording.segments || [],
-            totalDuration: recording.totalDuration || 0,
-            totalSegments: recording.totalSegments || 0
-          }
-        );
-      } else {
-        throw new Error('No valid audio files found');
-      }
+  const handleSaveRetention = async () => {
+    try {
+      await OfflineStorageService.saveRetentionSettings(retentionSettings);
+      setRetentionDialog(false);
+      onSuccess('Retention settings saved');
+      await loadStorageStats();
+    } catch (error) {
+      console.error('❌ Failed to save retention settings:', error);
+      onError('Failed to save retention settings');
+    }
+  };
+
+  // Sessions found in the recording journal after a crash (Electron only)
+  const loadRecoveredSessions = async () => {
+    if (!window.electronAPI?.recovery) return;
 
+    try {
+      const result = await window.electronAPI.recovery.getSessions();
       if (result.success) {
-        // Mark as successfully uploaded
-        await OfflineStorageService.markAsUploaded(recording.id, result);
-        onSuccess(`Recording ${recording.id} uploaded successfully!`);
+        setRecoveredSessions(result.sessions);
+        console.log('🔄 Loaded recovered sessions:', result.sessions.length);
+      }
+    } catch (error) {
+      console.error('❌ Failed to load recovered sessions:', error);
+    }
+  };
 
-        // Refresh data
-        await loadOfflineRecordings();
-        await loadStorageStats();
+  // Read a segment file from disk into a File object for upload
+  const readSegmentFile = async (filePath, name) => {
+    const result = await window.electronAPI.file.readAudioFile(filePath);
+    if (!result.success) {
+      console.warn(`⚠️ Could not read recovered segment ${filePath}:`, result.error);
+      return null;
+    }
+
+    const extension = filePath.split('.').pop();
+    const type = extension === 'webm' ? 'audio/webm' : 'audio/wav';
+    return new File([new Uint8Array(result.buffer)], `${name}.${extension}`, { type });
+  };
+
+  const handleUploadRecovered = async (session) => {
+    try {
+      setRecoveringSessionId(session.sessionId);
+
+      const inputFiles = [];
+      const outputFiles = [];
+      for (const [index, segment] of session.segments.entries()) {
+        if (segment.inputSize > 0) {
+          const file = await readSegmentFile(segment.inputFile, `recovered-microphone-segment-${index + 1}`);
+          if (file) inputFiles.push(file);
+        }
+        if (segment.hasOutputAudio && segment.outputSize > 0) {
+          const file = await readSegmentFile(segment.outputFile, `recovered-system-segment-${index + 1}`);
+          if (file) outputFiles.push(file);
+        }
+      }
+
+      if (inputFiles.length === 0 && outputFiles.length === 0) {
+        throw new Error('No readable audio found for this session');
+      }
+
+      const result = await ApiService.uploadRawAudioArrays(
+        inputFiles,
+        outputFiles,
+        (progress) => {
+          console.log(`📤 Upload progress for recovered session ${session.sessionId}: ${progress}%`);
+        },
+        {
+          segments: session.segments,
+          totalSegments: session.totalSegments
+        }
+      );
+
+      if (result.success) {
+        await window.electronAPI.recovery.discardSession(session.sessionId);
+        onSuccess('Recovered session uploaded successfully!');
+        await loadRecoveredSessions();
 
-        // Refresh transcripts if callback provided
         if (onRefreshTranscripts) {
           await onRefreshTranscripts();
         }
       } else {
-        // Mark as failed
-        await OfflineStorageService.markAsFailed(recording.id, result.error);
         onError(`Upload failed: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to upload recovered session:', error);
+      onError(`Failed to upload recovered session: ${error.message}`);
+    } finally {
+      setRecoveringSessionId(null);
+    }
+  };
 
-        // Refresh data
-        await loadOfflineRecordings();
-        await loadStorageStats();
+  const handleDiscardRecovered = async (session) => {
+    if (!window.confirm('Discard this recovered session? Its audio files will be deleted.')) {
+      return;
+    }
+
+    try {
+      const result = await window.electronAPI.recovery.discardSession(session.sessionId);
+      if (!result.success) {
+        throw new Error(result.error);
       }
+      onSuccess('Recovered session discarded');
+      await loadRecoveredSessions();
     } catch (error) {
-      console.error('❌ Retry upload failed:', error);
+      console.error('❌ Failed to discard recovered session:', error);
+      onError('Failed to discard recovered session');
+    }
+  };
 
-      // Mark as failed
-      await OfflineStorageService.markAsFailed(recording.id, error.message);
-      onError(`Retry failed: ${error.message}`);
+  const handleRetryUpload = async (recording) => {
+    try {
+      setUploading(true);
+      console.log('🔄 Retrying upload for recording:', recording.id);
 
+      // Manual retries go through the queue so a recording is never uploaded twice at once
+      const uploaded = await UploadQueueService.uploadRecording(recording);
+
+      if (uploaded) {
+        onSuccess(`Recording ${recording.id} uploaded successfully!`);
+
+        // Refresh transcripts if callback provided
+        if (onRefreshTranscripts) {
+          await onRefreshTranscripts();
+        }
+      } else {
+        const updated = await OfflineStorageService.getRecordingSummary(recording.id);
+        onError(`Upload failed: ${updated?.error || 'Unknown error'}`);
+      }
+    } catch (error) {
+      console.error('❌ Retry upload failed:', error);
+      onError(`Retry failed: ${error.message}`);
+    } finally {
       // Refresh data
       await loadOfflineRecordings();
       await loadStorageStats();
-    } finally {
       setUploading(false);
     }
   };
 
+  // Retry All uploads what the queue would still retry, using the queue's own attempt limit
+  const getRetryableRecordings = () => offlineRecordings.filter(recording => UploadQueueService.isQueued(recording));
+
   const handleRetryAll = async () => {
-    const pendingRecordings = offlineRecordings.filter(r => r.status === 'pending' || r.status === 'failed');
+    const retryable = getRetryableRecordings();
 
-    if (pendingRecordings.length === 0) {
+    if (retryable.length === 0) {
       onSuccess('No recordings to retry');
       return;
     }
@@ -183,26 +305,29 @@ function OfflineRecordingsManager({ onSuccess, onError, onRefreshTranscripts })
     setUploading(true);
 
     try {
-      for (const recording of pendingRecordings) {
-        if (recording.attempts >= retrySettings.maxAttempts) {
-          console.log(`⚠️ Skipping ${recording.id} - exceeded max attempts`);
-          continue;
+      let uploadedCount = 0;
+      for (const [index, recording] of retryable.entries()) {
+        console.log(`🔄 Retrying ${recording.id} (${index + 1}/${retryable.length})`);
+        if (await UploadQueueService.uploadRecording(recording)) {
+          uploadedCount++;
         }
+      }
 
-        console.log(`🔄 Retrying ${recording.id} (${pendingRecordings.indexOf(recording) + 1}/${pendingRecordings.length})`);
-        await handleRetryUpload(recording);
-
-        // Add delay between attempts
-        if (pendingRecordings.indexOf(recording) < pendingRecordings.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, retrySettings.delayBetweenAttempts));
-        }
+      if (uploadedCount === retryable.length) {
+        onSuccess(`Uploaded ${uploadedCount} recordings`);
+      } else {
+        onError(`Uploaded ${uploadedCount} of ${retryable.length} recordings`);
       }
 
-      onSuccess(`Retry completed for ${pendingRecordings.length} recordings`);
+      if (uploadedCount > 0 && onRefreshTranscripts) {
+        await onRefreshTranscripts();
+      }
     } catch (error) {
       console.error('❌ Bulk retry failed:', error);
       onError('Bulk retry failed');
     } finally {
+      await loadOfflineRecordings();
+      await loadStorageStats();
       setUploading(false);
     }
   };
@@ -291,7 +416,7 @@ function OfflineRecordingsManager({ onSuccess, onError, onRefreshTranscripts })
               <Button
                 startIcon={<CloudUpload />}
                 onClick={handleRetryAll}
-                disabled={uploading || offlineRecordings.filter(r => r.status === 'pending' || r.status === 'failed').length === 0}
+                disabled={uploading || getRetryableRecordings().length === 0}
                 variant="contained"
                 color="primary"
               >
@@ -327,11 +452,146 @@ function OfflineRecordingsManager({ onSuccess, onError, onRefreshTranscripts })
                 color="info"
                 variant="outlined"
               />
+              {storageStats.freeBytes !== null && (
+                <Chip
+                  label={`Free disk: ${OfflineStorageService.formatBytes(storageStats.freeBytes)}`}
+                  color={storageStats.lowDisk ? 'error' : 'default'}
+                  variant="outlined"
+                />
+              )}
             </Box>
           )}
         </CardContent>
       </Card>
 
+      {/* Low disk space / storage limit */}
+      {retentionPlan && (retentionPlan.lowDisk || retentionPlan.overLimit) && (
+        <Alert
+          severity="warning"
+          sx={{ mb: 2 }}
+          action={
+            retentionPlan.evictions.length > 0 && (
+              <Button color="inherit" size="small" onClick={handleFreeSpace} disabled={freeingSpace}>
+                Free up space
+              </Button>
+            )
+          }
+        >
+          {retentionPlan.lowDisk
+            ? `Low disk space: ${OfflineStorageService.formatBytes(retentionPlan.freeBytes)} free.`
+            : `Offline recordings use ${OfflineStorageService.formatBytes(retentionPlan.totalBytes)}, over the ${retentionPlan.settings.maxTotalSizeMB} MB limit.`}
+          {retentionPlan.evictions.length > 0 ? (
+            <>
+              {' '}The following uploaded recordings will be cleaned up. Pin one to keep it.
+              <List dense disablePadding>
+                {retentionPlan.evictions.map(({ recording, action, reason, bytes }) => (
+                  <ListItem key={recording.id} disableGutters>
+                    <ListItemText
+                      primary={`${formatTimestamp(recording.timestamp)} - ${action === 'delete' ? 'delete recording' : `remove audio (${OfflineStorageService.formatBytes(bytes)})`}`}
+                      secondary={reason}
+                    />
+                    <ListItemSecondaryAction>
+                      <Tooltip title="Pin">
+                        <IconButton size="small" onClick={() => handleTogglePin(recording)}>
+                          <PushPinOutlined fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </ListItemSecondaryAction>
+                  </ListItem>
+                ))}
+              </List>
+            </>
+          ) : (
+            ' Nothing can be cleaned up automatically - pending and pinned recordings are kept. Upload or delete recordings to free space.'
+          )}
+        </Alert>
+      )}
+
+      {queueOffline && (
+        <Alert severity="info" icon={<CloudOff />} sx={{ mb: 2 }}>
+          Waiting for a connection. Queued recordings will upload automatically once the backend is reachable.
+        </Alert>
+      )}
+
+      {/* Recovered sessions */}
+      {recoveredSessions.length > 0 && (
+        <Card sx={{ mb: 2, border: '1px solid rgba(255, 152, 0, 0.3)' }}>
+          <CardContent>
+            <Typography variant="h6" display="flex" alignItems="center" mb={1}>
+              <Restore sx={{ mr: 1 }} />
+              Recovered sessions
+            </Typography>
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              These recordings were interrupted before they finished. Upload them to create a transcript, or discard them.
+            </Alert>
+
+            {recoveredSessions.map((session) => (
+              <Box
+                key={session.sessionId}
+                display="flex"
+                justifyContent="space-between"
+                alignItems="center"
+                sx={{ py: 1, borderTop: '1px solid #333' }}
+              >
+                <Box>
+                  <Typography variant="body2">
+                    {formatTimestamp(session.startedAt)}
+                  </Typography>
+                  <Box display="flex" gap={1} mt={0.5}>
+                    <Chip
+                      label={`${session.totalSegments} segments`}
+                      size="small"
+                      variant="outlined"
+                    />
+                    <Chip
+                      label={OfflineStorageService.formatBytes(session.totalSize)}
+                      size="small"
+                      variant="outlined"
+                    />
+                  </Box>
+                </Box>
+
+                <Box display="flex" gap={1}>
+                  <Tooltip title="Upload">
+                    <span>
+                      <IconButton
+                        onClick={() => handleUploadRecovered(session)}
+                        disabled={!!recoveringSessionId || session.totalSegments === 0}
+                        color="primary"
+                        size="small"
+                      >
+                        <CloudUpload />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title="Discard">
+                    <span>
+                      <IconButton
+                        onClick={() => handleDiscardRecovered(session)}
+                        disabled={!!recoveringSessionId}
+                        color="error"
+                        size="small"
+                      >
+                        <Delete />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                </Box>
+              </Box>
+            ))}
+
+            {recoveringSessionId && (
+              <Box sx={{ mt: 1 }}>
+                <LinearProgress />
+                <Typography variant="body2" align="center" sx={{ mt: 1 }}>
+                  Uploading recovered session...
+                </Typography>
+              </Box>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Recordings list */}
       {offlineRecordings.length === 0 ? (
         <Card>
@@ -358,6 +618,14 @@ function OfflineRecordingsManager({ onSuccess, onError, onRefreshTranscripts })
                     <Typography variant="body2" color="textSecondary">
                       {formatTimestamp(recording.timestamp)}
                     </Typography>
+                    {recording.audioPurgedAt && (
+                      <Chip
+                        label="Audio removed"
+                        size="small"
+                        variant="outlined"
+                        sx={{ ml: 1 }}
+                      />
+                    )}
                   </Box>
 
                   <Typography variant="body2" color="textSecondary" mb={1}>
@@ -388,6 +656,39 @@ function OfflineRecordingsManager({ onSuccess, onError, onRefreshTranscripts })
                     </Typography>
                   )}
 
+                  {recording.status === 'failed' && recording.nextAttempt && UploadQueueService.isQueued(recording) && (
+                    <Typography variant="body2" color="textSecondary">
+                      Next automatic retry: {formatTimestamp(recording.nextAttempt)}
+                    </Typography>
+                  )}
+
+                  {recording.status === 'uploading' && queueProgress[recording.id] && (
+                    <Box mt={1}>
+                      <LinearProgress variant="determinate" value={queueProgress[recording.id].progress} />
+                      <Typography variant="caption" color="textSecondary">
+                        Uploading in background... {queueProgress[recording.id].progress}%
+                      </Typography>
+
+                      {/* Per-segment progress (resumable uploads) */}
+                      {queueProgress[recording.id].segments.map((segment) => (
+                        <Box key={segment.key} display="flex" alignItems="center" gap={1} mt={0.5}>
+                          <Typography variant="caption" color="textSecondary" sx={{ minWidth: 56 }}>
+                            {segment.track === 'microphone' ? 'MIC' : 'SYS'} {segment.segmentIndex + 1}
+                          </Typography>
+                          <LinearProgress
+                            variant="determinate"
+                            value={segment.progress}
+                            color={segment.progress === 100 ? 'success' : 'primary'}
+                            sx={{ flex: 1, height: 4, borderRadius: 2 }}
+                          />
+                          <Typography variant="caption" color="textSecondary" sx={{ minWidth: 32, textAlign: 'right' }}>
+                            {segment.progress}%
+                          </Typography>
+                        </Box>
+                      ))}
+                    </Box>
+                  )}
+
                   {recording.error && (
                     <Alert severity="error" sx={{ mt: 1 }}>
                       {recording.error}
@@ -448,6 +749,16 @@ function OfflineRecordingsManager({ onSuccess, onError, onRefreshTranscripts })
                     </Tooltip>
                   )}
 
+                  <Tooltip title={recording.pinned ? 'Unpin' : 'Pin (never clean up automatically)'}>
+                    <IconButton
+                      onClick={() => handleTogglePin(recording)}
+                      color={recording.pinned ? 'primary' : 'default'}
+                      size="small"
+                    >
+                      {recording.pinned ? <PushPin /> : <PushPinOutlined />}
+                    </IconButton>
+                  </Tooltip>
+
                   <Tooltip title="Delete">
                     <IconButton
                       onClick={() => handleDeleteRecording(recording.id)}
@@ -464,39 +775,44 @@ function OfflineRecordingsManager({ onSuccess, onError, onRefreshTranscripts })
         ))
       )}
 
-      {/* Retry Settings Dialog */}
-      <Dialog open={retryDialog.open} onClose={() => setRetryDialog({ open: false, recording: null })}>
-        <DialogTitle>Retry Settings</DialogTitle>
+      {/* Retention Settings Dialog */}
+      <Dialog open={retentionDialog} onClose={() => setRetentionDialog(false)}>
+        <DialogTitle>Retention Settings</DialogTitle>
         <DialogContent>
-          <FormControl fullWidth sx={{ mt: 1 }}>
-            <InputLabel>Max Attempts</InputLabel>
-            <Select
-              value={retrySettings.maxAttempts}
-              onChange={(e) => setRetrySettings(prev => ({ ...prev, maxAttempts: e.target.value }))}
-            >
-              <MenuItem value={1}>1</MenuItem>
-              <MenuItem value={2}>2</MenuItem>
-              <MenuItem value={3}>3</MenuItem>
-              <MenuItem value={5}>5</MenuItem>
-              <MenuItem value={10}>10</MenuItem>
-            </Select>
-          </FormControl>
-
-          <FormControl fullWidth sx={{ mt: 2 }}>
-            <InputLabel>Delay Between Attempts (ms)</InputLabel>
-            <Select
-              value={retrySettings.delayBetweenAttempts}
-              onChange={(e) => setRetrySettings(prev => ({ ...prev, delayBetweenAttempts: e.target.value }))}
-            >
-              <MenuItem value={1000}>1 second</MenuItem>
-              <MenuItem value={5000}>5 seconds</MenuItem>
-              <MenuItem value={10000}>10 seconds</MenuItem>
-              <MenuItem value={30000}>30 seconds</MenuItem>
-            </Select>
-          </FormControl>
+          <Typography variant="body2" color="textSecondary" sx={{ mb: 1 }}>
+            Only uploaded recordings that aren't pinned are cleaned up. Use 0 to turn a rule off.
+          </Typography>
+          <TextField
+            label="Maximum total size (MB)"
+            type="number"
+            fullWidth
+            margin="dense"
+            value={retentionSettings.maxTotalSizeMB}
+            onChange={(e) => setRetentionSettings(prev => ({ ...prev, maxTotalSizeMB: e.target.value }))}
+            inputProps={{ min: 0 }}
+          />
+          <TextField
+            label="Delete uploaded recordings after (days)"
+            type="number"
+            fullWidth
+            margin="dense"
+            value={retentionSettings.maxCompletedAgeDays}
+            onChange={(e) => setRetentionSettings(prev => ({ ...prev, maxCompletedAgeDays: e.target.value }))}
+            inputProps={{ min: 0 }}
+          />
+          <TextField
+            label="Remove uploaded audio after (days)"
+            type="number"
+            fullWidth
+            margin="dense"
+            value={retentionSettings.purgeUploadedAudioAfterDays}
+            onChange={(e) => setRetentionSettings(prev => ({ ...prev, purgeUploadedAudioAfterDays: e.target.value }))}
+            inputProps={{ min: 0 }}
+          />
         </DialogContent>
         <DialogActions>
-          <Button onClick={() => setRetryDialog({ open: false, recording: null })}>Close</Button>
+          <Button onClick={() => setRetentionDialog(false)}>Cancel</Button>
+          <Button onClick={handleSaveRetention} variant="contained">Save</Button>
         </DialogActions>
       </Dialog>
 
@@ -510,10 +826,10 @@ function OfflineRecordingsManager({ onSuccess, onError, onRefreshTranscripts })
               </Typography>
               <Box>
                 <Button
-                  onClick={() => setRetryDialog({ open: true, recording: null })}
+                  onClick={openRetentionDialog}
                   sx={{ mr: 1 }}
                 >
-                  Retry Settings
+                  Retention
                 </Button>
                 <Button
                   onClick={handleClearAll}
@@ -0,0 +1,347 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Typography,
+  TextField,
+  IconButton,
+  Tooltip,
+  Chip,
+  Collapse,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import {
+  Add,
+  Edit,
+  Delete,
+  ArrowUpward,
+  ArrowDownward,
+  Share,
+  ContentPaste,
+  Business,
+  LibraryBooks,
+  RestartAlt,
+} from '@mui/icons-material';
+import PromptLibraryService, { PROMPT_VARIABLES, DEFAULT_PROMPTS } from '../services/PromptLibraryService';
+
+/**
+ * Editable, reorderable list of prompts - used for a user's library and the admin templates
+ */
+export function PromptListEditor({ prompts, onChange, onShare, disabled = false, emptyText = 'No prompts yet' }) {
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState({ label: '', text: '' });
+
+  const startEditing = (prompt) => {
+    setEditingId(prompt.id);
+    setDraft({ label: prompt.label || '', text: prompt.text });
+  };
+
+  const handleAdd = () => {
+    const prompt = PromptLibraryService.createPrompt();
+    onChange([...prompts, prompt]);
+    startEditing(prompt);
+  };
+
+  const handleSaveEdit = () => {
+    onChange(prompts.map(prompt => (prompt.id === editingId ? { ...prompt, ...draft } : prompt)));
+    setEditingId(null);
+  };
+
+  const handleCancelEdit = () => {
+    // A new prompt that was never given text is dropped
+    onChange(prompts.filter(prompt => prompt.id !== editingId || prompt.text.trim()));
+    setEditingId(null);
+  };
+
+  const handleMove = (index, offset) => {
+    const reordered = [...prompts];
+    const [moved] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, moved);
+    onChange(reordered);
+  };
+
+  return (
+    <Box>
+      {prompts.length === 0 && (
+        <Typography variant="body2" color="text.secondary" sx={{ py: 1 }}>
+          {emptyText}
+        </Typography>
+      )}
+
+      {prompts.map((prompt, index) => (
+        <Box
+          key={prompt.id}
+          sx={{
+            p: 1.5,
+            mb: 1,
+            border: '1px solid #333',
+            borderRadius: 1,
+          }}
+        >
+          {editingId === prompt.id ? (
+            <Box>
+              <TextField
+                fullWidth
+                size="small"
+                label="Label (optional)"
+                value={draft.label}
+                onChange={(e) => setDraft({ ...draft, label: e.target.value })}
+                sx={{ mb: 1 }}
+              />
+              <TextField
+                fullWidth
+                multiline
+                minRows={2}
+                size="small"
+                label="Prompt"
+                value={draft.text}
+                onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+                autoFocus
+              />
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 0.5, mt: 1 }}>
+                <Typography variant="caption" color="text.secondary" sx={{ mr: 0.5 }}>
+                  Insert:
+                </Typography>
+                {PROMPT_VARIABLES.map(variable => (
+                  <Tooltip key={variable.name} title={variable.description}>
+                    <Chip
+                      label={`{{${variable.name}}}`}
+                      size="small"
+                      variant="outlined"
+                      onClick={() => setDraft({ ...draft, text: `${draft.text}{{${variable.name}}}` })}
+                      sx={{ fontSize: '0.7rem' }}
+                    />
+                  </Tooltip>
+                ))}
+                <Box sx={{ flexGrow: 1 }} />
+                <Button size="small" onClick={handleCancelEdit}>Cancel</Button>
+                <Button size="small" variant="contained" onClick={handleSaveEdit} disabled={!draft.text.trim()}>
+                  Done
+                </Button>
+              </Box>
+            </Box>
+          ) : (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Box sx={{ flex: 1, minWidth: 0 }}>
+                {prompt.label && (
+                  <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                    {prompt.label}
+                  </Typography>
+                )}
+                <Typography variant="body2" color={prompt.label ? 'text.secondary' : 'text.primary'} sx={{ wordBreak: 'break-word' }}>
+                  {prompt.text}
+                </Typography>
+              </Box>
+              <IconButton size="small" onClick={() => handleMove(index, -1)} disabled={disabled || index === 0}>
+                <ArrowUpward fontSize="small" />
+              </IconButton>
+              <IconButton size="small" onClick={() => handleMove(index, 1)} disabled={disabled || index === prompts.length - 1}>
+                <ArrowDownward fontSize="small" />
+              </IconButton>
+              {onShare && (
+                <Tooltip title="Copy to share">
+                  <IconButton size="small" onClick={() => onShare([prompt])} disabled={disabled}>
+                    <Share fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              )}
+              <Tooltip title="Edit">
+                <IconButton size="small" onClick={() => startEditing(prompt)} disabled={disabled || !!editingId}>
+                  <Edit fontSize="small" />
+                </IconButton>
+              </Tooltip>
+              <Tooltip title="Delete">
+                <IconButton
+                  size="small"
+                  onClick={() => onChange(prompts.filter(p => p.id !== prompt.id))}
+                  disabled={disabled}
+                  sx={{ '&:hover': { color: 'error.main' } }}
+                >
+                  <Delete fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            </Box>
+          )}
+        </Box>
+      ))}
+
+      <Button size="small" startIcon={<Add />} onClick={handleAdd} disabled={disabled || !!editingId}>
+        Add prompt
+      </Button>
+    </Box>
+  );
+}
+
+/**
+ * Manage the prompts offered as quick questions in AI chat
+ */
+function PromptLibraryDialog({ open, onClose, prompts, templates = [], onSaved, onError, onSuccess }) {
+  const [draft, setDraft] = useState([]);
+  const [showImport, setShowImport] = useState(false);
+  const [importText, setImportText] = useState('');
+  const [importError, setImportError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+
+    setDraft(prompts);
+    setShowImport(false);
+    setImportText('');
+    setImportError(null);
+  }, [open]);
+
+  const handleShare = async (shared) => {
+    try {
+      await navigator.clipboard.writeText(PromptLibraryService.sharePrompts(shared));
+      onSuccess(shared.length === 1 ? 'Prompt copied - paste it to a colleague' : `${shared.length} prompts copied`);
+    } catch (error) {
+      onError('Could not copy to the clipboard');
+    }
+  };
+
+  const handleImport = () => {
+    try {
+      const imported = PromptLibraryService.parseSharedPrompts(importText);
+      setDraft([...draft, ...imported]);
+      setShowImport(false);
+      setImportText('');
+      setImportError(null);
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const result = await PromptLibraryService.savePrompts(draft);
+      if (result.success) {
+        onSuccess('Prompt library saved');
+        onSaved(result.prompts);
+        onClose();
+      } else {
+        // Still saved on this device
+        onError(`Prompts saved on this device only: ${result.error}`);
+        onSaved(PromptLibraryService.getLocalCopy() || draft);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={saving ? undefined : onClose}
+      maxWidth="sm"
+      fullWidth
+      PaperProps={{
+        sx: {
+          backgroundColor: '#1e1e1e',
+          border: '1px solid #333',
+        },
+      }}
+    >
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <LibraryBooks />
+        Prompt library
+      </DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Prompts appear as quick questions in AI chat. Variables such as {'{{candidate}}'} and {'{{role}}'} are
+          filled from the transcript.
+        </Typography>
+
+        <PromptListEditor
+          prompts={draft}
+          onChange={setDraft}
+          onShare={handleShare}
+          disabled={saving}
+        />
+
+        <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+          <Button size="small" startIcon={<ContentPaste />} onClick={() => setShowImport(!showImport)} disabled={saving}>
+            Import shared
+          </Button>
+          <Button size="small" startIcon={<Share />} onClick={() => handleShare(draft)} disabled={saving || draft.length === 0}>
+            Share all
+          </Button>
+          <Button size="small" startIcon={<RestartAlt />} onClick={() => setDraft(DEFAULT_PROMPTS)} disabled={saving}>
+            Reset to defaults
+          </Button>
+        </Box>
+
+        <Collapse in={showImport}>
+          <Box sx={{ mt: 1 }}>
+            <TextField
+              fullWidth
+              multiline
+              minRows={2}
+              size="small"
+              placeholder="Paste prompts shared by a colleague"
+              value={importText}
+              onChange={(e) => setImportText(e.target.value)}
+              error={!!importError}
+              helperText={importError}
+            />
+            <Button size="small" variant="outlined" onClick={handleImport} disabled={!importText.trim()} sx={{ mt: 1 }}>
+              Import
+            </Button>
+          </Box>
+        </Collapse>
+
+        {templates.length > 0 && (
+          <Box sx={{ mt: 3 }}>
+            <Typography variant="subtitle2" sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+              <Business fontSize="small" />
+              Organisation templates
+            </Typography>
+            {templates.map(template => (
+              <Box
+                key={template.id}
+                sx={{ display: 'flex', alignItems: 'center', gap: 1, p: 1, mb: 0.5, borderRadius: 1, backgroundColor: 'rgba(255, 255, 255, 0.03)' }}
+              >
+                <Typography variant="body2" sx={{ flex: 1, wordBreak: 'break-word' }}>
+                  {template.label ? <strong>{template.label}: </strong> : null}
+                  {template.text}
+                </Typography>
+                <Button
+                  size="small"
+                  onClick={() => setDraft([...draft, PromptLibraryService.createPrompt(template.text, template.label || '')])}
+                  disabled={saving}
+                >
+                  Copy to mine
+                </Button>
+              </Box>
+            ))}
+          </Box>
+        )}
+
+        {draft.length === 0 && templates.length === 0 && (
+          <Alert severity="info" sx={{ mt: 2 }}>
+            Without prompts no quick questions are shown in AI chat.
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={saving}
+          startIcon={saving ? <CircularProgress size={16} /> : null}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default PromptLibraryDialog;
@@ -20,6 +20,7 @@ import {
   Divider,
   Alert,
   Collapse,
+  TextField,
 } from '@mui/material';
 import {
   Mic,
@@ -33,10 +34,29 @@ import {
   SpeakerOutlined,
   ExpandMore,
   Help,
+  Timer,
 } from '@mui/icons-material';
+import LiveTranscriptPanel from './LiveTranscriptPanel';
+import apiService from '../services/ApiService';
+import LiveUploadService from '../services/LiveUploadService';
+
+// RMS below this counts as silence for the "no signal" warning
+const SIGNAL_THRESHOLD = 0.01;
+// Seconds of continuous silence before a channel is flagged
+const NO_SIGNAL_WARNING_SECONDS = 5;
+// File extension and MIME type for each upload codec - anything else is sent as recorded
+const UPLOAD_FILE_TYPES = {
+  wav: { extension: 'wav', type: 'audio/wav' },
+  flac: { extension: 'flac', type: 'audio/flac' },
+  opus: { extension: 'opus', type: 'audio/ogg' }
+};
+// Fallback order when the preferred codec isn't accepted by the backend
+const UPLOAD_CODEC_PREFERENCE = ['flac', 'opus', 'wav'];
 
 function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
   const [isRecording, setIsRecording] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+  const [isTogglingPause, setIsTogglingPause] = useState(false);
   const [recordingTime, setRecordingTime] = useState(0);
   const [audioDevices, setAudioDevices] = useState({ input: [], output: [] });
   const [processingStatus, setProcessingStatus] = useState('');
@@ -47,18 +67,36 @@ function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
   const [selectedOutputDevice, setSelectedOutputDevice] = useState('default');
   const [useDeviceSelection, setUseDeviceSelection] = useState(false);
   const [showSetupHelp, setShowSetupHelp] = useState(false);
+  const [audioLevels, setAudioLevels] = useState({ input: null, output: null });
+  const [silentSeconds, setSilentSeconds] = useState({ input: 0, output: 0 });
+  const [segmentDuration, setSegmentDuration] = useState(60);
+  const [segmentOverlap, setSegmentOverlap] = useState(0);
+  const [uploadCodec, setUploadCodec] = useState('flac');
+  const [uploadBitrate, setUploadBitrate] = useState(32);
+
+  // Recording settings the user has set - the others keep following the env config
+  const editedSettingsRef = useRef(new Set());
 
   const timerRef = useRef(null);
   const recordingSessionRef = useRef(null);
+  const lastSignalRef = useRef({ input: 0, output: 0 });
+  // Live upload: unsubscribe from segment announcements, and segmentId -> prepared upload (promise)
+  const segmentUnsubscribeRef = useRef(null);
+  const liveSegmentsRef = useRef(new Map());
 
   useEffect(() => {
-    // Load available audio devices
+    // Load available audio devices and saved segment settings
     loadAudioDevices();
+    loadRecordingSettings();
+
+    return () => {
+      stopLiveUpload();
+    };
   }, []);
 
   useEffect(() => {
-    // Update timer during recording
-    if (isRecording) {
+    // Update timer during recording - paused time is not counted
+    if (isRecording && !isPaused) {
       timerRef.current = setInterval(() => {
         setRecordingTime(prev => prev + 1);
       }, 1000);
@@ -74,7 +112,40 @@ function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
         clearInterval(timerRef.current);
       }
     };
-  }, [isRecording]);
+  }, [isRecording, isPaused]);
+
+  useEffect(() => {
+    // Subscribe to live levels from the main process while actively recording
+    if (!isRecording || isPaused || !window.electronAPI?.audio?.onLevel) {
+      setAudioLevels({ input: null, output: null });
+      setSilentSeconds({ input: 0, output: 0 });
+      return undefined;
+    }
+
+    const startedAt = Date.now();
+    lastSignalRef.current = { input: startedAt, output: startedAt };
+
+    const unsubscribe = window.electronAPI.audio.onLevel((levels) => {
+      const now = levels.timestamp || Date.now();
+
+      ['input', 'output'].forEach(channel => {
+        const level = levels[channel];
+        if (!level || level.rms >= SIGNAL_THRESHOLD) {
+          lastSignalRef.current[channel] = now;
+        }
+      });
+
+      setAudioLevels({ input: levels.input, output: levels.output });
+      setSilentSeconds({
+        input: Math.floor((now - lastSignalRef.current.input) / 1000),
+        output: Math.floor((now - lastSignalRef.current.output) / 1000)
+      });
+    });
+
+    return () => {
+      unsubscribe();
+    };
+  }, [isRecording, isPaused]);
 
   const loadAudioDevices = async () => {
     try {
@@ -92,6 +163,46 @@ function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
     }
   };
 
+  const loadRecordingSettings = async () => {
+    try {
+      const settings = await window.electronAPI.storage.get('recordingSettings');
+      if (settings) {
+        setSegmentDuration(settings.segmentDuration ?? 60);
+        setSegmentOverlap(settings.segmentOverlap ?? 0);
+        setUploadCodec(settings.uploadCodec ?? 'flac');
+        setUploadBitrate(settings.uploadBitrate ?? 32);
+        editedSettingsRef.current = new Set(Object.keys(settings));
+      }
+    } catch (error) {
+      console.warn('Failed to load recording settings:', error);
+    }
+  };
+
+  const editRecordingSetting = (key, setValue) => (e) => {
+    editedSettingsRef.current.add(key);
+    setValue(e.target.value);
+  };
+
+  // Segment settings are read by the main process when the next recording starts
+  // Only edited values are stored so the fields' defaults don't override RECORDING_* env config
+  const saveRecordingSettings = async () => {
+    const values = {
+      segmentDuration: Number(segmentDuration),
+      segmentOverlap: Number(segmentOverlap),
+      uploadCodec,
+      uploadBitrate: Number(uploadBitrate)
+    };
+
+    try {
+      await window.electronAPI.storage.set('recordingSettings', Object.fromEntries(
+        Object.entries(values).filter(([key]) => editedSettingsRef.current.has(key))
+      ));
+    } catch (error) {
+      console.warn('Failed to save recording settings:', error);
+      onError('Failed to save recording settings');
+    }
+  };
+
   const handleDeviceSettingsOpen = () => {
     setShowDeviceSettings(true);
     loadAudioDevices(); // Refresh devices when opening
@@ -104,6 +215,7 @@ function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
   const handleDeviceSettingsSave = () => {
     setUseDeviceSelection(true);
     setShowDeviceSettings(false);
+    saveRecordingSettings();
 
     const inputDeviceName = audioDevices.input.find(d => d.id === selectedInputDevice)?.name || selectedInputDevice;
     const outputDeviceName = audioDevices.output.find(d => d.id === selectedOutputDevice)?.name || selectedOutputDevice;
@@ -114,12 +226,14 @@ function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
   const handleUseAutoDetection = () => {
     setUseDeviceSelection(false);
     setShowDeviceSettings(false);
+    saveRecordingSettings();
     onSuccess('Switched to auto device detection mode');
   };
 
   const startRecording = async () => {
     try {
       setIsRecording(true);
+      setIsPaused(false);
       setRecordingTime(0);
 
       // TEMP_DEBUG_FRONTEND_001: Log recording start
@@ -137,6 +251,7 @@ function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
 
       if (result.success) {
         recordingSessionRef.current = result.sessionId;
+        startLiveUpload(result.sessionId);
         onSuccess('✅ Dual recording started: Microphone + System Audio (Native)');
       } else {
         setIsRecording(false);
@@ -151,14 +266,19 @@ function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
   };
 
   const stopRecording = async () => {
+    const sessionId = recordingSessionRef.current;
+
     try {
       setIsRecording(false);
+      setIsPaused(false);
       setIsProcessing(true);
       setProcessingStatus('Stopping recording...');
 
 
       const result = await window.electronAPI.audio.stopDualRecording();
 
+      // The last segment is announced before the stop result arrives
+      stopLiveUpload();
 
       if (result.success) {
         // Check if dualAudioData exists
@@ -182,8 +302,14 @@ function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
         // Convert all segment file paths to File objects for backend upload
         const inputFiles = [];
         const outputFiles = [];
+        // Segment metadata annotated with which files were read, so silent segments can be dropped later
+        const uploadSegments = [];
 
         const segments = result.dualAudioData?.segments || [];
+        // Segments prepared for the live upload are reused instead of being encoded and read again
+        const liveSegments = await Promise.all(segments.map(segment => liveSegmentsRef.current.get(segment.segmentId) || null));
+        const encodedSegments = await encodeSegmentsForUpload(segments.filter((segment, i) => !liveSegments[i]));
+        let encodedIndex = 0;
         const inputFilePaths = result.dualAudioData?.inputFiles || [];
         const outputFilePaths = result.dualAudioData?.outputFiles || [];
 
@@ -191,18 +317,35 @@ function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
         // Use segments array if available, otherwise fall back to file paths
         if (segments.length > 0) {
           for (let i = 0; i < segments.length; i++) {
-            const segment = segments[i];
-
-            const inputFile = await createFileFromPath(segment.inputFile, `microphone-segment-${i + 1}`);
-
-            // Only try to create output file if it exists and has output audio
+            const live = liveSegments[i];
+            let segment;
+            let inputFile;
             let outputFile = null;
-            if (segment.hasOutputAudio && segment.outputFile) {
-              outputFile = await createFileFromPath(segment.outputFile, `system-segment-${i + 1}`);
+
+            if (live) {
+              // Final metadata (overlap, speech) with the files the live upload already encoded
+              segment = {
+                ...segments[i],
+                inputFile: live.segment.inputFile,
+                outputFile: live.segment.outputFile,
+                codec: live.segment.codec,
+                outputCodec: live.segment.outputCodec
+              };
+              inputFile = live.microphoneFile;
+              outputFile = live.systemFile;
+            } else {
+              segment = encodedSegments[encodedIndex++];
+              inputFile = await createFileFromPath(segment.inputFile, `microphone-segment-${i + 1}`, segment.codec);
+
+              // Only try to create output file if it exists and has output audio
+              if (segment.hasOutputAudio && segment.outputFile) {
+                outputFile = await createFileFromPath(segment.outputFile, `system-segment-${i + 1}`, segment.outputCodec);
+              }
             }
 
             if (inputFile) inputFiles.push(inputFile);
             if (outputFile) outputFiles.push(outputFile);
+            uploadSegments.push({ ...segment, hasInputFile: !!inputFile, hasOutputFile: !!outputFile });
           }
         } else if (inputFilePaths.length > 0) {
           // Fallback: use file paths directly
@@ -226,13 +369,16 @@ function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
 
         // Create segmented dual audio object for backend
         const dualAudioData = {
+          sessionId: result.dualAudioData?.sessionId || recordingSessionRef.current, // Same session across pauses
           inputFiles: inputFiles,  // Array of File objects
           outputFiles: outputFiles, // Array of File objects
           hasDualAudio: inputFiles.length > 0 && outputFiles.length > 0,
           isSegmented: true,
           totalSegments: result.dualAudioData?.totalSegments || inputFiles.length,
           totalDuration: result.dualAudioData?.totalDuration || 0,
-          segments: result.dualAudioData?.segments || [] // Add segments data for accurate timestamps
+          pausedDuration: result.dualAudioData?.pausedDuration || 0,
+          segments: uploadSegments, // Add segments data for accurate timestamps
+          silentSegments: result.dualAudioData?.silentSegments || 0
         };
 
         // COMPREHENSIVE DEBUG: Log the complete data flow
@@ -378,13 +524,101 @@ function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
       console.error('Failed to stop recording:', error);
       onError(`Failed to process recording: ${error.message}`);
     } finally {
+      stopLiveUpload();
+      // Completed by MainInterface on success - anything left didn't make it that far
+      LiveUploadService.discardSession(sessionId);
+      liveSegmentsRef.current = new Map();
       setIsProcessing(false);
       setProcessingStatus('');
     }
   };
 
+  // Upload every finished segment right away, so the transcript is ready soon after Stop
+  const startLiveUpload = (sessionId) => {
+    stopLiveUpload();
+    liveSegmentsRef.current = new Map();
+
+    if (!window.electronAPI?.audio?.onSegmentCompleted) return;
+    LiveUploadService.startSession(sessionId);
+    if (!LiveUploadService.isActive(sessionId)) return;
+
+    segmentUnsubscribeRef.current = window.electronAPI.audio.onSegmentCompleted(({ sessionId: segmentSessionId, segment }) => {
+      if (segmentSessionId !== sessionId) return;
+
+      // Silent segments are dropped before upload anyway
+      if (segment.hasSpeech === false) {
+        LiveUploadService.skipSegment(sessionId, segment);
+        return;
+      }
+
+      const preparation = prepareLiveSegment(segment);
+      liveSegmentsRef.current.set(segment.segmentId, preparation);
+      LiveUploadService.addSegment(sessionId, segment, preparation);
+    });
+  };
+
+  const stopLiveUpload = () => {
+    if (segmentUnsubscribeRef.current) {
+      segmentUnsubscribeRef.current();
+      segmentUnsubscribeRef.current = null;
+    }
+  };
+
+  // Encode and read one finished segment - resolves to null if its audio can't be read
+  const prepareLiveSegment = async (segment) => {
+    try {
+      const [encoded] = await encodeSegmentsForUpload([segment], { showStatus: false });
+      const microphoneFile = await createFileFromPath(encoded.inputFile, `microphone-${encoded.segmentId}`, encoded.codec);
+      if (!microphoneFile) return null;
+
+      const systemFile = encoded.hasOutputAudio && encoded.outputFile
+        ? await createFileFromPath(encoded.outputFile, `system-${encoded.segmentId}`, encoded.outputCodec)
+        : null;
+
+      return { segment: encoded, microphoneFile, systemFile };
+    } catch (error) {
+      console.warn(`⚠️ Could not prepare segment ${segment.segmentId} for live upload:`, error.message);
+      return null;
+    }
+  };
+
   // Helper function to create File objects from file paths
-  const createFileFromPath = async (filePath, prefix) => {
+  // Pick the preferred codec if the backend accepts it, otherwise the first accepted fallback
+  const selectUploadCodec = (acceptedCodecs) => {
+    // Without a format list from the backend only WAV is known to be safe
+    if (!acceptedCodecs) return 'wav';
+
+    const candidates = [uploadCodec, ...UPLOAD_CODEC_PREFERENCE];
+    return candidates.find(codec => acceptedCodecs.includes(codec)) || 'wav';
+  };
+
+  // Compress finished segments in the main process before they are read for upload
+  const encodeSegmentsForUpload = async (segments, { showStatus = true } = {}) => {
+    if (segments.length === 0) return segments;
+
+    try {
+      const codec = selectUploadCodec(await apiService.getAcceptedUploadCodecs());
+      if (codec === 'wav') return segments;
+
+      if (showStatus) setProcessingStatus(`Encoding ${segments.length} audio segments to ${codec.toUpperCase()}...`);
+      const result = await window.electronAPI.audio.encodeSegments(segments, {
+        codec,
+        bitrate: Number(uploadBitrate)
+      });
+
+      if (!result.success) {
+        console.warn('⚠️ Segment encoding failed, uploading as recorded:', result.error);
+        return segments;
+      }
+
+      return result.segments;
+    } catch (error) {
+      console.warn('⚠️ Segment encoding failed, uploading as recorded:', error.message);
+      return segments;
+    }
+  };
+
+  const createFileFromPath = async (filePath, prefix, codec = 'wav') => {
     try {
       if (!filePath) {
         console.log('⚠️ No file path provided, skipping file creation');
@@ -399,12 +633,13 @@ function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
       console.log(`📁 IPC result for ${filePath}:`, result);
 
       if (result.success) {
-        const filename = `${prefix}-${Date.now()}.wav`;
+        const fileType = UPLOAD_FILE_TYPES[codec] || UPLOAD_FILE_TYPES.wav;
+        const filename = `${prefix}-${Date.now()}.${fileType.extension}`;
         console.log(`✅ Successfully read file, creating File object: ${filename}`);
 
         // Create a File object from the buffer
-        const blob = new Blob([new Uint8Array(result.buffer)], { type: 'audio/wav' });
-        const file = new File([blob], filename, { type: 'audio/wav' });
+        const blob = new Blob([new Uint8Array(result.buffer)], { type: fileType.type });
+        const file = new File([blob], filename, { type: fileType.type });
         console.log(`✅ File object created:`, {
           name: file.name,
           size: file.size,
@@ -421,6 +656,29 @@ function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
     }
   };
 
+  const togglePause = async () => {
+    if (!isRecording || isTogglingPause) return;
+
+    setIsTogglingPause(true);
+    try {
+      const result = isPaused
+        ? await window.electronAPI.audio.resumeDualRecording()
+        : await window.electronAPI.audio.pauseDualRecording();
+
+      if (result.success) {
+        setIsPaused(!isPaused);
+        onSuccess(isPaused ? 'Recording resumed' : 'Recording paused');
+      } else {
+        onError(result.error || `Failed to ${isPaused ? 'resume' : 'pause'} recording`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to toggle pause:', error);
+      onError(`Failed to ${isPaused ? 'resume' : 'pause'} recording: ${error.message}`);
+    } finally {
+      setIsTogglingPause(false);
+    }
+  };
+
   const toggleMicMute = async () => {
     if (!isRecording) return;
 
@@ -441,20 +699,75 @@ function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
   };
 
+  // Map RMS onto a -60dB..0dB scale for the meter
+  const levelToPercent = (rms) => {
+    if (!rms || rms <= 0) return 0;
+    const db = 20 * Math.log10(rms);
+    return Math.max(0, Math.min(100, ((db + 60) / 60) * 100));
+  };
+
+  const getLevelColor = (level) => {
+    if (!level) return 'text.secondary';
+    if (level.peak >= 0.95) return 'error.main';
+    if (level.peak >= 0.7) return 'warning.main';
+    return 'success.main';
+  };
+
+  const renderLevelMeter = (channel, label, icon) => {
+    const level = audioLevels[channel];
+    const silentFor = silentSeconds[channel];
+
+    return (
+      <Box sx={{ mb: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+          {icon}
+          <Typography variant="caption" color="text.secondary" sx={{ flexGrow: 1 }}>
+            {label}
+          </Typography>
+          {!level ? (
+            <Typography variant="caption" color="text.secondary">
+              Not available
+            </Typography>
+          ) : silentFor >= NO_SIGNAL_WARNING_SECONDS && (
+            <Typography variant="caption" sx={{ color: 'warning.main', fontWeight: 600 }}>
+              No signal for {silentFor} seconds
+            </Typography>
+          )}
+        </Box>
+        <LinearProgress
+          variant="determinate"
+          value={levelToPercent(level?.rms)}
+          sx={{
+            height: 8,
+            borderRadius: 4,
+            backgroundColor: 'rgba(255, 255, 255, 0.1)',
+            '& .MuiLinearProgress-bar': {
+              backgroundColor: getLevelColor(level),
+              transition: 'transform 0.1s linear',
+            },
+          }}
+        />
+      </Box>
+    );
+  };
+
   const getRecordingStatusColor = () => {
     if (isProcessing) return 'warning';
+    if (isRecording && isPaused) return 'info';
     if (isRecording) return 'error';
     return 'default';
   };
 
   const getRecordingStatusText = () => {
     if (isProcessing) return 'Processing...';
+    if (isRecording && isPaused) return 'Paused';
     if (isRecording && isMicMuted) return 'Recording (Mic Muted)';
     if (isRecording) return 'Recording';
     return 'Ready';
   };
 
   const getRecordingStatusIcon = () => {
+    if (isRecording && isPaused) return <Pause />;
     if (isRecording && isMicMuted) return <MicOff />;
     if (isRecording) return <Mic />;
     return <MicOff />;
@@ -500,14 +813,14 @@ function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
               sx={{
                 fontWeight: 600,
                 fontFamily: 'monospace',
-                color: isRecording ? 'error.main' : 'text.primary',
+                color: isRecording ? (isPaused ? 'info.main' : 'error.main') : 'text.primary',
                 mb: 1,
               }}
             >
               {formatTime(recordingTime)}
             </Typography>
 
-            {isRecording && (
+            {isRecording && !isPaused && (
               <LinearProgress
                 sx={{
                   mb: 2,
@@ -522,6 +835,24 @@ function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
             )}
           </Box>
 
+          {/* Live Audio Levels */}
+          {isRecording && !isPaused && (
+            <Box sx={{
+              p: 1.5,
+              mb: 2,
+              backgroundColor: 'rgba(255, 255, 255, 0.05)',
+              borderRadius: 1,
+            }}>
+              {renderLevelMeter('input', 'Microphone', <Mic sx={{ fontSize: 16, color: 'text.secondary' }} />)}
+              {renderLevelMeter('output', 'System Audio', <SpeakerOutlined sx={{ fontSize: 16, color: 'text.secondary' }} />)}
+            </Box>
+          )}
+
+          {/* Live Transcript of the segments finished so far */}
+          {isRecording && LiveUploadService.isActive(recordingSessionRef.current) && (
+            <LiveTranscriptPanel sessionId={recordingSessionRef.current} />
+          )}
+
           {/* Recording Controls */}
           <Box sx={{ display: 'flex', justifyContent: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
             {!isRecording ? (
@@ -564,12 +895,29 @@ function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
                   Stop Recording
                 </Button>
 
+                <Button
+                  variant={isPaused ? "contained" : "outlined"}
+                  color="info"
+                  size="large"
+                  onClick={togglePause}
+                  disabled={isProcessing || isTogglingPause}
+                  startIcon={isPaused ? <PlayArrow /> : <Pause />}
+                  sx={{
+                    px: 3,
+                    py: 1.5,
+                    borderRadius: 2,
+                    fontWeight: 600,
+                  }}
+                >
+                  {isPaused ? 'Resume' : 'Pause'}
+                </Button>
+
                 <Button
                   variant={isMicMuted ? "contained" : "outlined"}
                   color={isMicMuted ? "warning" : "primary"}
                   size="large"
                   onClick={toggleMicMute}
-                  disabled={isProcessing}
+                  disabled={isProcessing || isPaused}
                   startIcon={isMicMuted ? <MicOff /> : <Mic />}
                   sx={{
                     px: 3,
@@ -793,6 +1141,73 @@ function RecordingPanel({ onRecordingComplete, onError, onSuccess }) {
             </Alert>
           </Box>
 
+          <Divider sx={{ my: 3 }} />
+
+          {/* Segment Settings */}
+          <Box sx={{ mb: 3 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+              <Timer color="primary" />
+              <Typography variant="h6">Recording Segments</Typography>
+            </Box>
+
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label="Segment length (seconds)"
+                type="number"
+                value={segmentDuration}
+                onChange={editRecordingSetting('segmentDuration', setSegmentDuration)}
+                inputProps={{ min: 15, max: 600 }}
+                helperText="Between 15 and 600 seconds"
+                fullWidth
+                sx={{ '& .MuiOutlinedInput-root': { backgroundColor: 'rgba(255, 255, 255, 0.05)' } }}
+              />
+              <TextField
+                label="Overlap (seconds)"
+                type="number"
+                value={segmentOverlap}
+                onChange={editRecordingSetting('segmentOverlap', setSegmentOverlap)}
+                inputProps={{ min: 0, max: 10, step: 0.5 }}
+                helperText="Audio repeated at segment boundaries (0 to disable)"
+                fullWidth
+                sx={{ '& .MuiOutlinedInput-root': { backgroundColor: 'rgba(255, 255, 255, 0.05)' } }}
+              />
+            </Box>
+
+            <Alert severity="info" sx={{ mt: 2 }}>
+              <Typography variant="body2">
+                An overlap of a few seconds keeps words at segment boundaries from being cut in half.
+                Changes apply to the next recording.
+              </Typography>
+            </Alert>
+
+            <Box sx={{ display: 'flex', gap: 2, mt: 3 }}>
+              <FormControl fullWidth>
+                <InputLabel>Upload format</InputLabel>
+                <Select
+                  value={uploadCodec}
+                  onChange={editRecordingSetting('uploadCodec', setUploadCodec)}
+                  label="Upload format"
+                  sx={{ backgroundColor: 'rgba(255, 255, 255, 0.05)' }}
+                >
+                  <MenuItem value="flac">FLAC (lossless)</MenuItem>
+                  <MenuItem value="opus">Opus (smallest)</MenuItem>
+                  <MenuItem value="wav">WAV (uncompressed)</MenuItem>
+                </Select>
+              </FormControl>
+              <TextField
+                label="Opus bitrate (kbps)"
+                type="number"
+                value={uploadBitrate}
+                onChange={editRecordingSetting('uploadBitrate', setUploadBitrate)}
+                inputProps={{ min: 8, max: 256 }}
+                helperText="24-48 kbps is enough for speech"
+                disabled={uploadCodec !== 'opus'}
+                fullWidth
+                sx={{ '& .MuiOutlinedInput-root': { backgroundColor: 'rgba(255, 255, 255, 0.05)' } }}
+              />
+            </Box>
+          </Box>
+
           {/* Device Counts */}
           <Box sx={{
             mt: 3,
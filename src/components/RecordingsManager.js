@@ -55,6 +55,8 @@ function RecordingsManager({ onError, onSuccess, onRefresh }) {
   const [showDeleteDialog, setShowDeleteDialog] = useState(false);
   const [recordingToDelete, setRecordingToDelete] = useState(null);
   const [expandedItems, setExpandedItems] = useState(new Set());
+  const [merging, setMerging] = useState({});
+  const [mergedAudio, setMergedAudio] = useState({});
 
   useEffect(() => {
     loadRecordings();
@@ -214,6 +216,52 @@ function RecordingsManager({ onError, onSuccess, onRefresh }) {
     }
   };
 
+  // Merge the session's local segments (mic left, system right) into one WAV file
+  const mergeSessionAudio = async (recording) => {
+    const result = await window.electronAPI.audio.mergeSession(recording.sessionId, { mode: 'stereo' });
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to merge session audio');
+    }
+    return result;
+  };
+
+  const handlePlaySession = async (recording) => {
+    try {
+      setMerging(prev => ({ ...prev, [recording.id]: true }));
+
+      // The merged file is streamed from disk through its media URL rather than loaded into memory
+      const merged = await mergeSessionAudio(recording);
+      setMergedAudio(prev => ({
+        ...prev,
+        [recording.id]: { url: merged.url, duration: merged.duration }
+      }));
+    } catch (error) {
+      onError(error.message);
+    } finally {
+      setMerging(prev => ({ ...prev, [recording.id]: false }));
+    }
+  };
+
+  const handleExportSession = async (recording) => {
+    try {
+      setMerging(prev => ({ ...prev, [recording.id]: true }));
+
+      const result = await window.electronAPI.audio.exportSession(recording.sessionId, {
+        mode: 'stereo',
+        defaultPath: `${recording.title || recording.sessionId}.wav`
+      });
+      if (result.success) {
+        onSuccess('Session audio exported successfully');
+      } else if (!result.canceled) {
+        onError(result.error || 'Failed to export session audio');
+      }
+    } catch (error) {
+      onError(error.message);
+    } finally {
+      setMerging(prev => ({ ...prev, [recording.id]: false }));
+    }
+  };
+
   const toggleExpanded = (recordingId) => {
     const newExpanded = new Set(expandedItems);
     if (newExpanded.has(recordingId)) {
@@ -743,8 +791,48 @@ function RecordingsManager({ onError, onSuccess, onRefresh }) {
                         )}
                       </Grid>
 
+                      {/* Merged session playback */}
+                      {mergedAudio[recording.id] && (
+                        <Box sx={{ mt: 2 }}>
+                          <Typography variant="subtitle2" sx={{ mb: 1, color: 'primary.main' }}>
+                            Full Session ({formatDuration(mergedAudio[recording.id].duration)}) - microphone left, system audio right
+                          </Typography>
+                          <audio
+                            controls
+                            src={mergedAudio[recording.id].url}
+                            style={{ width: '100%' }}
+                          />
+                        </Box>
+                      )}
+
                       {/* Action Buttons */}
                       <Box sx={{ display: 'flex', gap: 1, mt: 2, flexWrap: 'wrap' }}>
+                        {/* Play/export the whole session from the segments still on this computer */}
+                        {recording.sessionId && window.electronAPI?.audio?.mergeSession && (
+                          <>
+                            <Button
+                              variant="outlined"
+                              color="primary"
+                              size="small"
+                              startIcon={<PlayArrow />}
+                              onClick={() => handlePlaySession(recording)}
+                              disabled={merging[recording.id]}
+                            >
+                              {merging[recording.id] ? 'Merging...' : 'Play Full Session'}
+                            </Button>
+                            <Button
+                              variant="outlined"
+                              color="primary"
+                              size="small"
+                              startIcon={<Download />}
+                              onClick={() => handleExportSession(recording)}
+                              disabled={merging[recording.id]}
+                            >
+                              Export Session Audio
+                            </Button>
+                          </>
+                        )}
+
                         {/* Retry Recording for pending recordings without audio files */}
                         {recording.status === 'pending' && (!recording.audioFiles || recording.audioFiles.length === 0) && (
                           <Button
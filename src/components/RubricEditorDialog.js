@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Typography,
+  TextField,
+  IconButton,
+  Tooltip,
+  Card,
+  CardContent,
+  CircularProgress,
+} from '@mui/material';
+import {
+  Add,
+  Delete,
+  Grading,
+} from '@mui/icons-material';
+import ScorecardService, { SCORE_LEVELS } from '../services/ScorecardService';
+
+/**
+ * Create or edit a rubric: competencies, each with what a score of 1 to 5 looks like
+ */
+function RubricEditorDialog({ open, rubric, onClose, onSave, saving = false }) {
+  const [draft, setDraft] = useState(ScorecardService.createRubric());
+
+  useEffect(() => {
+    if (open) {
+      setDraft(rubric ? JSON.parse(JSON.stringify(rubric)) : ScorecardService.createRubric());
+    }
+  }, [open, rubric]);
+
+  const updateCompetency = (competencyId, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      competencies: prev.competencies.map(competency => (
+        competency.id === competencyId ? { ...competency, ...changes } : competency
+      ))
+    }));
+  };
+
+  const updateAnchor = (competency, index, text) => {
+    const anchors = [...competency.anchors];
+    anchors[index] = text;
+    updateCompetency(competency.id, { anchors });
+  };
+
+  const isValid = draft.name.trim() &&
+    draft.competencies.length > 0 &&
+    draft.competencies.every(competency => competency.name.trim());
+
+  return (
+    <Dialog
+      open={open}
+      onClose={saving ? undefined : onClose}
+      maxWidth="md"
+      fullWidth
+      PaperProps={{
+        sx: {
+          backgroundColor: '#1e1e1e',
+          border: '1px solid #333',
+        },
+      }}
+    >
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <Grading />
+        {rubric ? 'Edit rubric' : 'New rubric'}
+      </DialogTitle>
+      <DialogContent>
+        <TextField
+          fullWidth
+          label="Name"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          size="small"
+          sx={{ mt: 1, mb: 2 }}
+        />
+        <TextField
+          fullWidth
+          label="Description"
+          value={draft.description || ''}
+          onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+          size="small"
+          sx={{ mb: 3 }}
+        />
+
+        <Typography variant="subtitle2" sx={{ mb: 1 }}>
+          Competencies
+        </Typography>
+
+        {draft.competencies.map((competency, index) => (
+          <Card key={competency.id} sx={{ backgroundColor: '#1a1a1a', border: '1px solid #333', mb: 2 }}>
+            <CardContent>
+              <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+                <TextField
+                  fullWidth
+                  label={`Competency ${index + 1}`}
+                  value={competency.name}
+                  onChange={(e) => updateCompetency(competency.id, { name: e.target.value })}
+                  size="small"
+                />
+                <Tooltip title="Remove competency">
+                  <span>
+                    <IconButton
+                      onClick={() => setDraft({ ...draft, competencies: draft.competencies.filter(c => c.id !== competency.id) })}
+                      disabled={draft.competencies.length === 1}
+                      sx={{ '&:hover': { color: 'error.main' } }}
+                    >
+                      <Delete />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              </Box>
+              <TextField
+                fullWidth
+                label="What it covers"
+                value={competency.description || ''}
+                onChange={(e) => updateCompetency(competency.id, { description: e.target.value })}
+                size="small"
+                sx={{ mb: 1 }}
+              />
+              {SCORE_LEVELS.map((level, anchorIndex) => (
+                <TextField
+                  key={level}
+                  fullWidth
+                  label={`${level} looks like`}
+                  value={competency.anchors[anchorIndex] || ''}
+                  onChange={(e) => updateAnchor(competency, anchorIndex, e.target.value)}
+                  size="small"
+                  sx={{ mt: 1 }}
+                />
+              ))}
+            </CardContent>
+          </Card>
+        ))}
+
+        <Button
+          size="small"
+          startIcon={<Add />}
+          onClick={() => setDraft({ ...draft, competencies: [...draft.competencies, ScorecardService.createCompetency()] })}
+        >
+          Add competency
+        </Button>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={() => onSave(draft)}
+          disabled={!isValid || saving}
+          startIcon={saving ? <CircularProgress size={16} /> : null}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default RubricEditorDialog;
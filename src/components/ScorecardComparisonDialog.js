@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Typography,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  LinearProgress,
+  Tooltip,
+  Alert,
+} from '@mui/material';
+import {
+  CompareArrows,
+  Download,
+} from '@mui/icons-material';
+import apiService from '../services/ApiService';
+import ScorecardService from '../services/ScorecardService';
+
+/**
+ * Submitted scorecards of one rubric side by side, one column per candidate
+ */
+function ScorecardComparisonDialog({ open, onClose, rubrics, initialRubricId, onError, onSuccess }) {
+  const [rubricId, setRubricId] = useState(initialRubricId || '');
+  const [scorecards, setScorecards] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+
+  const rubric = rubrics.find(r => r.id === rubricId);
+
+  useEffect(() => {
+    if (open) {
+      setRubricId(initialRubricId || rubrics[0]?.id || '');
+    }
+  }, [open, initialRubricId, rubrics]);
+
+  useEffect(() => {
+    if (!open || !rubricId) return;
+
+    const loadScorecards = async () => {
+      setLoading(true);
+      setLoadError(null);
+      try {
+        const result = await apiService.getScorecards({ rubricId, status: 'submitted' });
+        if (result.success) {
+          setScorecards(result.scorecards || []);
+        } else {
+          // Shown in the dialog - the load reruns whenever the rubric changes
+          setScorecards([]);
+          setLoadError(result.error || 'Failed to load scorecards');
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadScorecards();
+  }, [open, rubricId]);
+
+  const getScore = (scorecard, competencyId) =>
+    scorecard.competencies.find(competency => competency.competencyId === competencyId)?.score ?? null;
+
+  const handleExport = async () => {
+    try {
+      const content = ScorecardService.comparisonToCsv(rubric, scorecards);
+      const blob = new Blob([content], { type: 'text/csv' });
+      const result = await window.electronAPI.file.downloadBlob({
+        blob: Array.from(new Uint8Array(await blob.arrayBuffer())),
+        filename: `scorecard-comparison-${new Date().toISOString().split('T')[0]}.csv`
+      });
+
+      if (result.success) {
+        onSuccess('Comparison exported as CSV');
+      } else if (!result.canceled) {
+        onError(result.error || 'Failed to export comparison');
+      }
+    } catch (error) {
+      onError('Failed to export comparison');
+    }
+  };
+
+  // Highest score in a row is highlighted
+  const renderScoreCells = (scores) => {
+    const best = Math.max(...scores.filter(score => score !== null));
+
+    return scores.map((score, index) => (
+      <TableCell
+        key={index}
+        align="center"
+        sx={{
+          fontWeight: score !== null && score === best ? 700 : 400,
+          color: score !== null && score === best ? 'primary.main' : 'text.primary',
+        }}
+      >
+        {score ?? '-'}
+      </TableCell>
+    ));
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="lg"
+      fullWidth
+      PaperProps={{
+        sx: {
+          backgroundColor: '#1e1e1e',
+          border: '1px solid #333',
+        },
+      }}
+    >
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <CompareArrows />
+        Compare candidates
+      </DialogTitle>
+      <DialogContent>
+        <FormControl size="small" sx={{ minWidth: 240, mt: 1, mb: 2 }}>
+          <InputLabel>Rubric</InputLabel>
+          <Select
+            value={rubricId}
+            label="Rubric"
+            onChange={(e) => setRubricId(e.target.value)}
+          >
+            {rubrics.map(r => (
+              <MenuItem key={r.id} value={r.id}>{r.name}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+        {loadError && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {loadError}
+          </Alert>
+        )}
+
+        {!loading && !loadError && rubric && scorecards.length === 0 && (
+          <Typography color="text.secondary">
+            No submitted scorecards use this rubric yet
+          </Typography>
+        )}
+
+        {rubric && scorecards.length > 0 && (
+          <TableContainer component={Paper} sx={{ backgroundColor: '#1e1e1e' }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Competency</TableCell>
+                  {scorecards.map(scorecard => (
+                    <TableCell key={scorecard.transcriptId} align="center">
+                      <Tooltip title={scorecard.submittedAt ? `Submitted ${new Date(scorecard.submittedAt).toLocaleDateString()}` : ''}>
+                        <span>{ScorecardService.getCandidateLabel(scorecard)}</span>
+                      </Tooltip>
+                    </TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rubric.competencies.map(competency => (
+                  <TableRow key={competency.id}>
+                    <TableCell>{competency.name}</TableCell>
+                    {renderScoreCells(scorecards.map(scorecard => getScore(scorecard, competency.id)))}
+                  </TableRow>
+                ))}
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 600 }}>Overall</TableCell>
+                  {renderScoreCells(scorecards.map(scorecard => ScorecardService.getOverallScore(scorecard)))}
+                </TableRow>
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button
+          startIcon={<Download />}
+          onClick={handleExport}
+          disabled={!rubric || scorecards.length === 0}
+        >
+          Export CSV
+        </Button>
+        <Box sx={{ flexGrow: 1 }} />
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ScorecardComparisonDialog;
@@ -0,0 +1,406 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Chip,
+  Card,
+  CardContent,
+  LinearProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  ToggleButtonGroup,
+  ToggleButton,
+  TextField,
+  Menu,
+  Tooltip,
+} from '@mui/material';
+import {
+  Grading,
+  AutoAwesome,
+  Save,
+  Send,
+  Edit,
+  Download,
+  CompareArrows,
+} from '@mui/icons-material';
+import apiService from '../services/ApiService';
+import ScorecardService, { SCORE_LEVELS } from '../services/ScorecardService';
+import ScorecardComparisonDialog from './ScorecardComparisonDialog';
+
+const formatEvidenceTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Rubric scorecard of a transcript - the AI proposes a score and evidence per competency,
+ * the interviewer reviews, overrides and submits
+ */
+function ScorecardPanel({ transcript, onError, onSuccess }) {
+  const [rubrics, setRubrics] = useState([]);
+  const [rubricId, setRubricId] = useState('');
+  const [scorecard, setScorecard] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [generating, setGenerating] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [exportAnchorEl, setExportAnchorEl] = useState(null);
+  const [showComparison, setShowComparison] = useState(false);
+
+  const rubric = rubrics.find(r => r.id === (scorecard?.rubricId || rubricId));
+  const isSubmitted = scorecard?.status === 'submitted';
+
+  useEffect(() => {
+    const loadScorecard = async () => {
+      setLoading(true);
+      setScorecard(null);
+      try {
+        const [rubricsResult, scorecardResult] = await Promise.all([
+          apiService.getRubrics(),
+          apiService.getScorecard(transcript.id)
+        ]);
+
+        const loadedRubrics = rubricsResult.success ? rubricsResult.rubrics || [] : [];
+        setRubrics(loadedRubrics);
+
+        if (scorecardResult.success && scorecardResult.scorecard) {
+          setScorecard(scorecardResult.scorecard);
+          setRubricId(scorecardResult.scorecard.rubricId);
+        } else {
+          setRubricId(loadedRubrics[0]?.id || '');
+        }
+
+        if (!rubricsResult.success) {
+          console.warn('⚠️ Could not load rubrics:', rubricsResult.error);
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadScorecard();
+  }, [transcript.id]);
+
+  const handleGenerate = async () => {
+    const hasOverrides = scorecard?.competencies.some(competency => ScorecardService.isOverridden(competency));
+    if (hasOverrides && !window.confirm('Regenerating replaces the scores you changed. Continue?')) {
+      return;
+    }
+
+    const selectedRubric = rubrics.find(r => r.id === rubricId);
+    setGenerating(true);
+    try {
+      const result = await apiService.generateScorecard(transcript.id, selectedRubric.id);
+      if (result.success) {
+        setScorecard({
+          ...ScorecardService.buildScorecard(selectedRubric, result.scorecard, transcript.id),
+          notes: scorecard?.notes || ''
+        });
+        onSuccess('Scorecard proposed - review the scores before submitting');
+      } else {
+        onError(result.error || 'Failed to generate scorecard');
+      }
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleScoreChange = (competencyId, score) => {
+    setScorecard(prev => ({
+      ...prev,
+      competencies: prev.competencies.map(competency => (
+        competency.competencyId === competencyId ? { ...competency, score } : competency
+      ))
+    }));
+  };
+
+  const handleSave = async (status) => {
+    const saved = {
+      ...scorecard,
+      status,
+      overallScore: ScorecardService.getOverallScore(scorecard),
+      submittedAt: status === 'submitted' ? new Date().toISOString() : null
+    };
+
+    setSaving(true);
+    try {
+      const result = await apiService.saveScorecard(transcript.id, saved);
+      if (result.success) {
+        setScorecard(result.scorecard || saved);
+        onSuccess(status === 'submitted' ? 'Scorecard submitted' : 'Scorecard draft saved');
+      } else {
+        onError(result.error || 'Failed to save scorecard');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleExport = async (format) => {
+    setExportAnchorEl(null);
+
+    try {
+      const content = format === 'csv'
+        ? ScorecardService.toCsv(scorecard)
+        : ScorecardService.toMarkdown(scorecard, transcript);
+      const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'text/plain' });
+      const result = await window.electronAPI.file.downloadBlob({
+        blob: Array.from(new Uint8Array(await blob.arrayBuffer())),
+        filename: `interview-scorecard-${new Date().toISOString().split('T')[0]}.${format}`
+      });
+
+      if (result.success) {
+        onSuccess(`Scorecard exported as ${format.toUpperCase()}`);
+      } else if (!result.canceled) {
+        onError(result.error || 'Failed to export scorecard');
+      }
+    } catch (error) {
+      onError('Failed to export scorecard');
+    }
+  };
+
+  const renderCompetency = (competency) => {
+    const definition = rubric?.competencies.find(c => c.id === competency.competencyId);
+    const anchor = competency.score ? definition?.anchors?.[competency.score - 1] : null;
+
+    return (
+      <Card key={competency.competencyId} sx={{ backgroundColor: '#1e1e1e', border: '1px solid #333', mb: 2 }}>
+        <CardContent>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+            <Typography variant="subtitle1" sx={{ fontWeight: 600, flexGrow: 1 }}>
+              {competency.name}
+            </Typography>
+            {typeof competency.aiScore === 'number' && (
+              <Chip label={`AI: ${competency.aiScore}`} size="small" variant="outlined" icon={<AutoAwesome />} />
+            )}
+            {ScorecardService.isOverridden(competency) && (
+              <Chip label="Overridden" size="small" color="warning" variant="outlined" />
+            )}
+          </Box>
+
+          {definition?.description && (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              {definition.description}
+            </Typography>
+          )}
+
+          <ToggleButtonGroup
+            value={competency.score}
+            exclusive
+            size="small"
+            onChange={(event, score) => score !== null && handleScoreChange(competency.competencyId, score)}
+            disabled={isSubmitted || saving}
+          >
+            {SCORE_LEVELS.map(level => (
+              <ToggleButton key={level} value={level} title={definition?.anchors?.[level - 1] || ''} sx={{ px: 2 }}>
+                {level}
+              </ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+
+          {anchor && (
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+              {competency.score}: {anchor}
+            </Typography>
+          )}
+
+          {competency.rationale && (
+            <Typography variant="body2" sx={{ mt: 1.5 }}>
+              {competency.rationale}
+            </Typography>
+          )}
+
+          {(competency.evidence || []).map((evidence, index) => (
+            <Box
+              key={index}
+              sx={{
+                mt: 1,
+                pl: 1.5,
+                py: 0.5,
+                borderLeft: '3px solid',
+                borderColor: 'secondary.main',
+                backgroundColor: 'rgba(255, 255, 255, 0.03)',
+              }}
+            >
+              <Typography variant="body2" sx={{ fontStyle: 'italic' }}>
+                {evidence.speaker && <strong>{evidence.speaker}: </strong>}
+                "{evidence.quote}"
+              </Typography>
+              {(evidence.startTime !== null || evidence.segmentIndex !== null) && (
+                <Typography variant="caption" color="text.secondary">
+                  {evidence.startTime !== null
+                    ? formatEvidenceTime(evidence.startTime)
+                    : `Line ${evidence.segmentIndex + 1}`}
+                </Typography>
+              )}
+            </Box>
+          ))}
+        </CardContent>
+      </Card>
+    );
+  };
+
+  if (loading || generating) {
+    return (
+      <Box sx={{ p: 3, textAlign: 'center' }}>
+        <LinearProgress sx={{ mb: 2 }} />
+        <Typography color="text.secondary">
+          {generating ? 'Scoring the interview against the rubric...' : 'Loading scorecard...'}
+        </Typography>
+      </Box>
+    );
+  }
+
+  if (!scorecard) {
+    return (
+      <Box sx={{
+        p: 3,
+        textAlign: 'center',
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        justifyContent: 'center',
+        height: '100%',
+      }}>
+        <Grading sx={{ fontSize: 48, color: 'secondary.main', mb: 2 }} />
+        <Typography variant="h6" sx={{ mb: 2 }}>
+          No Scorecard Yet
+        </Typography>
+        {rubrics.length === 0 ? (
+          <Typography color="text.secondary">
+            An admin needs to define a rubric in the Admin Panel before interviews can be scored
+          </Typography>
+        ) : (
+          <>
+            <Typography color="text.secondary" sx={{ mb: 3 }}>
+              Let AI propose a score and evidence for each competency, then review them
+            </Typography>
+            <FormControl size="small" sx={{ minWidth: 240, mb: 2 }}>
+              <InputLabel>Rubric</InputLabel>
+              <Select
+                value={rubricId}
+                label="Rubric"
+                onChange={(e) => setRubricId(e.target.value)}
+              >
+                {rubrics.map(r => (
+                  <MenuItem key={r.id} value={r.id}>{r.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Button
+              variant="contained"
+              color="secondary"
+              startIcon={<AutoAwesome />}
+              onClick={handleGenerate}
+              disabled={!rubricId}
+            >
+              Generate Scorecard
+            </Button>
+          </>
+        )}
+      </Box>
+    );
+  }
+
+  const overall = ScorecardService.getOverallScore(scorecard);
+
+  return (
+    <Box sx={{ height: '100%', display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
+      {/* Scorecard toolbar */}
+      <Box sx={{
+        p: 1.5,
+        borderBottom: '1px solid #333',
+        display: 'flex',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: 1,
+      }}>
+        <Chip label={scorecard.rubricName || rubric?.name || 'Rubric'} size="small" variant="outlined" />
+        <Chip
+          label={isSubmitted ? 'Submitted' : 'Draft'}
+          size="small"
+          color={isSubmitted ? 'success' : 'default'}
+        />
+        <Chip label={`Overall ${overall ?? '-'} / 5`} size="small" color="primary" />
+        <Box sx={{ flexGrow: 1 }} />
+
+        <Button size="small" startIcon={<CompareArrows />} onClick={() => setShowComparison(true)}>
+          Compare
+        </Button>
+        <Button size="small" startIcon={<Download />} onClick={(e) => setExportAnchorEl(e.currentTarget)}>
+          Export
+        </Button>
+        {isSubmitted ? (
+          <Button
+            size="small"
+            variant="outlined"
+            startIcon={<Edit />}
+            onClick={() => setScorecard({ ...scorecard, status: 'draft' })}
+          >
+            Edit
+          </Button>
+        ) : (
+          <>
+            <Button size="small" startIcon={<AutoAwesome />} onClick={handleGenerate} disabled={saving || !rubric}>
+              Regenerate
+            </Button>
+            <Button size="small" variant="outlined" startIcon={<Save />} onClick={() => handleSave('draft')} disabled={saving}>
+              Save Draft
+            </Button>
+            <Tooltip title={ScorecardService.isComplete(scorecard) ? '' : 'Score every competency to submit'}>
+              <span>
+                <Button
+                  size="small"
+                  variant="contained"
+                  startIcon={<Send />}
+                  onClick={() => handleSave('submitted')}
+                  disabled={saving || !ScorecardService.isComplete(scorecard)}
+                >
+                  Submit
+                </Button>
+              </span>
+            </Tooltip>
+          </>
+        )}
+      </Box>
+
+      <Menu
+        anchorEl={exportAnchorEl}
+        open={Boolean(exportAnchorEl)}
+        onClose={() => setExportAnchorEl(null)}
+      >
+        <MenuItem onClick={() => handleExport('md')}>Markdown</MenuItem>
+        <MenuItem onClick={() => handleExport('csv')}>CSV</MenuItem>
+      </Menu>
+
+      {/* Competencies */}
+      <Box sx={{ flex: 1, p: 2, overflow: 'auto' }}>
+        {scorecard.competencies.map(renderCompetency)}
+
+        <TextField
+          fullWidth
+          multiline
+          minRows={2}
+          label="Interviewer notes"
+          value={scorecard.notes || ''}
+          onChange={(e) => setScorecard({ ...scorecard, notes: e.target.value })}
+          disabled={isSubmitted || saving}
+        />
+      </Box>
+
+      <ScorecardComparisonDialog
+        open={showComparison}
+        onClose={() => setShowComparison(false)}
+        rubrics={rubrics}
+        initialRubricId={scorecard.rubricId}
+        onError={onError}
+        onSuccess={onSuccess}
+      />
+    </Box>
+  );
+}
+
+export default ScorecardPanel;
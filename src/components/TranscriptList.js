@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
   Box,
   List,
@@ -12,6 +12,7 @@ import {
   Chip,
   CircularProgress,
   Button,
+  Checkbox,
 } from '@mui/material';
 import {
   Delete,
@@ -19,7 +20,15 @@ import {
   Description,
   Schedule,
   Person,
+  SearchOff,
+  CloudOff,
+  CompareArrows,
+  Forum,
 } from '@mui/icons-material';
+import TranscriptSearchBar, { HighlightedText } from './TranscriptSearchBar';
+
+// More transcripts than this don't fit in one AI request
+const MAX_COMPARED_TRANSCRIPTS = 5;
 
 function TranscriptList({ 
   transcripts, 
@@ -27,8 +36,26 @@ function TranscriptList({
   onTranscriptSelect, 
   onTranscriptDelete, 
   loading, 
-  onRefresh 
+  onRefresh,
+  onSearch,
+  searchQuery,
+  searchResults,
+  searching,
+  offline,
+  onCompare,
 }) {
+  const [compareMode, setCompareMode] = useState(false);
+  const [comparedIds, setComparedIds] = useState([]);
+
+  // While a search is active the list shows its results instead of all transcripts
+  const isSearchActive = Array.isArray(searchResults);
+  const visibleTranscripts = isSearchActive
+    ? searchResults.map(result => result.transcript)
+    : transcripts;
+  const hitsById = isSearchActive
+    ? Object.fromEntries(searchResults.map(result => [result.transcript.id, result.hits]))
+    : {};
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { 
@@ -44,6 +71,28 @@ function TranscriptList({
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
+  const handleToggleCompareMode = () => {
+    setCompareMode(!compareMode);
+    setComparedIds([]);
+  };
+
+  const handleToggleCompared = (transcriptId) => {
+    setComparedIds(prev => (prev.includes(transcriptId)
+      ? prev.filter(id => id !== transcriptId)
+      : prev.length < MAX_COMPARED_TRANSCRIPTS ? [...prev, transcriptId] : prev));
+  };
+
+  const handleStartCompare = () => {
+    // Keep the order they were picked in, it's how the chat numbers them
+    const compared = comparedIds
+      .map(id => transcripts.find(transcript => transcript.id === id) || visibleTranscripts.find(transcript => transcript.id === id))
+      .filter(Boolean);
+
+    onCompare(compared);
+    setCompareMode(false);
+    setComparedIds([]);
+  };
+
   const handleDelete = (e, transcriptId) => {
     e.stopPropagation();
     if (window.confirm('Are you sure you want to delete this transcript?')) {
@@ -101,16 +150,49 @@ function TranscriptList({
         flexShrink: 0, // Prevent header from shrinking
       }}>
         <Typography variant="h6" sx={{ fontWeight: 600 }}>
-          Transcripts ({transcripts.length})
+          {isSearchActive
+            ? `Results (${visibleTranscripts.length})`
+            : `Transcripts (${transcripts.length})`}
         </Typography>
         
-        <Tooltip title="Refresh list">
-          <IconButton onClick={onRefresh} size="small">
-            <Refresh />
-          </IconButton>
-        </Tooltip>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          {offline && (
+            <Tooltip title="Backend unavailable - showing transcripts saved on this device">
+              <Chip
+                icon={<CloudOff />}
+                label="Offline"
+                size="small"
+                color="warning"
+                variant="outlined"
+                sx={{ '& .MuiChip-icon': { fontSize: 14 } }}
+              />
+            </Tooltip>
+          )}
+          {searching && <CircularProgress size={16} />}
+          {onCompare && (
+            <Tooltip title={compareMode ? 'Cancel comparison' : 'Compare interviews with AI'}>
+              <IconButton
+                onClick={handleToggleCompareMode}
+                size="small"
+                color={compareMode ? 'primary' : 'default'}
+              >
+                <CompareArrows />
+              </IconButton>
+            </Tooltip>
+          )}
+          <Tooltip title="Refresh list">
+            <IconButton onClick={onRefresh} size="small">
+              <Refresh />
+            </IconButton>
+          </Tooltip>
+        </Box>
       </Box>
 
+      {/* Search */}
+      {onSearch && (
+        <TranscriptSearchBar onSearch={onSearch} searching={searching} />
+      )}
+
       {/* Transcript List */}
       <Box 
         className="transcripts-list-container"
@@ -133,7 +215,25 @@ function TranscriptList({
           },
         }}
       >
-        {transcripts.length === 0 ? (
+        {isSearchActive && visibleTranscripts.length === 0 ? (
+          <Box sx={{ 
+            display: 'flex', 
+            flexDirection: 'column',
+            alignItems: 'center', 
+            justifyContent: 'center',
+            height: '100%',
+            p: 3,
+            textAlign: 'center',
+          }}>
+            <SearchOff sx={{ fontSize: 48, color: 'text.secondary', mb: 2 }} />
+            <Typography variant="h6" color="text.secondary" sx={{ mb: 1 }}>
+              No matching transcripts
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              Try a different search term or clear the filters
+            </Typography>
+          </Box>
+        ) : visibleTranscripts.length === 0 ? (
           <Box sx={{ 
             display: 'flex', 
             flexDirection: 'column',
@@ -157,7 +257,7 @@ function TranscriptList({
             height: '100%',
             overflow: 'auto',
           }}>
-            {transcripts.map((transcript) => (
+            {visibleTranscripts.map((transcript) => (
               <ListItem
                 key={transcript.id}
                 disablePadding
@@ -174,7 +274,7 @@ function TranscriptList({
                 }}
               >
                 <ListItemButton
-                  onClick={() => onTranscriptSelect(transcript)}
+                  onClick={() => (compareMode ? handleToggleCompared(transcript.id) : onTranscriptSelect(transcript))}
                   sx={{ 
                     py: 2,
                     px: 2,
@@ -182,6 +282,17 @@ function TranscriptList({
                     alignItems: 'flex-start',
                   }}
                 >
+                  {compareMode && (
+                    <Checkbox
+                      edge="start"
+                      size="small"
+                      checked={comparedIds.includes(transcript.id)}
+                      disabled={!comparedIds.includes(transcript.id) && comparedIds.length >= MAX_COMPARED_TRANSCRIPTS}
+                      tabIndex={-1}
+                      disableRipple
+                      sx={{ mt: -0.5, mr: 1 }}
+                    />
+                  )}
                   <Box sx={{ flex: 1, minWidth: 0 }}>
                     {/* Title and Date */}
                     <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
@@ -198,7 +309,10 @@ function TranscriptList({
                           whiteSpace: 'nowrap',
                         }}
                       >
-                        {transcript.title || 'Interview Transcript'}
+                        <HighlightedText
+                          text={transcript.title || 'Interview Transcript'}
+                          query={isSearchActive ? searchQuery : ''}
+                        />
                       </Typography>
                     </Box>
 
@@ -231,23 +345,52 @@ function TranscriptList({
                       )}
                     </Box>
 
-                    {/* Preview */}
-                    <Typography 
-                      variant="body2" 
-                      color="text.secondary"
-                      sx={{ 
-                        mb: 1,
-                        overflow: 'hidden',
-                        textOverflow: 'ellipsis',
-                        display: '-webkit-box',
-                        WebkitLineClamp: 2,
-                        WebkitBoxOrient: 'vertical',
-                        fontSize: '0.75rem',
-                        lineHeight: 1.3,
-                      }}
-                    >
-                      {getTranscriptPreview(transcript.content)}
-                    </Typography>
+                    {/* Search hits, or a preview */}
+                    {hitsById[transcript.id]?.length > 0 ? (
+                      <Box sx={{ mb: 1 }}>
+                        {hitsById[transcript.id].map((hit) => (
+                          <Box
+                            key={hit.hitIndex}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              onTranscriptSelect(transcript, { query: searchQuery, hitIndex: hit.hitIndex });
+                            }}
+                            sx={{
+                              fontSize: '0.75rem',
+                              lineHeight: 1.3,
+                              color: 'text.secondary',
+                              py: 0.5,
+                              px: 1,
+                              mb: 0.5,
+                              borderLeft: '2px solid',
+                              borderColor: 'primary.main',
+                              borderRadius: '0 4px 4px 0',
+                              backgroundColor: 'rgba(255, 255, 255, 0.03)',
+                              '&:hover': { backgroundColor: 'rgba(0, 188, 212, 0.1)' },
+                            }}
+                          >
+                            <HighlightedText text={hit.snippet} query={searchQuery} />
+                          </Box>
+                        ))}
+                      </Box>
+                    ) : (
+                      <Typography 
+                        variant="body2" 
+                        color="text.secondary"
+                        sx={{ 
+                          mb: 1,
+                          overflow: 'hidden',
+                          textOverflow: 'ellipsis',
+                          display: '-webkit-box',
+                          WebkitLineClamp: 2,
+                          WebkitBoxOrient: 'vertical',
+                          fontSize: '0.75rem',
+                          lineHeight: 1.3,
+                        }}
+                      >
+                        {getTranscriptPreview(transcript.content)}
+                      </Typography>
+                    )}
 
                     {/* Date */}
                     <Typography 
@@ -314,16 +457,31 @@ function TranscriptList({
       </Box>
 
       {/* Footer */}
-      {transcripts.length > 0 && (
+      {visibleTranscripts.length > 0 && (
         <Box sx={{ 
           p: 2, 
           borderTop: '1px solid #333',
           backgroundColor: '#1a1a1a',
           textAlign: 'center',
         }}>
-          <Typography variant="caption" color="text.secondary">
-            Select a transcript to view details and chat with AI
-          </Typography>
+          {compareMode ? (
+            <Button
+              fullWidth
+              variant="contained"
+              size="small"
+              startIcon={<Forum />}
+              onClick={handleStartCompare}
+              disabled={comparedIds.length < 2}
+            >
+              {comparedIds.length < 2
+                ? `Select ${2 - comparedIds.length} more to compare`
+                : `Chat about ${comparedIds.length} interviews`}
+            </Button>
+          ) : (
+            <Typography variant="caption" color="text.secondary">
+              Select a transcript to view details and chat with AI
+            </Typography>
+          )}
         </Box>
       )}
     </Box>
@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  TextField,
+  InputAdornment,
+  IconButton,
+  Tooltip,
+  Collapse,
+  FormControlLabel,
+  Checkbox,
+  Badge,
+} from '@mui/material';
+import {
+  Search,
+  Clear,
+  FilterList,
+} from '@mui/icons-material';
+
+export const EMPTY_SEARCH_FILTERS = {
+  from: '',
+  to: '',
+  speaker: '',
+  hasSummary: false,
+  hasDebrief: false,
+};
+
+/**
+ * Render text with every occurrence of the query highlighted
+ */
+export function HighlightedText({ text, query }) {
+  if (!query || !text) return <>{text}</>;
+
+  const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const parts = String(text).split(new RegExp(`(${escaped})`, 'gi'));
+
+  return (
+    <>
+      {parts.map((part, index) => (
+        part.toLowerCase() === query.toLowerCase() ? (
+          <Box
+            key={index}
+            component="mark"
+            sx={{
+              backgroundColor: 'rgba(255, 193, 7, 0.35)',
+              color: 'inherit',
+              borderRadius: '2px',
+              px: '1px',
+            }}
+          >
+            {part}
+          </Box>
+        ) : (
+          <React.Fragment key={index}>{part}</React.Fragment>
+        )
+      ))}
+    </>
+  );
+}
+
+function TranscriptSearchBar({ onSearch, searching }) {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(EMPTY_SEARCH_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+
+  const activeFilterCount = [
+    filters.from,
+    filters.to,
+    filters.speaker.trim(),
+    filters.hasSummary,
+    filters.hasDebrief,
+  ].filter(Boolean).length;
+
+  const updateFilter = (key, value) => {
+    const nextFilters = { ...filters, [key]: value };
+    setFilters(nextFilters);
+    onSearch(query.trim(), nextFilters);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSearch(query.trim(), filters);
+  };
+
+  const handleClear = () => {
+    setQuery('');
+    setFilters(EMPTY_SEARCH_FILTERS);
+    onSearch('', EMPTY_SEARCH_FILTERS);
+  };
+
+  return (
+    <Box sx={{
+      p: 1.5,
+      borderBottom: '1px solid #333',
+      backgroundColor: '#1a1a1a',
+      flexShrink: 0,
+    }}>
+      <Box component="form" onSubmit={handleSubmit} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <TextField
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search transcripts..."
+          size="small"
+          fullWidth
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <Search fontSize="small" />
+              </InputAdornment>
+            ),
+            endAdornment: (query || activeFilterCount > 0) && (
+              <InputAdornment position="end">
+                <IconButton size="small" onClick={handleClear} disabled={searching}>
+                  <Clear fontSize="small" />
+                </IconButton>
+              </InputAdornment>
+            ),
+          }}
+          sx={{ '& .MuiOutlinedInput-root': { backgroundColor: 'rgba(255, 255, 255, 0.05)' } }}
+        />
+        <Tooltip title="Filters">
+          <IconButton
+            size="small"
+            onClick={() => setShowFilters(!showFilters)}
+            color={showFilters || activeFilterCount > 0 ? 'primary' : 'default'}
+          >
+            <Badge badgeContent={activeFilterCount} color="primary">
+              <FilterList fontSize="small" />
+            </Badge>
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      <Collapse in={showFilters}>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1.5 }}>
+          <TextField
+            label="From"
+            type="date"
+            size="small"
+            value={filters.from}
+            onChange={(e) => updateFilter('from', e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            sx={{ flex: 1, minWidth: 130 }}
+          />
+          <TextField
+            label="To"
+            type="date"
+            size="small"
+            value={filters.to}
+            onChange={(e) => updateFilter('to', e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            sx={{ flex: 1, minWidth: 130 }}
+          />
+          <TextField
+            label="Speaker"
+            size="small"
+            value={filters.speaker}
+            onChange={(e) => setFilters({ ...filters, speaker: e.target.value })}
+            onBlur={() => onSearch(query.trim(), filters)}
+            fullWidth
+          />
+          <FormControlLabel
+            control={
+              <Checkbox
+                size="small"
+                checked={filters.hasSummary}
+                onChange={(e) => updateFilter('hasSummary', e.target.checked)}
+              />
+            }
+            label="Has summary"
+          />
+          <FormControlLabel
+            control={
+              <Checkbox
+                size="small"
+                checked={filters.hasDebrief}
+                onChange={(e) => updateFilter('hasDebrief', e.target.checked)}
+              />
+            }
+            label="Has debrief"
+          />
+        </Box>
+      </Collapse>
+    </Box>
+  );
+}
+
+export default TranscriptSearchBar;
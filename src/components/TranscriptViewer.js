@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   Box,
   Typography,
@@ -19,6 +19,7 @@ import {
   DialogTitle,
   DialogContent,
   DialogActions,
+  TextField,
 } from '@mui/material';
 import {
   Download,
@@ -28,10 +29,50 @@ import {
   ContentCopy,
   Share,
   Edit,
+  Headphones,
+  History,
+  Save,
+  Close,
+  Restore,
+  Subtitles,
+  Description,
+  PictureAsPdf,
 } from '@mui/icons-material';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import apiService from '../services/ApiService';
+import TranscriptRevisionService from '../services/TranscriptRevisionService';
+import TranscriptLineService from '../services/TranscriptLineService';
+import { HighlightedText } from './TranscriptSearchBar';
+import ScorecardPanel from './ScorecardPanel';
+
+// Subtitle timestamp - SRT uses a comma before the milliseconds, WebVTT a dot
+const formatSubtitleTime = (seconds, millisecondSeparator) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => value.toString().padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${millisecondSeparator}${pad(ms, 3)}`;
+};
+
+// Build SRT or WebVTT cues from timed transcript lines ({ speaker, text, start, end })
+const buildSubtitles = (lines, format) => {
+  if (format === 'vtt') {
+    const cues = lines.map(line => {
+      const text = line.speaker ? `<v ${line.speaker}>${line.text}` : line.text;
+      return `${formatSubtitleTime(line.start, '.')} --> ${formatSubtitleTime(line.end, '.')}\n${text}`;
+    });
+    return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+  }
+
+  const cues = lines.map((line, index) => {
+    const text = line.speaker ? `${line.speaker}: ${line.text}` : line.text;
+    return `${index + 1}\n${formatSubtitleTime(line.start, ',')} --> ${formatSubtitleTime(line.end, ',')}\n${text}`;
+  });
+  return `${cues.join('\n\n')}\n`;
+};
 
 function TabPanel({ children, value, index, ...other }) {
   return (
@@ -57,13 +98,47 @@ function TabPanel({ children, value, index, ...other }) {
   );
 }
 
-function TranscriptViewer({ transcript, onError, onSuccess, onTranscriptUpdate }) {
+function TranscriptViewer({ transcript, focus, onError, onSuccess, onTranscriptUpdate }) {
   const [tabValue, setTabValue] = useState(0);
   const [anchorEl, setAnchorEl] = useState(null);
   const [isGeneratingSummary, setIsGeneratingSummary] = useState(false);
   const [isGeneratingDebrief, setIsGeneratingDebrief] = useState(false);
   const [summaryDialog, setSummaryDialog] = useState(false);
   const [debriefDialog, setDebriefDialog] = useState(false);
+  const [audioUrl, setAudioUrl] = useState(null);
+  const [audioSource, setAudioSource] = useState(null); // 'local' | 'backend'
+  const [isLoadingAudio, setIsLoadingAudio] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [isEditing, setIsEditing] = useState(false);
+  const [editedLines, setEditedLines] = useState([]);
+  const [speakerNames, setSpeakerNames] = useState({}); // original speaker -> new name
+  const [isSaving, setIsSaving] = useState(false);
+  const [historyDialog, setHistoryDialog] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [selectedRevision, setSelectedRevision] = useState(null);
+
+  const audioRef = useRef(null);
+  const pendingSeekRef = useRef(null);
+  const transcriptScrollRef = useRef(null);
+  const handledFocusRef = useRef(null);
+
+  // Drop the previous transcript's audio when another transcript is opened
+  useEffect(() => {
+    setAudioUrl(null);
+    setAudioSource(null);
+    setCurrentTime(0);
+    pendingSeekRef.current = null;
+    setIsEditing(false);
+  }, [transcript.id]);
+
+  // Streamed audio carries the user's auth headers in main, so stop serving it once it's no longer shown
+  useEffect(() => {
+    if (audioSource !== 'backend' || !audioUrl) return undefined;
+    return () => {
+      window.electronAPI?.media?.release(audioUrl)
+        .catch(error => console.warn('⚠️ Failed to release streamed audio:', error));
+    };
+  }, [audioUrl, audioSource]);
 
   const handleTabChange = (event, newValue) => {
     setTabValue(newValue);
@@ -77,41 +152,7 @@ function TranscriptViewer({ transcript, onError, onSuccess, onTranscriptUpdate }
     setAnchorEl(null);
   };
 
-  const formatSpeakerLine = (line) => {
-    // Handle non-string inputs safely
-    if (typeof line !== 'string') {
-      return { speaker: '', text: line?.text || '', source: null };
-    }
-    
-    const parts = line.split(': ');
-    if (parts.length < 2) return { speaker: '', text: line, source: null };
-    
-    const speaker = parts[0];
-    const text = parts.slice(1).join(': ');
-    
-    return { speaker, text, source: null };
-  };
-
-  const formatSegmentLine = (segment) => {
-    // Handle new segment format with source information
-    if (segment && typeof segment === 'object' && segment.text !== undefined) {
-      return {
-        speaker: segment.speaker || '',
-        text: segment.text || '',
-        source: segment.source || null,
-        start: segment.start,
-        end: segment.end
-      };
-    }
-    
-    // Handle string format (fallback to old format)
-    if (typeof segment === 'string') {
-      return formatSpeakerLine(segment);
-    }
-    
-    // Safety fallback for any other type
-    return { speaker: '', text: String(segment || ''), source: null };
-  };
+  const formatSegmentLine = (segment) => TranscriptLineService.parseLine(segment);
 
   const getSpeakerColor = (speaker) => {
     switch (speaker.toLowerCase()) {
@@ -170,6 +211,22 @@ function TranscriptViewer({ transcript, onError, onSuccess, onTranscriptUpdate }
           content = `# Interview Transcript\n\n${transcript.content}\n\n## Summary\n${transcript.summary || 'No summary available'}\n\n## Debrief\n${transcript.debrief?.content || transcript.debrief || 'No debrief available'}`;
           filename = `interview-transcript-${new Date().toISOString().split('T')[0]}.md`;
           break;
+        case 'srt':
+        case 'vtt': {
+          const timedLines = transcriptLines
+            .map(formatSegmentLine)
+            .filter(line => line.start !== undefined && line.end !== undefined);
+
+          if (timedLines.length === 0) {
+            onError('Subtitles need segment timings, which this transcript does not have');
+            handleMenuClose();
+            return;
+          }
+
+          content = buildSubtitles(timedLines, format);
+          filename = `interview-transcript-${new Date().toISOString().split('T')[0]}.${format}`;
+          break;
+        }
       }
 
       // Create blob and trigger download via electron
@@ -181,8 +238,8 @@ function TranscriptViewer({ transcript, onError, onSuccess, onTranscriptUpdate }
       
       if (result.success) {
         onSuccess(`Transcript exported as ${format.toUpperCase()}`);
-      } else {
-        onError('Failed to export transcript');
+      } else if (!result.canceled) {
+        onError(result.error || 'Failed to export transcript');
       }
     } catch (error) {
       onError('Failed to export transcript');
@@ -190,6 +247,36 @@ function TranscriptViewer({ transcript, onError, onSuccess, onTranscriptUpdate }
     handleMenuClose();
   };
 
+  // DOCX and PDF reports (transcript, summary and debrief) are rendered by the backend
+  const handleReportExport = async (format) => {
+    handleMenuClose();
+
+    try {
+      onSuccess(`Preparing ${format.toUpperCase()} report...`);
+      const result = await apiService.exportTranscript(transcript.id, format, true);
+
+      if (!result.success) {
+        onError(result.error || `Failed to export ${format.toUpperCase()} report`);
+        return;
+      }
+
+      const filename = result.filename ||
+        `interview-report-${new Date().toISOString().split('T')[0]}.${format}`;
+      const saveResult = await window.electronAPI.file.downloadBlob({
+        blob: Array.from(new Uint8Array(await result.blob.arrayBuffer())),
+        filename
+      });
+
+      if (saveResult.success) {
+        onSuccess(`Report exported as ${format.toUpperCase()}`);
+      } else if (!saveResult.canceled) {
+        onError(saveResult.error || 'Failed to export report');
+      }
+    } catch (error) {
+      onError(`Failed to export ${format.toUpperCase()} report`);
+    }
+  };
+
   const handleGenerateSummary = async () => {
     if (!transcript.summary) {
       try {
@@ -256,6 +343,286 @@ function TranscriptViewer({ transcript, onError, onSuccess, onTranscriptUpdate }
     }
   };
 
+  // Prefer the merged audio still on this computer, otherwise stream the recording from the backend
+  const loadAudio = async () => {
+    const sessionId = transcript.sessionId || transcript.metadata?.sessionId;
+    const recordingId = transcript.recordingId || transcript.metadata?.recordingId;
+
+    try {
+      setIsLoadingAudio(true);
+
+      if (sessionId && window.electronAPI?.audio?.mergeSession) {
+        const merged = await window.electronAPI.audio.mergeSession(sessionId, { mode: 'stereo' });
+        if (merged.success) {
+          setAudioUrl(merged.url);
+          setAudioSource('local');
+          return;
+        }
+        console.log('ℹ️ Local session audio not available, trying backend:', merged.error);
+      }
+
+      if (recordingId) {
+        const { url, headers } = apiService.getRecordingAudioSource(recordingId);
+        const result = await window.electronAPI.media.streamRemote(url, headers);
+        if (result.success) {
+          setAudioUrl(result.url);
+          setAudioSource('backend');
+          return;
+        }
+        onError(result.error || 'Failed to load recording audio');
+        return;
+      }
+
+      onError('No audio is available for this transcript');
+    } catch (error) {
+      onError('Failed to load audio');
+    } finally {
+      setIsLoadingAudio(false);
+    }
+  };
+
+  const seekTo = (seconds) => {
+    if (seconds === undefined || seconds === null) return;
+
+    if (!audioUrl) {
+      // Seek once the audio has loaded
+      pendingSeekRef.current = seconds;
+      if (!isLoadingAudio) loadAudio();
+      return;
+    }
+
+    if (audioRef.current) {
+      audioRef.current.currentTime = seconds;
+      audioRef.current.play().catch(() => {});
+    }
+  };
+
+  // Streamed audio only fails once playback starts requesting it (e.g. missing on the backend)
+  const handleAudioError = () => {
+    setAudioUrl(null);
+    setAudioSource(null);
+    onError('Failed to load recording audio');
+  };
+
+  const handleAudioLoaded = () => {
+    if (pendingSeekRef.current !== null && audioRef.current) {
+      audioRef.current.currentTime = pendingSeekRef.current;
+      pendingSeekRef.current = null;
+      audioRef.current.play().catch(() => {});
+    }
+  };
+
+  const transcriptLines = TranscriptLineService.getLines(transcript);
+  const activeLineIndex = audioUrl
+    ? transcriptLines.findIndex(line => {
+      const { start, end } = formatSegmentLine(line);
+      return start !== undefined && end !== undefined && currentTime >= start && currentTime < end;
+    })
+    : -1;
+
+  // Keep the line being spoken in view during playback
+  useEffect(() => {
+    if (activeLineIndex < 0 || !transcriptScrollRef.current) return;
+    const line = transcriptScrollRef.current.querySelector(`[data-line-index="${activeLineIndex}"]`);
+    if (line) {
+      line.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [activeLineIndex]);
+
+  // Line of the search hit the transcript was opened from ({ query, hitIndex }),
+  // or of an AI chat citation ({ lineIndex, startTime })
+  const focusLineIndex = (() => {
+    if (!focus) return -1;
+
+    if (typeof focus.lineIndex === 'number') {
+      return focus.lineIndex >= 0 && focus.lineIndex < transcriptLines.length ? focus.lineIndex : -1;
+    }
+
+    if (typeof focus.startTime === 'number') {
+      // The line being spoken at that time, or the last one that started before it
+      let lineIndex = -1;
+      transcriptLines.forEach((line, index) => {
+        const { start } = formatSegmentLine(line);
+        if (start !== undefined && start <= focus.startTime) lineIndex = index;
+      });
+      return lineIndex;
+    }
+
+    if (!focus.query) return -1;
+
+    // Hits are counted over the same lines and text as the search results
+    const needle = focus.query.toLowerCase();
+    const matchingIndexes = transcriptLines
+      .map((line, index) => (TranscriptLineService.getSearchText(line).toLowerCase().includes(needle) ? index : -1))
+      .filter(index => index >= 0);
+
+    if (matchingIndexes.length === 0) return -1;
+    return matchingIndexes[Math.min(focus.hitIndex || 0, matchingIndexes.length - 1)];
+  })();
+
+  // Search hits and citations open on the transcript tab
+  useEffect(() => {
+    if (focus) setTabValue(0);
+  }, [focus]);
+
+  // Scroll to the focused line once per focus request
+  useEffect(() => {
+    if (!focus || handledFocusRef.current === focus || tabValue !== 0 || focusLineIndex < 0) return;
+    const line = transcriptScrollRef.current?.querySelector(`[data-line-index="${focusLineIndex}"]`);
+    if (line) {
+      line.scrollIntoView({ block: 'center', behavior: 'smooth' });
+      handledFocusRef.current = focus;
+    }
+  }, [focus, focusLineIndex, tabValue]);
+
+  // Non-blank content lines, one per transcript line - null when the content doesn't line up with them
+  const getRawLines = () => {
+    const rawLines = (transcript.content || '').split('\n').filter(line => line.trim());
+    return rawLines.length === transcriptLines.length ? rawLines : null;
+  };
+
+  const handleStartEditing = () => {
+    // Each line keeps its raw content line so restoring it later brings back its exact formatting
+    const rawLines = getRawLines();
+    const lines = transcriptLines.map((line, index) => ({
+      ...formatSegmentLine(line),
+      raw: rawLines ? rawLines[index] : undefined
+    }));
+
+    // Keep the transcript as it was before the first edit so it can be restored
+    if (TranscriptRevisionService.getRevisions(transcript.id).length === 0) {
+      TranscriptRevisionService.addRevision(transcript.id, lines, 'Original');
+    }
+
+    setEditedLines(lines);
+    setSpeakerNames({});
+    setIsEditing(true);
+  };
+
+  const handleCancelEditing = () => {
+    setIsEditing(false);
+    setEditedLines([]);
+    setSpeakerNames({});
+  };
+
+  const handleLineTextChange = (index, text) => {
+    setEditedLines(prev => prev.map((line, i) => (i === index ? { ...line, text } : line)));
+  };
+
+  const getDisplaySpeaker = (speaker) => (speakerNames[speaker] ?? speaker);
+
+  // Content for a set of lines - only lines that changed are rewritten, so the rest of the
+  // content (blank lines, lines not in "Speaker: text" form) stays exactly as it was
+  const buildContent = (lines) => {
+    const currentLines = transcriptLines.map(formatSegmentLine);
+    const isChanged = (line, index) => !currentLines[index] ||
+      currentLines[index].speaker !== line.speaker || currentLines[index].text !== line.text;
+
+    const formatLine = (line) => {
+      // A restored line gets its original formatting back
+      if (line.raw !== undefined) {
+        const parsed = TranscriptLineService.parseSpeakerLine(line.raw);
+        if (parsed.speaker === line.speaker && parsed.text === line.text) return line.raw;
+      }
+      return line.speaker ? `${line.speaker}: ${line.text}` : line.text;
+    };
+
+    const contentLines = (transcript.content || '').split('\n');
+    const textLineIndexes = contentLines
+      .map((line, index) => (line.trim() ? index : -1))
+      .filter(index => index >= 0);
+
+    if (textLineIndexes.length !== lines.length || currentLines.length !== lines.length) {
+      return lines.map(formatLine).join('\n');
+    }
+
+    const updated = [...contentLines];
+    lines.forEach((line, index) => {
+      if (isChanged(line, index)) {
+        updated[textLineIndexes[index]] = formatLine(line);
+      }
+    });
+    return updated.join('\n');
+  };
+
+  // Save a set of lines through updateTranscript and record it in the revision log
+  const saveTranscriptLines = async (lines, label) => {
+    const updates = { content: buildContent(lines) };
+
+    // Keep timed segments in step with the edited lines
+    if (Array.isArray(transcript.segments) && transcript.segments.length === lines.length &&
+      transcript.segments.every(segment => segment && typeof segment === 'object')) {
+      updates.segments = transcript.segments.map((segment, index) => ({
+        ...segment,
+        speaker: lines[index].speaker,
+        text: lines[index].text
+      }));
+    }
+
+    if (Array.isArray(transcript.speakers)) {
+      updates.speakers = [...new Set(lines.map(line => line.speaker).filter(Boolean))];
+    }
+
+    const result = await apiService.updateTranscript(transcript.id, updates);
+    if (!result.success) {
+      onError(result.error || 'Failed to save transcript');
+      return false;
+    }
+
+    if (!TranscriptRevisionService.addRevision(transcript.id, lines, label)) {
+      onError('Transcript saved, but there is no room left on this computer to keep this edit in its history');
+    }
+    if (onTranscriptUpdate) {
+      onTranscriptUpdate({ ...transcript, ...updates });
+    }
+    return true;
+  };
+
+  const handleSaveEdits = async () => {
+    try {
+      setIsSaving(true);
+      const lines = editedLines.map(line => ({ ...line, speaker: getDisplaySpeaker(line.speaker).trim() }));
+
+      if (await saveTranscriptLines(lines, 'Edited')) {
+        onSuccess('Transcript saved');
+        handleCancelEditing();
+      }
+    } catch (error) {
+      onError('Failed to save transcript');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleOpenHistory = () => {
+    setRevisions(TranscriptRevisionService.getRevisions(transcript.id));
+    setSelectedRevision(null);
+    setHistoryDialog(true);
+  };
+
+  const handleRevert = async (revision) => {
+    try {
+      setIsSaving(true);
+      const label = `Reverted to ${revision.label} (${new Date(revision.timestamp).toLocaleString()})`;
+
+      if (await saveTranscriptLines(revision.lines, label)) {
+        onSuccess('Transcript reverted');
+        setHistoryDialog(false);
+        setIsEditing(false);
+      }
+    } catch (error) {
+      onError('Failed to revert transcript');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const formatPlaybackTime = (seconds) => {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+  };
+
   const renderTranscriptContent = () => {
 
     
@@ -267,19 +634,10 @@ function TranscriptViewer({ transcript, onError, onSuccess, onTranscriptUpdate }
       );
     }
 
-    // Use formatted content first, then fall back to segments
-    let segments = [];
-    
-    // First try to use the formatted content (string format)
-    if (transcript.content && typeof transcript.content === 'string') {
-      const lines = transcript.content.split('\n').filter(line => line.trim());
-      segments = lines;
-    } 
-    // Fallback to raw segments if content is not available
-    else if (transcript.segments && Array.isArray(transcript.segments)) {
-      segments = transcript.segments;
-    }
-    
+    const segments = isEditing ? editedLines : transcriptLines;
+    const editedSpeakers = isEditing
+      ? [...new Set(editedLines.map(line => line.speaker).filter(Boolean))]
+      : [];
 
     return (
       <Box sx={{ 
@@ -288,16 +646,84 @@ function TranscriptViewer({ transcript, onError, onSuccess, onTranscriptUpdate }
         flexDirection: 'column',
         overflow: 'hidden',
       }}>
-        <Box sx={{ 
-          flex: 1,
-          p: 2, 
-          overflow: 'auto'
-        }}>
+        {isEditing && (
+          <Box sx={{
+            p: 2,
+            borderBottom: '1px solid #333',
+            backgroundColor: 'rgba(0, 188, 212, 0.05)',
+          }}>
+            <Typography variant="subtitle2" sx={{ mb: 1, color: 'primary.main' }}>
+              Rename speakers
+            </Typography>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+              {editedSpeakers.map(speaker => (
+                <TextField
+                  key={speaker}
+                  label={speaker}
+                  size="small"
+                  value={getDisplaySpeaker(speaker)}
+                  onChange={(e) => setSpeakerNames(prev => ({ ...prev, [speaker]: e.target.value }))}
+                />
+              ))}
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button
+                size="small"
+                variant="contained"
+                startIcon={<Save />}
+                onClick={handleSaveEdits}
+                disabled={isSaving}
+              >
+                {isSaving ? 'Saving...' : 'Save Changes'}
+              </Button>
+              <Button
+                size="small"
+                variant="outlined"
+                startIcon={<Close />}
+                onClick={handleCancelEditing}
+                disabled={isSaving}
+              >
+                Cancel
+              </Button>
+            </Box>
+          </Box>
+        )}
+        <Box
+          ref={transcriptScrollRef}
+          sx={{ 
+            flex: 1,
+            p: 2, 
+            overflow: 'auto'
+          }}
+        >
           {segments.map((segment, index) => {
-            const { speaker, text, source, start, end } = formatSegmentLine(segment);
+            const { speaker: originalSpeaker, text, source, start, end } = isEditing ? segment : formatSegmentLine(segment);
+            const speaker = isEditing ? getDisplaySpeaker(originalSpeaker) : originalSpeaker;
+            const isSeekable = start !== undefined && !isEditing;
+            const isActive = index === activeLineIndex;
+            const isFocused = !isEditing && index === focusLineIndex;
             
             return (
-              <Box key={index} sx={{ mb: 2, display: 'flex', alignItems: 'flex-start', gap: 2 }}>
+              <Box
+                key={index}
+                data-line-index={index}
+                onClick={isSeekable ? () => seekTo(start) : undefined}
+                sx={{
+                  mb: 2,
+                  display: 'flex',
+                  alignItems: 'flex-start',
+                  gap: 2,
+                  p: 0.5,
+                  borderRadius: 1,
+                  borderLeft: '3px solid',
+                  borderLeftColor: isActive ? 'primary.main' : isFocused ? 'warning.main' : 'transparent',
+                  backgroundColor: isActive
+                    ? 'rgba(0, 188, 212, 0.1)'
+                    : isFocused ? 'rgba(255, 193, 7, 0.08)' : 'transparent',
+                  cursor: isSeekable ? 'pointer' : 'default',
+                  '&:hover': isSeekable ? { backgroundColor: 'rgba(255, 255, 255, 0.05)' } : {},
+                }}
+              >
                 <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5, minWidth: 120 }}>
                   {speaker && (
                     <Chip
@@ -333,16 +759,27 @@ function TranscriptViewer({ transcript, onError, onSuccess, onTranscriptUpdate }
                     </Typography>
                   )}
                 </Box>
-                <Typography 
-                  variant="body1" 
-                  sx={{ 
-                    flex: 1,
-                    lineHeight: 1.6,
-                    whiteSpace: 'pre-wrap',
-                  }}
-                >
-                  {text}
-                </Typography>
+                {isEditing ? (
+                  <TextField
+                    value={text}
+                    onChange={(e) => handleLineTextChange(index, e.target.value)}
+                    multiline
+                    fullWidth
+                    size="small"
+                    sx={{ flex: 1 }}
+                  />
+                ) : (
+                  <Typography 
+                    variant="body1" 
+                    sx={{ 
+                      flex: 1,
+                      lineHeight: 1.6,
+                      whiteSpace: 'pre-wrap',
+                    }}
+                  >
+                    <HighlightedText text={text} query={focus?.query} />
+                  </Typography>
+                )}
               </Box>
             );
           })}
@@ -774,6 +1211,24 @@ function TranscriptViewer({ transcript, onError, onSuccess, onTranscriptUpdate }
         </Box>
         
         <Box sx={{ display: 'flex', gap: 1 }}>
+          <Tooltip title={isEditing ? 'Editing transcript' : 'Edit Transcript'}>
+            <span>
+              <IconButton
+                onClick={handleStartEditing}
+                disabled={isEditing || !transcript.content}
+                color={isEditing ? 'primary' : 'default'}
+              >
+                <Edit />
+              </IconButton>
+            </span>
+          </Tooltip>
+
+          <Tooltip title="Revision History">
+            <IconButton onClick={handleOpenHistory}>
+              <History />
+            </IconButton>
+          </Tooltip>
+
           <Tooltip title="Generate Summary">
             <IconButton 
               onClick={handleGenerateSummary}
@@ -839,8 +1294,114 @@ function TranscriptViewer({ transcript, onError, onSuccess, onTranscriptUpdate }
           <Download sx={{ mr: 2 }} />
           Export as JSON
         </MenuItem>
+        <Divider />
+        <MenuItem onClick={() => handleDownload('srt')}>
+          <Subtitles sx={{ mr: 2 }} />
+          Export Subtitles (SRT)
+        </MenuItem>
+        <MenuItem onClick={() => handleDownload('vtt')}>
+          <Subtitles sx={{ mr: 2 }} />
+          Export Subtitles (WebVTT)
+        </MenuItem>
+        <Divider />
+        <MenuItem onClick={() => handleReportExport('docx')}>
+          <Description sx={{ mr: 2 }} />
+          Export Report as DOCX
+        </MenuItem>
+        <MenuItem onClick={() => handleReportExport('pdf')}>
+          <PictureAsPdf sx={{ mr: 2 }} />
+          Export Report as PDF
+        </MenuItem>
       </Menu>
 
+      {/* Revision History Dialog */}
+      <Dialog
+        open={historyDialog}
+        onClose={() => setHistoryDialog(false)}
+        maxWidth="md"
+        fullWidth
+      >
+        <DialogTitle>Revision History</DialogTitle>
+        <DialogContent>
+          {revisions.length === 0 ? (
+            <Typography color="text.secondary" sx={{ fontStyle: 'italic' }}>
+              No edits have been made to this transcript on this computer
+            </Typography>
+          ) : (
+            <Box sx={{ display: 'flex', gap: 2, minHeight: 300 }}>
+              <Box sx={{ width: 240, flexShrink: 0, borderRight: '1px solid #333', pr: 1 }}>
+                {revisions.map(revision => (
+                  <MenuItem
+                    key={revision.id}
+                    selected={selectedRevision?.id === revision.id}
+                    onClick={() => setSelectedRevision(revision)}
+                    sx={{ display: 'block', whiteSpace: 'normal' }}
+                  >
+                    <Typography variant="body2">{revision.label}</Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {new Date(revision.timestamp).toLocaleString()}
+                    </Typography>
+                  </MenuItem>
+                ))}
+              </Box>
+
+              <Box sx={{ flex: 1, overflow: 'auto' }}>
+                {selectedRevision ? (
+                  (() => {
+                    // What changed between the selected revision and the current transcript
+                    const changes = TranscriptRevisionService.diffLines(
+                      selectedRevision.lines,
+                      transcriptLines.map(formatSegmentLine)
+                    );
+
+                    if (changes.length === 0) {
+                      return (
+                        <Typography color="text.secondary">
+                          This revision matches the current transcript
+                        </Typography>
+                      );
+                    }
+
+                    return changes.map(change => (
+                      <Box key={change.index} sx={{ mb: 2 }}>
+                        <Typography variant="caption" color="text.secondary">
+                          Line {change.index + 1}
+                        </Typography>
+                        {change.before && (
+                          <Typography variant="body2" sx={{ color: 'error.light', textDecoration: 'line-through' }}>
+                            {change.before.speaker ? `${change.before.speaker}: ` : ''}{change.before.text}
+                          </Typography>
+                        )}
+                        {change.after && (
+                          <Typography variant="body2" sx={{ color: 'success.light' }}>
+                            {change.after.speaker ? `${change.after.speaker}: ` : ''}{change.after.text}
+                          </Typography>
+                        )}
+                      </Box>
+                    ));
+                  })()
+                ) : (
+                  <Typography color="text.secondary">
+                    Select a revision to compare it with the current transcript
+                  </Typography>
+                )}
+              </Box>
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setHistoryDialog(false)}>Close</Button>
+          <Button
+            variant="contained"
+            startIcon={<Restore />}
+            onClick={() => handleRevert(selectedRevision)}
+            disabled={!selectedRevision || isSaving}
+          >
+            {isSaving ? 'Reverting...' : 'Revert to This Version'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Tabs */}
       <Tabs
         value={tabValue}
@@ -875,6 +1436,7 @@ function TranscriptViewer({ transcript, onError, onSuccess, onTranscriptUpdate }
             </Box>
           }
         />
+        <Tab label="Scorecard" />
       </Tabs>
 
       {/* Tab Content */}
@@ -888,6 +1450,51 @@ function TranscriptViewer({ transcript, onError, onSuccess, onTranscriptUpdate }
         <TabPanel value={tabValue} index={2}>
           {renderDebrief()}
         </TabPanel>
+        <TabPanel value={tabValue} index={3}>
+          <ScorecardPanel transcript={transcript} onError={onError} onSuccess={onSuccess} />
+        </TabPanel>
+      </Box>
+
+      {/* Docked audio player */}
+      <Box sx={{
+        p: 1.5,
+        borderTop: '1px solid #333',
+        backgroundColor: '#1a1a1a',
+        display: 'flex',
+        alignItems: 'center',
+        gap: 2,
+      }}>
+        {audioUrl ? (
+          <>
+            <audio
+              ref={audioRef}
+              src={audioUrl}
+              controls
+              onLoadedMetadata={handleAudioLoaded}
+              onError={handleAudioError}
+              onTimeUpdate={(e) => setCurrentTime(e.target.currentTime)}
+              style={{ flex: 1, height: 36 }}
+            />
+            <Typography variant="caption" color="text.secondary" sx={{ whiteSpace: 'nowrap' }}>
+              {formatPlaybackTime(currentTime)} • {audioSource === 'local' ? 'Local audio' : 'Streamed'}
+            </Typography>
+          </>
+        ) : (
+          <>
+            <Button
+              size="small"
+              variant="outlined"
+              startIcon={<Headphones />}
+              onClick={loadAudio}
+              disabled={isLoadingAudio}
+            >
+              {isLoadingAudio ? 'Loading audio...' : 'Load Audio'}
+            </Button>
+            <Typography variant="caption" color="text.secondary">
+              Click a transcript line to play from that point
+            </Typography>
+          </>
+        )}
       </Box>
     </Box>
   );
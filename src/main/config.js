@@ -26,7 +26,12 @@ const audioConfig = {
   channels: parseInt(envConfig.REACT_APP_AUDIO_CHANNELS || envConfig.AUDIO_CHANNELS || '1', 10),
   threshold: parseFloat(envConfig.REACT_APP_AUDIO_THRESHOLD || envConfig.AUDIO_THRESHOLD || '0.5'),
   silence: parseFloat(envConfig.REACT_APP_AUDIO_SILENCE || envConfig.AUDIO_SILENCE || '2.0'),
-  segmentDuration: parseInt(envConfig.RECORDING_SEGMENT_DURATION || '60', 10)
+  segmentDuration: parseInt(envConfig.RECORDING_SEGMENT_DURATION || '60', 10),
+  // Seconds each segment overlaps the next so words at the boundary aren't cut in half
+  segmentOverlap: parseFloat(envConfig.RECORDING_SEGMENT_OVERLAP || '0'),
+  // Codec segments are encoded to before upload (wav, flac or opus) and the Opus bitrate in kbps
+  uploadCodec: (envConfig.RECORDING_UPLOAD_CODEC || 'flac').toLowerCase(),
+  uploadBitrate: parseInt(envConfig.RECORDING_UPLOAD_BITRATE || '32', 10)
 };
 
 console.log('🔧 Audio config:', {
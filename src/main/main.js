@@ -1,9 +1,13 @@
-const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, protocol } = require('electron');
 const path = require('path');
 const fs = require('fs-extra');
 const Store = require('electron-store');
 const isDev = require('electron-is-dev');
 const AudioCaptureManager = require('./services/AudioCaptureManager');
+const OfflineKeyStore = require('./services/OfflineKeyStore');
+const OfflineRecordingStore = require('./services/OfflineRecordingStore');
+const RecordingJournal = require('./services/RecordingJournal');
+const MediaProtocol = require('./services/MediaProtocol');
 
 // Load audio configuration
 const audioConfig = require('./config');
@@ -22,11 +26,26 @@ if (process.platform === 'win32') {
   app.commandLine.appendSwitch('use-fake-ui-for-media-stream'); // Skip permission dialogs in testing
 }
 
+// Local audio is streamed to the renderer through leepi-media:// URLs (must be registered before app ready)
+MediaProtocol.registerScheme(protocol);
+
 // Initialize persistent storage
 const store = new Store();
+// Keys for offline recordings encrypted at rest by the renderer
+const offlineKeyStore = new OfflineKeyStore();
+const mediaProtocol = new MediaProtocol();
 
 // Services
 let audioCaptureManager;
+let offlineRecordingStore;
+
+// Offline recordings are kept on disk, created on first use
+function getOfflineRecordingStore() {
+  if (!offlineRecordingStore) {
+    offlineRecordingStore = new OfflineRecordingStore(path.join(app.getPath('userData'), 'offline-recordings'));
+  }
+  return offlineRecordingStore;
+}
 
 // Main window reference
 let mainWindow;
@@ -106,6 +125,7 @@ function createWindow() {
 
 // App event handlers
 app.whenReady().then(async () => {
+  mediaProtocol.register(protocol);
   createWindow();
 
   // Initialize services
@@ -117,6 +137,26 @@ app.whenReady().then(async () => {
       audioCaptureManager.windowsAudioCapture.setMainWindow(mainWindow);
     }
 
+    // Stream live recording levels to the renderer for the VU meters
+    audioCaptureManager.setLevelListener((levels) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('audio-level', levels);
+      }
+    });
+
+    // Hand finished segments to the renderer so they can be uploaded while recording continues
+    audioCaptureManager.setSegmentListener((data) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('audio-segment-completed', data);
+      }
+    });
+
+    // Sessions still marked as recording were cut off by a crash - offer them for recovery
+    const interruptedSessions = audioCaptureManager.journal.markInterruptedSessions();
+    if (interruptedSessions.length > 0) {
+      console.log(`🔄 Found ${interruptedSessions.length} interrupted recording session(s) to recover`);
+    }
+
   } catch (error) {
     console.error('❌ Failed to initialize AudioCaptureManager:', error);
     audioCaptureManager = null;
@@ -263,8 +303,11 @@ ipcMain.handle('audio-start-dual-recording', async () => {
       return { success: false, error: 'Audio service not ready. Please restart the application.' };
     }
 
+    // Segment length/overlap saved from the recording settings dialog
+    const recordingSettings = store.get('recordingSettings', {});
+
     console.log('🔧 TEMP_DEBUG_IPC_001 - Calling audioCaptureManager.startDualRecording()');
-    const result = await audioCaptureManager.startDualRecording();
+    const result = await audioCaptureManager.startDualRecording(recordingSettings);
 
     // DEBUG: Log the result structure to identify non-serializable objects
     console.log('🔍 TEMP_DEBUG_IPC_001 - Result type:', typeof result);
@@ -328,6 +371,37 @@ ipcMain.handle('audio-stop-dual-recording', async () => {
   }
 });
 
+// Pause/resume keep the same session so the recording still uploads as one transcript
+ipcMain.handle('audio-pause-dual-recording', async () => {
+  try {
+    if (!audioCaptureManager) {
+      console.error('❌ AudioCaptureManager not initialized');
+      return { success: false, error: 'Audio service not ready. Please restart the application.' };
+    }
+
+    const result = await audioCaptureManager.pauseDualRecording();
+    return result;
+  } catch (error) {
+    console.error('❌ Failed to pause dual recording:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('audio-resume-dual-recording', async () => {
+  try {
+    if (!audioCaptureManager) {
+      console.error('❌ AudioCaptureManager not initialized');
+      return { success: false, error: 'Audio service not ready. Please restart the application.' };
+    }
+
+    const result = await audioCaptureManager.resumeDualRecording();
+    return result;
+  } catch (error) {
+    console.error('❌ Failed to resume dual recording:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Legacy single recording handlers for backward compatibility
 ipcMain.handle('audio-start-recording', async () => {
   try {
@@ -455,6 +529,131 @@ ipcMain.handle('audio-reset-recording-state', async () => {
   }
 });
 
+// Encode finished segments (FLAC/Opus) before they are uploaded
+ipcMain.handle('audio-encode-segments', async (event, { segments, options }) => {
+  try {
+    if (!audioCaptureManager) {
+      console.error('❌ AudioCaptureManager not initialized');
+      return { success: false, error: 'Audio service not ready. Please restart the application.' };
+    }
+
+    const encodedSegments = await audioCaptureManager.encodeSegments(segments || [], options || {});
+    return { success: true, segments: encodedSegments };
+  } catch (error) {
+    console.error('❌ Failed to encode segments:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('audio-get-available-codecs', async () => {
+  try {
+    if (!audioCaptureManager) {
+      console.error('❌ AudioCaptureManager not initialized');
+      return { success: false, error: 'Audio service not ready. Please restart the application.' };
+    }
+
+    const codecs = await audioCaptureManager.getAvailableCodecs();
+    return { success: true, codecs };
+  } catch (error) {
+    console.error('❌ Failed to get available codecs:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Split an imported stereo file into microphone and system tracks
+ipcMain.handle('audio-split-stereo', async (event, { filePath, options }) => {
+  try {
+    if (!audioCaptureManager) {
+      console.error('❌ AudioCaptureManager not initialized');
+      return { success: false, error: 'Audio service not ready. Please restart the application.' };
+    }
+
+    const result = await audioCaptureManager.splitStereoFile(filePath, options || {});
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('❌ Failed to split stereo file:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Merge a session's segments into a single file for local playback or export
+ipcMain.handle('audio-merge-session', async (event, { sessionId, segments, mode }) => {
+  try {
+    if (!audioCaptureManager) {
+      console.error('❌ AudioCaptureManager not initialized');
+      return { success: false, error: 'Audio service not ready. Please restart the application.' };
+    }
+
+    const result = await audioCaptureManager.mergeSession({ sessionId, segments, mode });
+    return { success: true, ...result, url: mediaProtocol.serveFile(result.filePath) };
+  } catch (error) {
+    console.error('❌ Failed to merge session:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Save a session's merged audio where the user picks - the copy stays in main so the
+// renderer never passes a source path
+ipcMain.handle('audio-export-session', async (event, { sessionId, mode = 'stereo', defaultPath }) => {
+  try {
+    if (!audioCaptureManager) {
+      console.error('❌ AudioCaptureManager not initialized');
+      return { success: false, error: 'Audio service not ready. Please restart the application.' };
+    }
+
+    const sourcePath = await audioCaptureManager.getMergedSessionFile({ sessionId, mode })
+      || (await audioCaptureManager.mergeSession({ sessionId, mode })).filePath;
+
+    const saveResult = await dialog.showSaveDialog(mainWindow, {
+      defaultPath,
+      filters: [{ name: 'WAV Audio', extensions: ['wav'] }]
+    });
+    if (saveResult.canceled || !saveResult.filePath) {
+      return { success: false, canceled: true };
+    }
+
+    await fs.copy(sourcePath, saveResult.filePath);
+    return { success: true, filePath: saveResult.filePath };
+  } catch (error) {
+    console.error('❌ Failed to export session audio:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Recovery of sessions interrupted by a crash
+ipcMain.handle('recovery-get-sessions', async () => {
+  try {
+    if (!audioCaptureManager) {
+      console.error('❌ AudioCaptureManager not initialized');
+      return { success: false, error: 'Audio service not ready. Please restart the application.' };
+    }
+
+    const sessions = await audioCaptureManager.journal.getInterruptedSessions();
+    return { success: true, sessions };
+  } catch (error) {
+    console.error('❌ Failed to get recovered sessions:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Removes the journal and segment files - used after a recovered session is uploaded or discarded
+ipcMain.handle('recovery-discard-session', async (event, sessionId) => {
+  try {
+    if (!audioCaptureManager) {
+      console.error('❌ AudioCaptureManager not initialized');
+      return { success: false, error: 'Audio service not ready. Please restart the application.' };
+    }
+
+    RecordingJournal.validateSessionId(sessionId);
+    await audioCaptureManager.journal.discardSession(sessionId);
+    console.log(`🗑️ Discarded recovered session ${sessionId}`);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Failed to discard recovered session:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Local storage management
 ipcMain.handle('storage-get', (event, key) => {
   return store.get(key);
@@ -475,6 +674,137 @@ ipcMain.handle('storage-clear', () => {
   return { success: true };
 });
 
+// Offline recordings waiting for upload (see OfflineRecordingStore)
+ipcMain.handle('offline-recordings-list', async (event, status, options) => {
+  try {
+    const recordings = await getOfflineRecordingStore().list(status, options);
+    return { success: true, recordings };
+  } catch (error) {
+    console.error('❌ Failed to list offline recordings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('offline-recordings-get', async (event, id) => {
+  try {
+    const recording = await getOfflineRecordingStore().get(id);
+    return { success: true, recording };
+  } catch (error) {
+    console.error('❌ Failed to get offline recording:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('offline-recordings-save', async (event, record) => {
+  try {
+    const id = await getOfflineRecordingStore().save(record);
+    return { success: true, id };
+  } catch (error) {
+    console.error('❌ Failed to save offline recording:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('offline-recordings-update', async (event, id, changes) => {
+  try {
+    getOfflineRecordingStore().update(id, changes);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Failed to update offline recording:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('offline-recordings-purge-audio', async (event, id) => {
+  try {
+    await getOfflineRecordingStore().purgeAudio(id);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Failed to purge offline recording audio:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('offline-recordings-delete', async (event, id) => {
+  try {
+    await getOfflineRecordingStore().delete(id);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Failed to delete offline recording:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('offline-recordings-clear', async () => {
+  try {
+    await getOfflineRecordingStore().clear();
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Failed to clear offline recordings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('offline-recordings-stats', async () => {
+  try {
+    const stats = await getOfflineRecordingStore().getStats();
+    return { success: true, stats };
+  } catch (error) {
+    console.error('❌ Failed to get offline recording stats:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Confirm the signed-in user with the backend - their key is the only one handed out
+ipcMain.handle('storage-start-encryption-session', async (event, { backendURL, token }) => {
+  try {
+    const userId = await offlineKeyStore.signIn(backendURL, token);
+    // Recording audio may only be streamed from the backend this user signed in to
+    mediaProtocol.setRemoteBaseURL(backendURL);
+    return { success: true, userId };
+  } catch (error) {
+    console.error('❌ Failed to confirm the user for offline recordings:', error);
+    mediaProtocol.clearRemoteSources();
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('storage-end-encryption-session', () => {
+  offlineKeyStore.signOut();
+  mediaProtocol.clearRemoteSources();
+  return { success: true };
+});
+
+// AES-256 key (base64) for the signed-in user's offline recordings
+ipcMain.handle('storage-get-encryption-key', () => {
+  try {
+    const { userId, key } = offlineKeyStore.getCurrentUserKey();
+    return { success: true, userId, key: key.toString('base64') };
+  } catch (error) {
+    console.error('❌ Failed to get offline encryption key:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Stream backend audio to <audio> elements - main adds the auth headers and passes Range requests on
+ipcMain.handle('media-stream-remote', async (event, { url, headers }) => {
+  try {
+    return { success: true, url: mediaProtocol.serveRemote(url, headers) };
+  } catch (error) {
+    console.error('❌ Failed to register remote media:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('media-release', (event, url) => {
+  try {
+    mediaProtocol.release(url);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 // File operations
 ipcMain.handle('file-save-dialog', async (event, options) => {
   try {
@@ -520,7 +850,7 @@ ipcMain.handle('file-download-blob', async (event, { blob, filename }) => {
       return { success: true, filePath: result.filePath };
     }
 
-    return { success: false, error: 'Save cancelled' };
+    return { success: false, canceled: true, error: 'Save cancelled' };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -530,7 +860,8 @@ ipcMain.handle('file-read-audio', async (event, filePath) => {
   try {
     const fs = require('fs').promises;
     const buffer = await fs.readFile(filePath);
-    return { success: true, buffer: Array.from(buffer) };
+    // Sent as-is - structured clone delivers it as a Uint8Array without a per-byte copy
+    return { success: true, buffer };
   } catch (error) {
     return { success: false, error: error.message };
   }
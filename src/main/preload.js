@@ -9,8 +9,33 @@ contextBridge.exposeInMainWorld('electronAPI', {
     stopRecording: () => ipcRenderer.invoke('audio-stop-recording'),
     startDualRecording: () => ipcRenderer.invoke('audio-start-dual-recording'),
     stopDualRecording: () => ipcRenderer.invoke('audio-stop-dual-recording'),
+    pauseDualRecording: () => ipcRenderer.invoke('audio-pause-dual-recording'),
+    resumeDualRecording: () => ipcRenderer.invoke('audio-resume-dual-recording'),
     getDevices: () => ipcRenderer.invoke('audio-get-devices'),
-    resetRecordingState: () => ipcRenderer.invoke('audio-reset-recording-state')
+    resetRecordingState: () => ipcRenderer.invoke('audio-reset-recording-state'),
+    encodeSegments: (segments, options) => ipcRenderer.invoke('audio-encode-segments', { segments, options }),
+    getAvailableCodecs: () => ipcRenderer.invoke('audio-get-available-codecs'),
+    mergeSession: (sessionId, options = {}) => ipcRenderer.invoke('audio-merge-session', { sessionId, ...options }),
+    exportSession: (sessionId, options = {}) => ipcRenderer.invoke('audio-export-session', { sessionId, ...options }),
+    splitStereo: (filePath, options = {}) => ipcRenderer.invoke('audio-split-stereo', { filePath, options }),
+    // Subscribe to live input/output levels while recording - returns an unsubscribe function
+    onLevel: (callback) => {
+      const listener = (event, levels) => callback(levels);
+      ipcRenderer.on('audio-level', listener);
+      return () => ipcRenderer.removeListener('audio-level', listener);
+    },
+    // Subscribe to finished segments ({ sessionId, segment }) while recording - returns an unsubscribe function
+    onSegmentCompleted: (callback) => {
+      const listener = (event, data) => callback(data);
+      ipcRenderer.on('audio-segment-completed', listener);
+      return () => ipcRenderer.removeListener('audio-segment-completed', listener);
+    }
+  },
+
+  // Sessions recovered from the recording journal after a crash
+  recovery: {
+    getSessions: () => ipcRenderer.invoke('recovery-get-sessions'),
+    discardSession: (sessionId) => ipcRenderer.invoke('recovery-discard-session', sessionId)
   },
 
   // Windows WebRTC audio data saving
@@ -21,7 +46,23 @@ contextBridge.exposeInMainWorld('electronAPI', {
     get: (key) => ipcRenderer.invoke('storage-get', key),
     set: (key, value) => ipcRenderer.invoke('storage-set', key, value),
     delete: (key) => ipcRenderer.invoke('storage-delete', key),
-    clear: () => ipcRenderer.invoke('storage-clear')
+    clear: () => ipcRenderer.invoke('storage-clear'),
+    // Key that encrypts the signed-in user's offline recordings at rest - main confirms the user first
+    startEncryptionSession: (session) => ipcRenderer.invoke('storage-start-encryption-session', session),
+    endEncryptionSession: () => ipcRenderer.invoke('storage-end-encryption-session'),
+    getEncryptionKey: () => ipcRenderer.invoke('storage-get-encryption-key')
+  },
+
+  // Offline recordings stored on disk until they can be uploaded
+  offlineRecordings: {
+    list: (status = null, options = {}) => ipcRenderer.invoke('offline-recordings-list', status, options),
+    get: (id) => ipcRenderer.invoke('offline-recordings-get', id),
+    save: (record) => ipcRenderer.invoke('offline-recordings-save', record),
+    update: (id, changes) => ipcRenderer.invoke('offline-recordings-update', id, changes),
+    purgeAudio: (id) => ipcRenderer.invoke('offline-recordings-purge-audio', id),
+    delete: (id) => ipcRenderer.invoke('offline-recordings-delete', id),
+    clear: () => ipcRenderer.invoke('offline-recordings-clear'),
+    getStats: () => ipcRenderer.invoke('offline-recordings-stats')
   },
 
   // File operations
@@ -33,6 +74,12 @@ contextBridge.exposeInMainWorld('electronAPI', {
     readAudioFile: (filePath) => ipcRenderer.invoke('file-read-audio', filePath)
   },
 
+  // Audio streamed to <audio> elements through leepi-media:// URLs
+  media: {
+    streamRemote: (url, headers = {}) => ipcRenderer.invoke('media-stream-remote', { url, headers }),
+    release: (url) => ipcRenderer.invoke('media-release', url)
+  },
+
   // System info and operations
   system: {
     getInfo: () => ipcRenderer.invoke('system-get-info'),
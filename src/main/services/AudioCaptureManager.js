@@ -3,6 +3,17 @@ const path = require('path');
 const os = require('os');
 const { v4: uuidv4 } = require('uuid');
 const WindowsAudioCapture = require('./WindowsAudioCapture');
+const AudioLevelMonitor = require('./AudioLevelMonitor');
+const RecordingJournal = require('./RecordingJournal');
+const VoiceActivityDetector = require('./VoiceActivityDetector');
+const AudioEncoder = require('./AudioEncoder');
+const SessionMergeService = require('./SessionMergeService');
+const audioConfig = require('../config');
+
+// Bounds for user-supplied segment settings (seconds)
+const MIN_SEGMENT_DURATION = 15;
+const MAX_SEGMENT_DURATION = 600;
+const MAX_SEGMENT_OVERLAP = 10;
 
 // File logging for packaged app debugging
 const logToFile = (message, level = 'INFO') => {
@@ -78,14 +89,45 @@ class AudioCaptureManager {
       this.tempDir = path.join(__dirname, '../../../temp');
     }
 
-    this.segmentDuration = 60; // 1 minute segments
+    // Segment length and overlap come from config (.env) and can be overridden per recording
+    this.segmentDuration = audioConfig.segmentDuration || 60;
+    this.segmentOverlap = audioConfig.segmentOverlap || 0;
+    this.overlapTimer = null;
+    this.overlapSegment = null;
     this.segmentIndex = 0;
     this.segments = [];
     this.recordingTimer = null;
 
+    // Pause state - paused time is excluded from the session duration
+    this.isPaused = false;
+    this.pausedAt = null;
+    this.pausedDuration = 0;
+
+    // Live level metering - listener is set by main.js to forward levels to the renderer
+    this.levelListener = null;
+    this.levelMonitor = null;
+
+    // Finished segments are announced so the renderer can upload them while recording continues
+    this.segmentListener = null;
+
+    // Voice-activity detection on finished segments - pending analyses are awaited on stop
+    this.vad = new VoiceActivityDetector({
+      threshold: audioConfig.threshold,
+      silence: audioConfig.silence
+    });
+    this.vadAnalyses = new Map();
+
+    // Pre-upload FLAC/Opus encoder and session merger, created on first use
+    this.encoder = null;
+    this.mergeService = null;
+
+    // Crash-safe journal of in-progress sessions, shared with the Windows capture path
+    this.journal = new RecordingJournal(this.tempDir);
+
     // For Windows, use native WebRTC audio capture
     if (this.platform === 'win32') {
       this.windowsAudioCapture = new WindowsAudioCapture();
+      this.windowsAudioCapture.setJournal(this.journal);
       this.recordingAvailable = true;
       return;
     }
@@ -386,9 +428,10 @@ class AudioCaptureManager {
   }
 
   /**
-   * Start dual recording (microphone + system audio) with 1-minute segments
+   * Start dual recording (microphone + system audio) in fixed-length segments
+   * @param {Object} settings - Optional user settings { segmentDuration, segmentOverlap } in seconds
    */
-  async startDualRecording() {
+  async startDualRecording(settings = {}) {
     try {
       // TEMP_DEBUG_FLOW_001: Log startDualRecording entry
       console.log('🎯 TEMP_DEBUG_FLOW_001 - startDualRecording() CALLED');
@@ -417,6 +460,8 @@ class AudioCaptureManager {
       // TEMP_DEBUG_002: Log recording start
       console.log('🎙️ TEMP_DEBUG_002 - Starting dual recording');
 
+      this.applySegmentSettings(settings);
+
       // For Windows, delegate to native WebRTC audio capture
       if (this.platform === 'win32' && this.windowsAudioCapture) {
         console.log('🎯 TEMP_DEBUG_FLOW_001 - Using Windows WebRTC path');
@@ -427,6 +472,20 @@ class AudioCaptureManager {
       this.sessionId = uuidv4();
       this.segmentIndex = 0;
       this.segments = [];
+      this.isPaused = false;
+      this.pausedAt = null;
+      this.pausedDuration = 0;
+
+      this.journal.startSession({
+        sessionId: this.sessionId,
+        platform: this.platform,
+        devices: {
+          input: this.config.inputDevice || 'default',
+          output: this.config.hasVirtualAudio ? this.config.outputDevice : null
+        },
+        segmentDuration: this.segmentDuration,
+        segmentOverlap: this.segmentOverlap
+      });
 
       // Start the first segment
       console.log('🎯 TEMP_DEBUG_FLOW_001 - Calling _startNewSegment()');
@@ -565,11 +624,18 @@ class AudioCaptureManager {
         outputFile,
         startTime: Date.now(),
         platform: this.platform,
-        hasOutputAudio: !!this.outputRecorder
+        hasOutputAudio: !!this.outputRecorder,
+        // Seconds at the start of this segment that repeat the end of the previous one
+        overlapDuration: 0
       };
 
       this.segments.push(segmentInfo);
 
+      this._updateJournal();
+
+      // Meter the files of the new segment
+      this._startLevelMonitor(segmentInfo);
+
       // TEMP_DEBUG_010: Check file sizes after recording
       setTimeout(async () => {
         try {
@@ -587,12 +653,20 @@ class AudioCaptureManager {
       }, 1000);
 
       // Set timer to stop this segment and start next one
+      // With an overlap the next segment starts early and this one keeps running for the overlap window
       this.recordingTimer = setTimeout(async () => {
-        if (this.isRecording) {
+        if (this.isRecording && !this.isPaused) {
+          if (this.segmentOverlap > 0) {
+            await this._startOverlappedSegment();
+            return;
+          }
           await this._stopCurrentSegment();
-          await this._startNewSegment();
+          // A pause may have come in while the segment was closing
+          if (this.isRecording && !this.isPaused) {
+            await this._startNewSegment();
+          }
         }
-      }, this.segmentDuration * 1000);
+      }, (this.segmentDuration - this.segmentOverlap) * 1000);
 
       this.segmentIndex++;
 
@@ -607,25 +681,19 @@ class AudioCaptureManager {
    */
   async _stopCurrentSegment() {
     try {
-      // Stop input recording
-      if (this.inputRecorder) {
-        if (typeof this.inputRecorder.stop === 'function') {
-          await this.inputRecorder.stop();
-        } else if (this.inputRecorder.destroy) {
-          this.inputRecorder.destroy();
-        }
-        this.inputRecorder = null;
+      // Mark when the segment was closed so paused/short segments report their real duration
+      const closingSegment = this.segments[this.segments.length - 1];
+      if (closingSegment && !closingSegment.endTime) {
+        closingSegment.endTime = Date.now();
       }
 
+      // Stop input recording
+      await this._stopRecorder(this.inputRecorder);
+      this.inputRecorder = null;
+
       // Stop output recording
-      if (this.outputRecorder) {
-        if (typeof this.outputRecorder.stop === 'function') {
-          await this.outputRecorder.stop();
-        } else if (this.outputRecorder.destroy) {
-          this.outputRecorder.destroy();
-        }
-        this.outputRecorder = null;
-      }
+      await this._stopRecorder(this.outputRecorder);
+      this.outputRecorder = null;
 
       // TEMP_DEBUG_011: Check final file sizes
       try {
@@ -643,12 +711,83 @@ class AudioCaptureManager {
       } catch (error) {
         console.warn('⚠️ TEMP_DEBUG_011 - Could not check final file sizes:', error.message);
       }
+
+      this._updateJournal();
+
+      if (closingSegment) {
+        this._analyzeSegment(closingSegment);
+        this._announceSegment(closingSegment);
+      }
     } catch (error) {
       console.error(`❌ Failed to stop current segment:`, error);
       // Don't throw error, just log it
     }
   }
 
+  /**
+   * Stop a single SoX recorder
+   */
+  async _stopRecorder(recorder) {
+    if (!recorder) return;
+
+    if (typeof recorder.stop === 'function') {
+      await recorder.stop();
+    } else if (recorder.destroy) {
+      recorder.destroy();
+    }
+  }
+
+  /**
+   * Start the next segment while the current one keeps recording for the overlap window
+   */
+  async _startOverlappedSegment() {
+    // Take over the running recorders so _startNewSegment can open new ones
+    this.overlapSegment = {
+      segment: this.segments[this.segments.length - 1],
+      inputRecorder: this.inputRecorder,
+      outputRecorder: this.outputRecorder
+    };
+    this.inputRecorder = null;
+    this.outputRecorder = null;
+
+    await this._startNewSegment();
+
+    this.overlapTimer = setTimeout(() => this._closeOverlappedSegment(), this.segmentOverlap * 1000);
+  }
+
+  /**
+   * Stop the previous segment once the overlap window has passed (or right away on pause/stop)
+   */
+  async _closeOverlappedSegment() {
+    if (this.overlapTimer) {
+      clearTimeout(this.overlapTimer);
+      this.overlapTimer = null;
+    }
+
+    const previous = this.overlapSegment;
+    if (!previous) return;
+    this.overlapSegment = null;
+
+    try {
+      previous.segment.endTime = Date.now();
+      await this._stopRecorder(previous.inputRecorder);
+      await this._stopRecorder(previous.outputRecorder);
+
+      // Record the actual overlap on the following segment so the repeated audio can be de-duplicated
+      const nextSegment = this.segments[this.segments.indexOf(previous.segment) + 1];
+      if (nextSegment) {
+        nextSegment.overlapDuration = Math.max(0, (previous.segment.endTime - nextSegment.startTime) / 1000);
+      }
+
+      this._updateJournal();
+
+      this._analyzeSegment(previous.segment);
+      this._announceSegment(previous.segment);
+    } catch (error) {
+      console.error('❌ Failed to close overlapped segment:', error);
+    }
+  }
+
   /**
    * Start input recording (microphone)
    */
@@ -1197,13 +1336,26 @@ class AudioCaptureManager {
         this.recordingTimer = null;
       }
 
+      this._stopLevelMonitor();
+
+      await this._closeOverlappedSegment();
+
       // Stop current recorders and save final segment
       if (this.inputRecorder || this.outputRecorder) {
         await this._stopCurrentSegment();
       }
 
+      // Stopping while paused - the last segment was already closed by pauseDualRecording()
+      if (this.isPaused) {
+        this.pausedDuration += Date.now() - this.pausedAt;
+        this.isPaused = false;
+        this.pausedAt = null;
+      }
+
       this.isRecording = false;
 
+      await this._waitForSegmentAnalyses();
+
       // Calculate actual file sizes
       let totalInputSize = 0;
       let totalOutputSize = 0;
@@ -1228,17 +1380,18 @@ class AudioCaptureManager {
         success: true,
         sessionId: this.sessionId,
         totalSegments: this.segments.length,
-        segments: this.segments.map(segment => ({
-          segmentId: segment.segmentId,
-          inputFile: segment.inputFile,
-          outputFile: segment.outputFile,
-          hasOutputAudio: segment.hasOutputAudio,
-          startTime: segment.startTime,
-          duration: this.segmentDuration
-        })),
+        segments: this.segments.map(segment => this._serializeSegment(segment)),
         inputFiles: this.segments.map(s => s.inputFile),
         outputFiles: this.segments.filter(s => s.hasOutputAudio).map(s => s.outputFile),
-        totalDuration: this.segments.length * this.segmentDuration,
+        // Overlapping audio is counted once
+        totalDuration: this.segments.reduce(
+          (sum, segment) => sum + this._getSegmentDuration(segment) - (segment.overlapDuration || 0),
+          0
+        ),
+        segmentDuration: this.segmentDuration,
+        segmentOverlap: this.segmentOverlap,
+        pausedDuration: this.pausedDuration / 1000,
+        silentSegments: this.segments.filter(segment => segment.hasSpeech === false).length,
         totalInputSize,
         totalOutputSize
       };
@@ -1247,10 +1400,16 @@ class AudioCaptureManager {
         sessionId: this.sessionId,
         totalSegments: this.segments.length,
         hasSegments: this.segments.length > 0,
+        pausedDuration: `${(this.pausedDuration / 1000).toFixed(1)}s`,
         totalInputSize,
         totalOutputSize
       });
 
+      this.pausedDuration = 0;
+
+      // Session ended cleanly - nothing to recover on next launch
+      this.journal.completeSession(this.sessionId);
+
       // Return in the format expected by the frontend
       return {
         success: true,
@@ -1260,10 +1419,342 @@ class AudioCaptureManager {
     } catch (error) {
       console.error('❌ Failed to stop dual recording:', error);
       this.isRecording = false;
+      this.isPaused = false;
       throw error;
     }
   }
 
+  /**
+   * Pause dual recording
+   * Closes the current segment and suspends the segment timer, keeping the session open
+   */
+  async pauseDualRecording() {
+    // For Windows, delegate to native WebRTC audio capture
+    if (this.platform === 'win32' && this.windowsAudioCapture) {
+      console.log('🎙️ Delegating pause to Windows native audio capture...');
+      return await this.windowsAudioCapture.pauseDualRecording();
+    }
+
+    if (!this.isRecording) {
+      throw new Error('No recording in progress');
+    }
+    if (this.isPaused) {
+      throw new Error('Recording is already paused');
+    }
+
+    console.log('⏸️ Pausing segmented dual recording...');
+
+    // Flag first so a segment timer that is already running doesn't open a new segment
+    this.isPaused = true;
+    this.pausedAt = Date.now();
+
+    if (this.recordingTimer) {
+      clearTimeout(this.recordingTimer);
+      this.recordingTimer = null;
+    }
+
+    this._stopLevelMonitor();
+
+    await this._closeOverlappedSegment();
+
+    if (this.inputRecorder || this.outputRecorder) {
+      await this._stopCurrentSegment();
+    }
+
+    console.log(`✅ Recording paused after ${this.segments.length} segments`);
+
+    return {
+      success: true,
+      sessionId: this.sessionId,
+      pausedAt: this.pausedAt,
+      totalSegments: this.segments.length
+    };
+  }
+
+  /**
+   * Resume a paused dual recording in a new segment of the same session
+   */
+  async resumeDualRecording() {
+    // For Windows, delegate to native WebRTC audio capture
+    if (this.platform === 'win32' && this.windowsAudioCapture) {
+      console.log('🎙️ Delegating resume to Windows native audio capture...');
+      return await this.windowsAudioCapture.resumeDualRecording();
+    }
+
+    if (!this.isRecording || !this.isPaused) {
+      throw new Error('Recording is not paused');
+    }
+
+    console.log('▶️ Resuming segmented dual recording...');
+
+    await this._startNewSegment();
+
+    this.pausedDuration += Date.now() - this.pausedAt;
+    this.isPaused = false;
+    this.pausedAt = null;
+
+    console.log(`✅ Recording resumed, total paused time: ${(this.pausedDuration / 1000).toFixed(1)}s`);
+
+    return {
+      success: true,
+      sessionId: this.sessionId,
+      pausedDuration: this.pausedDuration / 1000,
+      totalSegments: this.segments.length
+    };
+  }
+
+  /**
+   * Apply segment length/overlap for the next recording
+   * Values outside the supported range fall back to the config defaults
+   * @param {Object} settings - { segmentDuration, segmentOverlap } in seconds
+   */
+  applySegmentSettings(settings = {}) {
+    let segmentDuration = parseInt(settings.segmentDuration, 10);
+    if (!Number.isFinite(segmentDuration) || segmentDuration < MIN_SEGMENT_DURATION || segmentDuration > MAX_SEGMENT_DURATION) {
+      segmentDuration = audioConfig.segmentDuration || 60;
+    }
+
+    let segmentOverlap = parseFloat(settings.segmentOverlap);
+    if (!Number.isFinite(segmentOverlap) || segmentOverlap < 0) {
+      segmentOverlap = audioConfig.segmentOverlap || 0;
+    }
+    // The overlap must leave most of each segment as new audio
+    segmentOverlap = Math.min(segmentOverlap, MAX_SEGMENT_OVERLAP, segmentDuration / 4);
+
+    this.segmentDuration = segmentDuration;
+    this.segmentOverlap = segmentOverlap;
+
+    if (this.platform === 'win32' && this.windowsAudioCapture) {
+      this.windowsAudioCapture.setSegmentSettings(segmentDuration, segmentOverlap);
+    }
+
+    console.log(`🔧 Segment settings: ${segmentDuration}s segments, ${segmentOverlap}s overlap`);
+    return { segmentDuration, segmentOverlap };
+  }
+
+  /**
+   * Encode finished segments to FLAC/Opus before upload
+   * @param {Array} segments - Segments returned by stopDualRecording
+   * @param {Object} options - { codec, bitrate } - defaults come from config
+   * @returns {Array} - Segments pointing at the encoded files with codec metadata
+   */
+  async encodeSegments(segments, options = {}) {
+    const codec = options.codec || audioConfig.uploadCodec;
+    const bitrate = options.bitrate || audioConfig.uploadBitrate;
+
+    console.log(`🗜️ Encoding ${segments.length} segment(s) to ${codec}${codec === 'opus' ? ` at ${bitrate} kbps` : ''}`);
+    return await this._getEncoder().encodeSegments(segments, { codec, bitrate });
+  }
+
+  /**
+   * Split an imported stereo file into microphone (left) and system (right) tracks, encoded for upload
+   * @param {string} filePath
+   * @param {Object} options - { codec, bitrate } - pass a codec the backend accepts; defaults come from config
+   * @returns {Object} - { microphoneFile, systemFile, codec }
+   */
+  async splitStereoFile(filePath, options = {}) {
+    const codec = options.codec || audioConfig.uploadCodec;
+    const bitrate = options.bitrate || audioConfig.uploadBitrate;
+    const encoder = this._getEncoder();
+
+    // Imported files can be far longer than a segment, so encoding gets the split timeout too
+    const encodeOptions = { codec, bitrate, timeout: AudioEncoder.SPLIT_TIMEOUT };
+    const targetDir = path.join(this.tempDir, 'imports', `import_${Date.now()}`);
+    const [leftFile, rightFile] = await encoder.splitChannels(filePath, targetDir);
+    const microphone = await encoder.encodeFile(leftFile, encodeOptions);
+    const system = await encoder.encodeFile(rightFile, encodeOptions);
+
+    return { microphoneFile: microphone.file, systemFile: system.file, codec: microphone.codec };
+  }
+
+  /**
+   * Codecs the local encoder can produce
+   */
+  async getAvailableCodecs() {
+    return await this._getEncoder().getAvailableCodecs();
+  }
+
+  /**
+   * Merge a session's segments into one playable WAV file
+   * @param {Object} options - { sessionId, segments, mode: 'input' | 'output' | 'stereo' }
+   * @returns {Object} - { filePath, mode, sampleRate, channels, duration, segmentCount, size }
+   */
+  async mergeSession(options) {
+    return await this._getMergeService().mergeSession(options);
+  }
+
+  /**
+   * Path of a session's previously merged file, or null if it hasn't been merged yet
+   * @param {Object} options - { sessionId, mode }
+   */
+  async getMergedSessionFile({ sessionId, mode = 'stereo' }) {
+    return await this._getMergeService().findMergedFile(sessionId, mode);
+  }
+
+  _getMergeService() {
+    if (!this.mergeService) {
+      this.mergeService = new SessionMergeService(this.tempDir, this._getEncoder());
+    }
+    return this.mergeService;
+  }
+
+  _getEncoder() {
+    if (!this.encoder) {
+      // Use the same SoX binary as recording (bundled on macOS); Windows has no SoX config
+      this.encoder = new AudioEncoder({
+        soxPath: this.config ? this.config.recordProgram : 'sox'
+      });
+    }
+    return this.encoder;
+  }
+
+  /**
+   * Run voice-activity detection on a finished segment in the background
+   * Sets segment.hasSpeech and segment.vad once the analysis completes
+   */
+  _analyzeSegment(segment) {
+    if (this.vadAnalyses.has(segment.segmentId)) return;
+
+    const analysis = this.vad.analyzeSegment(segment)
+      .then(result => {
+        segment.vad = result;
+        segment.hasSpeech = result.hasSpeech;
+        if (!result.hasSpeech) {
+          console.log(`🔇 No speech detected in segment ${segment.segmentId}`);
+        }
+      })
+      .catch(error => {
+        console.warn(`⚠️ Voice-activity detection failed for segment ${segment.segmentId}:`, error.message);
+      });
+
+    this.vadAnalyses.set(segment.segmentId, analysis);
+  }
+
+  /**
+   * Tell the segment listener a segment is finished, once its voice-activity analysis is done
+   */
+  async _announceSegment(segment) {
+    if (!this.segmentListener) return;
+
+    const sessionId = this.sessionId;
+    await this.vadAnalyses.get(segment.segmentId);
+
+    try {
+      this.segmentListener({ sessionId, segment: this._serializeSegment(segment) });
+    } catch (error) {
+      console.warn(`⚠️ Segment listener failed for ${segment.segmentId}:`, error.message);
+    }
+  }
+
+  /**
+   * Plain segment data handed to the renderer, both live and when recording stops
+   */
+  _serializeSegment(segment) {
+    return {
+      segmentId: segment.segmentId,
+      inputFile: segment.inputFile,
+      outputFile: segment.outputFile,
+      hasOutputAudio: segment.hasOutputAudio,
+      startTime: segment.startTime,
+      endTime: segment.endTime,
+      duration: this._getSegmentDuration(segment),
+      overlapDuration: segment.overlapDuration || 0,
+      // Segments that were not analysed count as speech
+      hasSpeech: segment.hasSpeech !== false,
+      speechRanges: segment.vad ? {
+        input: segment.vad.input.speechRanges || null,
+        output: segment.vad.output ? segment.vad.output.speechRanges || null : null
+      } : null
+    };
+  }
+
+  /**
+   * Wait for all pending segment analyses to finish
+   */
+  async _waitForSegmentAnalyses() {
+    await Promise.all(this.vadAnalyses.values());
+    this.vadAnalyses.clear();
+  }
+
+  /**
+   * Write the current segment list to the recording journal
+   */
+  _updateJournal() {
+    if (this.journal && this.sessionId) {
+      this.journal.updateSegments(this.sessionId, this.segments);
+    }
+  }
+
+  /**
+   * Set the listener that receives live input/output levels while recording
+   * @param {Function} listener - Called with { sessionId, timestamp, input, output }
+   */
+  setLevelListener(listener) {
+    this.levelListener = listener;
+
+    if (this.platform === 'win32' && this.windowsAudioCapture) {
+      this.windowsAudioCapture.setLevelListener(listener);
+    }
+  }
+
+  /**
+   * Set the listener that is told about every finished segment while recording
+   * @param {Function} listener - Called with { sessionId, segment }
+   */
+  setSegmentListener(listener) {
+    this.segmentListener = listener;
+
+    if (this.platform === 'win32' && this.windowsAudioCapture) {
+      this.windowsAudioCapture.setSegmentListener(listener);
+    }
+  }
+
+  /**
+   * Start (or retarget) level metering for the given segment
+   */
+  _startLevelMonitor(segment) {
+    if (!this.levelListener) return;
+
+    if (!this.levelMonitor) {
+      this.levelMonitor = new AudioLevelMonitor((levels) => {
+        if (this.levelListener) {
+          this.levelListener({
+            sessionId: this.sessionId,
+            timestamp: Date.now(),
+            ...levels
+          });
+        }
+      }, {
+        sampleRate: this.config.sampleRate,
+        channels: this.config.channels
+      });
+    }
+
+    this.levelMonitor.start({
+      inputFile: segment.inputFile,
+      outputFile: segment.hasOutputAudio ? segment.outputFile : null
+    });
+  }
+
+  /**
+   * Stop level metering
+   */
+  _stopLevelMonitor() {
+    if (this.levelMonitor) {
+      this.levelMonitor.stop();
+    }
+  }
+
+  /**
+   * Get the recorded duration of a segment in seconds
+   */
+  _getSegmentDuration(segment) {
+    if (segment.endTime && segment.startTime) {
+      return Math.min(this.segmentDuration, Math.max(0, (segment.endTime - segment.startTime) / 1000));
+    }
+    return this.segmentDuration;
+  }
+
   /**
    * Reset recording state (for recovery from failed states)
    */
@@ -1279,6 +1770,9 @@ class AudioCaptureManager {
 
       // For other platforms, reset the state
       this.isRecording = false;
+      this.isPaused = false;
+      this.pausedAt = null;
+      this.pausedDuration = 0;
       this.sessionId = null;
       this.segmentIndex = 0;
       this.segments = [];
@@ -1289,6 +1783,14 @@ class AudioCaptureManager {
         clearTimeout(this.recordingTimer);
         this.recordingTimer = null;
       }
+      if (this.overlapTimer) {
+        clearTimeout(this.overlapTimer);
+        this.overlapTimer = null;
+      }
+      this.overlapSegment = null;
+      this.vadAnalyses.clear();
+
+      this._stopLevelMonitor();
 
       console.log('✅ AudioCaptureManager recording state reset successfully');
       return { success: true, message: 'Recording state reset successfully' };
@@ -0,0 +1,281 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Codecs the encoder can produce - extension and MIME type of the encoded file
+const CODECS = {
+  wav: { extension: 'wav', mimeType: 'audio/wav', lossless: true },
+  flac: { extension: 'flac', mimeType: 'audio/flac', lossless: true },
+  opus: { extension: 'opus', mimeType: 'audio/ogg', lossless: false }
+};
+
+const DEFAULT_OPUS_BITRATE = 32; // kbps - plenty for speech
+const MIN_BITRATE = 8;
+const MAX_BITRATE = 256;
+const ENCODE_TIMEOUT = 60000;
+const SPLIT_TIMEOUT = 10 * 60 * 1000; // imported files can be hours long
+
+/**
+ * Audio Encoder
+ * Converts finished segments to FLAC or Opus before upload
+ * - FLAC via SoX (the same binary used for recording), Opus via ffmpeg
+ * - Inputs SoX can't read (MediaRecorder WebM on Windows) go through ffmpeg
+ * - If no encoder is available the original file is kept and reported as such
+ */
+class AudioEncoder {
+  constructor({ soxPath = 'sox', ffmpegPath = 'ffmpeg' } = {}) {
+    this.soxPath = soxPath;
+    this.ffmpegPath = ffmpegPath;
+    this.toolAvailability = {};
+  }
+
+  static get CODECS() {
+    return CODECS;
+  }
+
+  static get SPLIT_TIMEOUT() {
+    return SPLIT_TIMEOUT;
+  }
+
+  /**
+   * Codecs that can be produced on this machine
+   */
+  async getAvailableCodecs() {
+    const codecs = ['wav'];
+    const hasSox = await this._isToolAvailable(this.soxPath, ['--version']);
+    const hasFfmpeg = await this._isToolAvailable(this.ffmpegPath, ['-version']);
+
+    if (hasSox || hasFfmpeg) codecs.push('flac');
+    if (hasFfmpeg) codecs.push('opus');
+
+    return codecs;
+  }
+
+  /**
+   * Encode every file of a list of segments
+   * @param {Array} segments - Segments as returned by stopDualRecording
+   * @param {Object} options - { codec, bitrate }
+   * @returns {Array} - Segments pointing at the encoded files, with codec metadata
+   */
+  async encodeSegments(segments, options = {}) {
+    const encoded = [];
+
+    for (const segment of segments) {
+      const input = await this.encodeFile(segment.inputFile, options);
+      const output = segment.hasOutputAudio && segment.outputFile
+        ? await this.encodeFile(segment.outputFile, options)
+        : null;
+
+      encoded.push({
+        ...segment,
+        inputFile: input.file,
+        outputFile: output ? output.file : segment.outputFile,
+        originalInputFile: segment.inputFile,
+        originalOutputFile: segment.outputFile,
+        codec: input.codec,
+        outputCodec: output ? output.codec : null,
+        bitrate: input.bitrate,
+        encodedSize: input.size + (output ? output.size : 0),
+        originalSize: input.originalSize + (output ? output.originalSize : 0)
+      });
+    }
+
+    return encoded;
+  }
+
+  /**
+   * Encode a single file
+   * @param {Object} options - { codec, bitrate, timeout } - pass a longer timeout for long imported files
+   * @returns {Object} - { file, codec, bitrate, size, originalSize }
+   */
+  async encodeFile(filePath, { codec = 'wav', bitrate, timeout = ENCODE_TIMEOUT } = {}) {
+    const originalSize = await this._getFileSize(filePath);
+    const sourceCodec = await this._detectCodec(filePath);
+    const unchanged = { file: filePath, codec: sourceCodec, bitrate: null, size: originalSize, originalSize };
+
+    if (!CODECS[codec]) {
+      console.warn(`⚠️ Unknown codec "${codec}", keeping original file`);
+      return unchanged;
+    }
+
+    if (!originalSize || codec === sourceCodec) {
+      return unchanged;
+    }
+
+    const targetFile = this._getTargetPath(filePath, codec);
+    const targetBitrate = codec === 'opus' ? this._normalizeBitrate(bitrate) : null;
+
+    try {
+      const useSox = codec !== 'opus' && sourceCodec === 'wav' &&
+        await this._isToolAvailable(this.soxPath, ['--version']);
+
+      if (useSox) {
+        await this._run(this.soxPath, [filePath, '-C', '8', targetFile], timeout);
+      } else if (await this._isToolAvailable(this.ffmpegPath, ['-version'])) {
+        const codecArgs = codec === 'opus'
+          ? ['-c:a', 'libopus', '-b:a', `${targetBitrate}k`, '-application', 'voip']
+          : codec === 'flac' ? ['-c:a', 'flac'] : ['-c:a', 'pcm_s16le'];
+        await this._run(this.ffmpegPath, ['-y', '-loglevel', 'error', '-i', filePath, '-vn', ...codecArgs, targetFile], timeout);
+      } else {
+        console.warn(`⚠️ No encoder available for ${codec}, keeping ${path.basename(filePath)}`);
+        return unchanged;
+      }
+
+      const size = await this._getFileSize(targetFile);
+      if (!size) {
+        throw new Error('Encoder produced an empty file');
+      }
+
+      console.log(`🗜️ Encoded ${path.basename(filePath)} to ${codec}: ${(originalSize / 1024).toFixed(0)} KB -> ${(size / 1024).toFixed(0)} KB`);
+      return { file: targetFile, codec, bitrate: targetBitrate, size, originalSize };
+    } catch (error) {
+      console.warn(`⚠️ Failed to encode ${path.basename(filePath)} to ${codec}, keeping original:`, error.message);
+      await fs.remove(targetFile).catch(() => {});
+      return unchanged;
+    }
+  }
+
+  /**
+   * Split a stereo file into two mono WAV files
+   * @param {string} filePath - Any format SoX (WAV) or ffmpeg can read
+   * @param {string} targetDir - Where the channel files are written
+   * @returns {Array} - [leftFile, rightFile]
+   */
+  async splitChannels(filePath, targetDir) {
+    const sourceCodec = await this._detectCodec(filePath);
+    if (sourceCodec === 'wav' && await this._readWavChannels(filePath) === 1) {
+      throw new Error('The file has only one channel');
+    }
+
+    await fs.ensureDir(targetDir);
+    const { name } = path.parse(filePath);
+    const targets = ['left', 'right'].map(channel => path.join(targetDir, `${name}_${channel}.wav`));
+
+    const useSox = sourceCodec === 'wav' && await this._isToolAvailable(this.soxPath, ['--version']);
+    if (!useSox && !(await this._isToolAvailable(this.ffmpegPath, ['-version']))) {
+      throw new Error('Splitting stereo files requires SoX or ffmpeg');
+    }
+
+    for (const [index, target] of targets.entries()) {
+      if (useSox) {
+        await this._run(this.soxPath, [filePath, '-b', '16', target, 'remix', String(index + 1)], SPLIT_TIMEOUT);
+      } else {
+        await this._run(this.ffmpegPath, [
+          '-y', '-loglevel', 'error', '-i', filePath, '-vn',
+          '-af', `pan=mono|c0=c${index}`, '-c:a', 'pcm_s16le', target
+        ], SPLIT_TIMEOUT);
+      }
+
+      if (!(await this._getFileSize(target))) {
+        throw new Error(`Could not extract the ${index === 0 ? 'left' : 'right'} channel`);
+      }
+    }
+
+    console.log(`🎚️ Split ${path.basename(filePath)} into left and right channels`);
+    return targets;
+  }
+
+  async _readWavChannels(filePath) {
+    try {
+      const handle = await fs.open(filePath, 'r');
+      const header = Buffer.alloc(24);
+      await fs.read(handle, header, 0, 24, 0);
+      await fs.close(handle);
+      return header.readUInt16LE(22);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Identify the container from the file header - Windows output files are WebM despite their .wav name
+   */
+  async _detectCodec(filePath) {
+    try {
+      const handle = await fs.open(filePath, 'r');
+      const header = Buffer.alloc(12);
+      await fs.read(handle, header, 0, 12, 0);
+      await fs.close(handle);
+
+      if (header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WAVE') return 'wav';
+      if (header.toString('ascii', 0, 4) === 'fLaC') return 'flac';
+      if (header.toString('ascii', 0, 4) === 'OggS') return 'opus';
+      if (header.readUInt32BE(0) === 0x1A45DFA3) return 'webm';
+    } catch (error) {
+      // Fall through to the extension
+    }
+
+    return path.extname(filePath).slice(1).toLowerCase() || 'wav';
+  }
+
+  _getTargetPath(filePath, codec) {
+    const { dir, name } = path.parse(filePath);
+    const targetFile = path.join(dir, `${name}.${CODECS[codec].extension}`);
+    // Never encode over the source (e.g. WebM data in a .wav file converted to real WAV)
+    return targetFile === filePath ? path.join(dir, `${name}_encoded.${CODECS[codec].extension}`) : targetFile;
+  }
+
+  _normalizeBitrate(bitrate) {
+    const value = parseInt(bitrate, 10);
+    if (isNaN(value)) return DEFAULT_OPUS_BITRATE;
+    return Math.min(MAX_BITRATE, Math.max(MIN_BITRATE, value));
+  }
+
+  async _getFileSize(filePath) {
+    try {
+      if (!filePath || !(await fs.pathExists(filePath))) return 0;
+      const stats = await fs.stat(filePath);
+      return stats.size;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Check (once) whether an encoder binary can be started
+   */
+  async _isToolAvailable(tool, versionArgs) {
+    if (this.toolAvailability[tool] === undefined) {
+      try {
+        await this._run(tool, versionArgs, 10000);
+        this.toolAvailability[tool] = true;
+      } catch (error) {
+        console.log(`ℹ️ Encoder ${tool} not available:`, error.message);
+        this.toolAvailability[tool] = false;
+      }
+    }
+    return this.toolAvailability[tool];
+  }
+
+  _run(command, args, timeout = ENCODE_TIMEOUT) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill();
+        reject(new Error(`${path.basename(command)} timed out`));
+      }, timeout);
+
+      child.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(stderr.trim() || `${path.basename(command)} exited with code ${code}`));
+        }
+      });
+    });
+  }
+}
+
+module.exports = AudioEncoder;
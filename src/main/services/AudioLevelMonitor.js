@@ -0,0 +1,132 @@
+const fs = require('fs-extra');
+
+const WAV_HEADER_SIZE = 44;
+
+/**
+ * Audio Level Monitor
+ * Samples the tail of the WAV files SoX is writing and reports RMS/peak levels
+ * for the microphone and system audio streams while a recording is running
+ */
+class AudioLevelMonitor {
+  /**
+   * @param {Function} onLevel - Called with { input, output } where each is { rms, peak } (0-1) or null
+   * @param {Object} options - { sampleRate, channels, intervalMs, windowMs }
+   */
+  constructor(onLevel, options = {}) {
+    this.onLevel = onLevel;
+    this.sampleRate = options.sampleRate || 16000;
+    this.channels = options.channels || 1;
+    this.intervalMs = options.intervalMs || 250;
+    this.windowMs = options.windowMs || 100;
+
+    this.inputFile = null;
+    this.outputFile = null;
+    this.timer = null;
+    this.isSampling = false;
+  }
+
+  /**
+   * Start sampling (or switch to new files when a new segment starts)
+   */
+  start({ inputFile, outputFile }) {
+    this.inputFile = inputFile || null;
+    this.outputFile = outputFile || null;
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this._sample(), this.intervalMs);
+    }
+  }
+
+  /**
+   * Stop sampling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.inputFile = null;
+    this.outputFile = null;
+  }
+
+  /**
+   * Read the latest audio from both files and report the levels
+   */
+  async _sample() {
+    // Skip a tick rather than pile up reads if the disk is slow
+    if (this.isSampling) return;
+    this.isSampling = true;
+
+    try {
+      const [input, output] = await Promise.all([
+        this._readLevel(this.inputFile),
+        this._readLevel(this.outputFile)
+      ]);
+
+      if (this.timer && typeof this.onLevel === 'function') {
+        this.onLevel({ input, output });
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not sample audio levels:', error.message);
+    } finally {
+      this.isSampling = false;
+    }
+  }
+
+  /**
+   * Compute levels for the last windowMs of audio in a 16-bit PCM WAV file
+   * @returns {Object|null} - { rms, peak } or null if the file has no audio yet
+   */
+  async _readLevel(filePath) {
+    if (!filePath || !(await fs.pathExists(filePath))) {
+      return null;
+    }
+
+    const { size } = await fs.stat(filePath);
+    if (size <= WAV_HEADER_SIZE) {
+      return { rms: 0, peak: 0 };
+    }
+
+    const windowBytes = Math.floor(this.sampleRate * this.windowMs / 1000) * this.channels * 2;
+    let start = Math.max(WAV_HEADER_SIZE, size - windowBytes);
+    // Keep reads aligned to whole samples
+    start -= (start - WAV_HEADER_SIZE) % 2;
+
+    const length = size - start;
+    const buffer = Buffer.alloc(length);
+    const fd = await fs.open(filePath, 'r');
+    try {
+      await fs.read(fd, buffer, 0, length, start);
+    } finally {
+      await fs.close(fd);
+    }
+
+    return AudioLevelMonitor.computePcm16Levels(buffer);
+  }
+
+  /**
+   * Compute RMS and peak (normalised to 0-1) for little-endian 16-bit PCM samples
+   */
+  static computePcm16Levels(buffer) {
+    const sampleCount = Math.floor(buffer.length / 2);
+    if (sampleCount === 0) {
+      return { rms: 0, peak: 0 };
+    }
+
+    let sumSquares = 0;
+    let peak = 0;
+    for (let i = 0; i < sampleCount; i++) {
+      const sample = buffer.readInt16LE(i * 2) / 32768;
+      sumSquares += sample * sample;
+      const magnitude = Math.abs(sample);
+      if (magnitude > peak) peak = magnitude;
+    }
+
+    return {
+      rms: Math.sqrt(sumSquares / sampleCount),
+      peak
+    };
+  }
+}
+
+module.exports = AudioLevelMonitor;
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+
+const SCHEME = 'leepi-media';
+
+const CONTENT_TYPES = {
+  '.wav': 'audio/wav',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.webm': 'audio/webm',
+  '.flac': 'audio/flac'
+};
+
+/**
+ * Media Protocol
+ * Serves audio to <audio> elements as leepi-media:// URLs so large files are streamed
+ * (with Range support for seeking) instead of being copied into the renderer
+ * - Only sources main has explicitly registered are served, each under an unguessable token
+ * - Remote sources are proxied with their auth headers, passing Range requests through; only URLs under
+ *   the backend the user signed in to are accepted, and they are dropped again on logout
+ */
+class MediaProtocol {
+  constructor() {
+    // token -> { filePath } or { url, headers }
+    this.sources = new Map();
+    // filePath or remote URL -> token, so re-serving the same source reuses its media URL
+    this.tokensBySource = new Map();
+    // Remote sources must live under this URL - null while nobody is signed in
+    this.remoteBaseURL = null;
+  }
+
+  /**
+   * Must be called before the app is ready
+   */
+  static registerScheme(protocol) {
+    protocol.registerSchemesAsPrivileged([{
+      scheme: SCHEME,
+      privileges: { standard: true, secure: true, stream: true, supportFetchAPI: true, corsEnabled: true }
+    }]);
+  }
+
+  /**
+   * Install the request handler - call once the app is ready
+   */
+  register(protocol) {
+    protocol.handle(SCHEME, (request) => this._handleRequest(request));
+    console.log(`🎧 Media protocol ${SCHEME}:// registered`);
+  }
+
+  /**
+   * URL the renderer can use to stream a local file
+   */
+  serveFile(filePath) {
+    const resolved = path.resolve(filePath);
+    const token = this._getToken(resolved);
+
+    this.sources.set(token, { filePath: resolved });
+    return `${SCHEME}://${token}/${encodeURIComponent(path.basename(resolved))}`;
+  }
+
+  /**
+   * URL the renderer can use to stream a remote file - headers (e.g. Authorization) are added by main
+   */
+  serveRemote(url, headers = {}) {
+    const { protocol } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw new Error(`Unsupported media URL: ${url}`);
+    }
+    if (!this._isUnderRemoteBase(url)) {
+      throw new Error('Remote media is only streamed from the backend you are signed in to');
+    }
+
+    // Registering again refreshes the headers, e.g. after the access token was renewed
+    const token = this._getToken(url);
+    this.sources.set(token, { url, headers });
+    return `${SCHEME}://${token}/audio`;
+  }
+
+  /**
+   * Allow remote sources under the signed-in backend - sources of a previous backend are dropped
+   */
+  setRemoteBaseURL(baseURL) {
+    if (baseURL !== this.remoteBaseURL) {
+      this.clearRemoteSources();
+    }
+    this.remoteBaseURL = baseURL;
+  }
+
+  /**
+   * Forget every remote source (and the auth headers kept for them), e.g. on logout
+   */
+  clearRemoteSources() {
+    for (const [token, source] of this.sources) {
+      if (source.url) {
+        this.sources.delete(token);
+        this.tokensBySource.delete(source.url);
+      }
+    }
+    this.remoteBaseURL = null;
+  }
+
+  /**
+   * Stop serving a media URL, e.g. once the transcript playing it is closed
+   */
+  release(mediaUrl) {
+    const token = new URL(mediaUrl).hostname;
+    const source = this.sources.get(token);
+    if (!source) return;
+
+    this.sources.delete(token);
+    this.tokensBySource.delete(source.filePath || source.url);
+  }
+
+  _isUnderRemoteBase(url) {
+    if (!this.remoteBaseURL) return false;
+
+    const base = new URL(this.remoteBaseURL);
+    const target = new URL(url);
+    const basePath = base.pathname.endsWith('/') ? base.pathname : `${base.pathname}/`;
+    return target.origin === base.origin && target.pathname.startsWith(basePath);
+  }
+
+  _getToken(source) {
+    let token = this.tokensBySource.get(source);
+    if (!token) {
+      token = uuidv4();
+      this.tokensBySource.set(source, token);
+    }
+    return token;
+  }
+
+  async _handleRequest(request) {
+    const source = this.sources.get(new URL(request.url).hostname);
+    if (!source) {
+      return new Response('Not found', { status: 404 });
+    }
+
+    try {
+      return source.filePath
+        ? await this._serveFile(source.filePath, request.headers.get('range'))
+        : await this._serveRemote(source, request.headers.get('range'));
+    } catch (error) {
+      console.error('❌ Failed to serve media:', error);
+      return new Response('Failed to read media', { status: 500 });
+    }
+  }
+
+  async _serveFile(filePath, rangeHeader) {
+    const { size } = await fs.promises.stat(filePath);
+    const headers = {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Accept-Ranges': 'bytes',
+      'Access-Control-Allow-Origin': '*'
+    };
+
+    const range = this._parseRange(rangeHeader, size);
+    if (range === false) {
+      return new Response(null, { status: 416, headers: { ...headers, 'Content-Range': `bytes */${size}` } });
+    }
+
+    const { start, end } = range || { start: 0, end: size - 1 };
+    const body = size === 0 ? null : Readable.toWeb(fs.createReadStream(filePath, { start, end }));
+
+    return new Response(body, {
+      status: range ? 206 : 200,
+      headers: {
+        ...headers,
+        'Content-Length': String(size === 0 ? 0 : end - start + 1),
+        ...(range ? { 'Content-Range': `bytes ${start}-${end}/${size}` } : {})
+      }
+    });
+  }
+
+  async _serveRemote({ url, headers }, rangeHeader) {
+    const { net } = require('electron');
+    const upstream = await net.fetch(url, {
+      headers: { ...headers, ...(rangeHeader ? { Range: rangeHeader } : {}) }
+    });
+
+    const responseHeaders = { 'Access-Control-Allow-Origin': '*' };
+    ['content-type', 'content-length', 'content-range', 'accept-ranges'].forEach(name => {
+      if (upstream.headers.has(name)) {
+        responseHeaders[name] = upstream.headers.get(name);
+      }
+    });
+
+    return new Response(upstream.body, { status: upstream.status, headers: responseHeaders });
+  }
+
+  /**
+   * Parse a single "bytes=start-end" range
+   * @returns {Object|null|false} - { start, end }, null without a (usable) range, false when unsatisfiable
+   */
+  _parseRange(rangeHeader, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((rangeHeader || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+      return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+      // Suffix range: the last N bytes
+      start = Math.max(size - Number(match[2]), 0);
+      end = size - 1;
+    } else {
+      start = Number(match[1]);
+      end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+
+    if (start >= size || start > end) {
+      return false;
+    }
+    return { start, end };
+  }
+}
+
+module.exports = MediaProtocol;
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { safeStorage, net } = require('electron');
+const Store = require('electron-store');
+
+/**
+ * Offline Key Store
+ * Holds the keys that encrypt offline recordings at rest in the renderer.
+ * A random device secret is kept in its own electron-store file (sealed with the OS keychain
+ * through safeStorage when available) and a separate AES-256 key is derived from it for each user.
+ * Only the key of the signed-in user, as confirmed by the backend, is handed to the renderer.
+ */
+class OfflineKeyStore {
+  constructor() {
+    // Separate file so the generic storage-* IPC handlers can't read or clear it
+    this.store = new Store({ name: 'offline-keys' });
+    this.secret = null;
+    this.userId = null;
+  }
+
+  /**
+   * Confirm who is signed in by asking the backend about the session token
+   * Without a connection the last user confirmed on this computer is used, so recordings
+   * can still be stored and read offline
+   * @returns {string} - the signed-in user's ID
+   */
+  async signIn(backendURL, token) {
+    if (!token) {
+      throw new Error('Not signed in');
+    }
+
+    let response;
+    try {
+      response = await net.fetch(`${backendURL}/api/auth/me`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+    } catch (error) {
+      const lastUserId = this.store.get('lastUserId');
+      if (!lastUserId) {
+        throw new Error('The backend is needed to confirm the first sign-in on this computer');
+      }
+
+      console.warn('⚠️ Backend unreachable, using the last confirmed user for offline recordings');
+      this.userId = lastUserId;
+      return this.userId;
+    }
+
+    const body = await response.json().catch(() => ({}));
+    const user = body.user;
+    if (!response.ok || !body.success || !user || !(user.id || user._id)) {
+      this.userId = null;
+      throw new Error(body.error || 'The session could not be confirmed');
+    }
+
+    this.userId = String(user.id || user._id);
+    this.store.set('lastUserId', this.userId);
+    return this.userId;
+  }
+
+  signOut() {
+    this.userId = null;
+  }
+
+  /**
+   * The signed-in user and their key
+   * @returns {Object} - { userId, key }
+   */
+  getCurrentUserKey() {
+    if (!this.userId) {
+      throw new Error('A signed-in user is required to access offline recordings');
+    }
+
+    return { userId: this.userId, key: this.getUserKey(this.userId) };
+  }
+
+  /**
+   * The 32-byte key for a user's offline recordings
+   * @param {string} userId
+   * @returns {Buffer}
+   */
+  getUserKey(userId) {
+    if (!userId) {
+      throw new Error('A user is required to access offline recordings');
+    }
+
+    return Buffer.from(crypto.hkdfSync(
+      'sha256',
+      this._getDeviceSecret(),
+      Buffer.from(String(userId), 'utf8'),
+      Buffer.from('leepi-offline-recordings', 'utf8'),
+      32
+    ));
+  }
+
+  /**
+   * Load the device secret, creating it on first use
+   */
+  _getDeviceSecret() {
+    if (this.secret) return this.secret;
+
+    const saved = this.store.get('deviceSecret');
+    if (saved) {
+      this.secret = saved.sealed
+        ? Buffer.from(safeStorage.decryptString(Buffer.from(saved.value, 'base64')), 'base64')
+        : Buffer.from(saved.value, 'base64');
+      return this.secret;
+    }
+
+    this.secret = crypto.randomBytes(32);
+    const sealed = safeStorage.isEncryptionAvailable();
+    this.store.set('deviceSecret', {
+      sealed,
+      value: sealed
+        ? safeStorage.encryptString(this.secret.toString('base64')).toString('base64')
+        : this.secret.toString('base64'),
+      createdAt: new Date().toISOString()
+    });
+
+    if (!sealed) {
+      console.warn('⚠️ OS keychain not available, offline recording key stored without keychain protection');
+    }
+    console.log('🔐 Created offline recording device secret');
+
+    return this.secret;
+  }
+}
+
+module.exports = OfflineKeyStore;
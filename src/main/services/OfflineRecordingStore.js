@@ -0,0 +1,224 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Offline Recording Store
+ * Keeps recordings that couldn't be uploaded on disk under the user data directory:
+ *   manifest.json          - every record without its audio ({ version, recordings: { id: record } })
+ *   <id>/input_<n>.bin     - microphone segment files, stored as received (already encrypted by the renderer)
+ *   <id>/output_<n>.bin    - system audio segment files
+ *
+ * Records have the same shape OfflineStorageService keeps in IndexedDB; each file's `data`
+ * is written to its own file and replaced in the manifest by a relative `path`.
+ */
+class OfflineRecordingStore {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    this.manifestPath = path.join(baseDir, 'manifest.json');
+    this.manifest = null;
+    fs.ensureDirSync(this.baseDir);
+  }
+
+  /**
+   * Add a record, or replace it (including its files) if the ID already exists
+   */
+  async save(record) {
+    const id = this._validateId(record.id);
+    const recordDir = path.join(this.baseDir, id);
+
+    await fs.remove(recordDir);
+    await fs.ensureDir(recordDir);
+
+    const entry = {
+      ...record,
+      inputFiles: await this._writeFiles(id, 'input', record.inputFiles || []),
+      outputFiles: await this._writeFiles(id, 'output', record.outputFiles || [])
+    };
+
+    const manifest = this._getManifest();
+    manifest.recordings[id] = entry;
+    this._writeManifest();
+
+    return id;
+  }
+
+  /**
+   * All records with their audio, optionally only those with the given status
+   * @param {string|null} status
+   * @param {Object} options - { includeAudio: false } returns the manifest entries only
+   */
+  async list(status = null, { includeAudio = true } = {}) {
+    const entries = Object.values(this._getManifest().recordings)
+      .filter(entry => !status || entry.status === status);
+
+    if (!includeAudio) {
+      return entries;
+    }
+
+    return Promise.all(entries.map(entry => this._hydrate(entry)));
+  }
+
+  async get(id) {
+    const entry = this._getManifest().recordings[this._validateId(id)];
+    return entry ? this._hydrate(entry) : null;
+  }
+
+  /**
+   * Merge fields into a record - the audio files are left as they are
+   */
+  update(id, changes) {
+    const manifest = this._getManifest();
+    const entry = manifest.recordings[this._validateId(id)];
+    if (!entry) {
+      throw new Error(`Recording with ID ${id} not found`);
+    }
+
+    const { inputFiles, outputFiles, ...fields } = changes;
+    manifest.recordings[id] = { ...entry, ...fields };
+    this._writeManifest();
+  }
+
+  /**
+   * Remove a record's audio but keep its metadata (retention of uploaded recordings)
+   */
+  async purgeAudio(id) {
+    const manifest = this._getManifest();
+    const entry = manifest.recordings[this._validateId(id)];
+    if (!entry) {
+      throw new Error(`Recording with ID ${id} not found`);
+    }
+
+    const stripFiles = (files) => (files || []).map(file => ({ ...file, path: null, storedSize: 0 }));
+    manifest.recordings[id] = {
+      ...entry,
+      inputFiles: stripFiles(entry.inputFiles),
+      outputFiles: stripFiles(entry.outputFiles),
+      audioPurgedAt: new Date().toISOString()
+    };
+    this._writeManifest();
+
+    await fs.remove(path.join(this.baseDir, id));
+  }
+
+  async delete(id) {
+    const manifest = this._getManifest();
+    delete manifest.recordings[this._validateId(id)];
+    this._writeManifest();
+
+    await fs.remove(path.join(this.baseDir, id));
+  }
+
+  async clear() {
+    const ids = Object.keys(this._getManifest().recordings);
+    this.manifest.recordings = {};
+    this._writeManifest();
+
+    for (const id of ids) {
+      await fs.remove(path.join(this.baseDir, id)).catch(() => {});
+    }
+  }
+
+  /**
+   * Record count, bytes used on disk and bytes still free on that disk
+   */
+  async getStats() {
+    const entries = Object.values(this._getManifest().recordings);
+    let totalBytes = 0;
+
+    for (const entry of entries) {
+      for (const file of [...(entry.inputFiles || []), ...(entry.outputFiles || [])]) {
+        totalBytes += file.storedSize || 0;
+      }
+    }
+
+    return {
+      totalRecordings: entries.length,
+      totalBytes,
+      freeBytes: await this._getFreeBytes(),
+      directory: this.baseDir
+    };
+  }
+
+  async _getFreeBytes() {
+    try {
+      const { bavail, bsize } = await fs.promises.statfs(this.baseDir);
+      return bavail * bsize;
+    } catch (error) {
+      console.warn('⚠️ Could not read free disk space:', error.message);
+      return null;
+    }
+  }
+
+  async _writeFiles(id, track, files) {
+    const stored = [];
+
+    for (let index = 0; index < files.length; index++) {
+      const { data, ...file } = files[index];
+
+      // Audio that was lost before it reached the store is kept as metadata only
+      if (!data) {
+        stored.push({ ...file, path: null, storedSize: 0 });
+        continue;
+      }
+
+      const relativePath = path.join(id, `${track}_${index}.bin`);
+      const buffer = Buffer.from(data);
+      await fs.writeFile(path.join(this.baseDir, relativePath), buffer);
+      stored.push({ ...file, path: relativePath, storedSize: buffer.length });
+    }
+
+    return stored;
+  }
+
+  async _hydrate(entry) {
+    const readFiles = (files) => Promise.all((files || []).map(async ({ path: relativePath, ...file }) => {
+      try {
+        const data = relativePath ? await fs.readFile(path.join(this.baseDir, relativePath)) : null;
+        return { ...file, data };
+      } catch (error) {
+        console.warn(`⚠️ Missing offline recording file ${relativePath}:`, error.message);
+        return { ...file, data: null };
+      }
+    }));
+
+    return {
+      ...entry,
+      inputFiles: await readFiles(entry.inputFiles),
+      outputFiles: await readFiles(entry.outputFiles)
+    };
+  }
+
+  _getManifest() {
+    if (!this.manifest) {
+      try {
+        this.manifest = fs.existsSync(this.manifestPath)
+          ? fs.readJsonSync(this.manifestPath)
+          : { version: 1, recordings: {} };
+      } catch (error) {
+        console.warn('⚠️ Could not read offline recording manifest, starting a new one:', error.message);
+        this.manifest = { version: 1, recordings: {} };
+      }
+    }
+
+    return this.manifest;
+  }
+
+  /**
+   * Write via a temp file + rename so a crash mid-write never leaves a truncated manifest
+   */
+  _writeManifest() {
+    const tempPath = `${this.manifestPath}.tmp`;
+    fs.writeJsonSync(tempPath, this.manifest, { spaces: 2 });
+    fs.renameSync(tempPath, this.manifestPath);
+  }
+
+  // IDs become directory names, so only allow plain identifiers
+  _validateId(id) {
+    if (typeof id !== 'string' || !/^[\w-]+$/.test(id)) {
+      throw new Error(`Invalid recording ID: ${id}`);
+    }
+    return id;
+  }
+}
+
+module.exports = OfflineRecordingStore;
@@ -0,0 +1,211 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Recording Journal
+ * Keeps an on-disk record of each recording session (segments, start times, devices)
+ * so segments already written to the temp dir can be recovered after a crash
+ *
+ * Session status: 'recording' -> 'completed' (journal removed) or 'interrupted' (found on next launch)
+ */
+class RecordingJournal {
+  constructor(tempDir) {
+    this.journalDir = path.join(tempDir, 'journal');
+    fs.ensureDirSync(this.journalDir);
+  }
+
+  /**
+   * Create the journal entry for a new session
+   */
+  startSession({ sessionId, platform, devices, segmentDuration, segmentOverlap }) {
+    this._write({
+      sessionId,
+      status: 'recording',
+      platform,
+      devices: devices || {},
+      segmentDuration,
+      segmentOverlap: segmentOverlap || 0,
+      startedAt: Date.now(),
+      updatedAt: Date.now(),
+      segments: []
+    });
+  }
+
+  /**
+   * Replace the segment list for a session (called as segments start and finish)
+   */
+  updateSegments(sessionId, segments) {
+    const entry = this._read(sessionId);
+    if (!entry) return;
+
+    entry.segments = segments.map(segment => ({
+      segmentId: segment.segmentId,
+      segmentIndex: segment.segmentIndex,
+      inputFile: segment.inputFile,
+      outputFile: segment.outputFile,
+      hasOutputAudio: !!segment.hasOutputAudio,
+      startTime: segment.segmentStartTime || segment.startTime,
+      endTime: segment.endTime || null,
+      overlapDuration: segment.overlapDuration || 0
+    }));
+    entry.updatedAt = Date.now();
+    this._write(entry);
+  }
+
+  /**
+   * Remove the journal for a session that stopped normally
+   */
+  completeSession(sessionId) {
+    try {
+      fs.removeSync(this._getJournalPath(sessionId));
+    } catch (error) {
+      console.warn(`⚠️ Could not remove journal for session ${sessionId}:`, error.message);
+    }
+  }
+
+  /**
+   * Mark sessions left in 'recording' state by a previous run as interrupted
+   * Must be called at startup, before any new recording begins
+   * @returns {Array} - Sessions that were interrupted
+   */
+  markInterruptedSessions() {
+    const interrupted = [];
+
+    for (const entry of this._readAll()) {
+      if (entry.status === 'recording') {
+        entry.status = 'interrupted';
+        entry.interruptedAt = entry.updatedAt;
+        this._write(entry);
+        interrupted.push(entry);
+      }
+    }
+
+    return interrupted;
+  }
+
+  /**
+   * List interrupted sessions with the segment files that still exist on disk
+   */
+  async getInterruptedSessions() {
+    const sessions = [];
+
+    for (const entry of this._readAll()) {
+      if (entry.status !== 'interrupted') continue;
+
+      const segments = [];
+      let totalSize = 0;
+
+      for (const segment of entry.segments) {
+        const inputSize = await this._getFileSize(segment.inputFile);
+        const outputSize = segment.hasOutputAudio ? await this._getFileSize(segment.outputFile) : 0;
+
+        // Skip segments whose audio never made it to disk
+        if (!inputSize && !outputSize) continue;
+
+        segments.push({ ...segment, inputSize, outputSize });
+        totalSize += inputSize + outputSize;
+      }
+
+      sessions.push({
+        sessionId: entry.sessionId,
+        platform: entry.platform,
+        devices: entry.devices,
+        startedAt: entry.startedAt,
+        interruptedAt: entry.interruptedAt,
+        segmentDuration: entry.segmentDuration,
+        segmentOverlap: entry.segmentOverlap,
+        segments,
+        totalSegments: segments.length,
+        totalSize
+      });
+    }
+
+    return sessions.sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  /**
+   * Delete a session's journal and, optionally, its segment files
+   */
+  async discardSession(sessionId, { removeFiles = true } = {}) {
+    const entry = this._read(sessionId);
+    if (!entry) {
+      throw new Error(`Session ${sessionId} not found in journal`);
+    }
+
+    if (removeFiles) {
+      for (const segment of entry.segments) {
+        await fs.remove(segment.inputFile).catch(() => {});
+        if (segment.outputFile) {
+          await fs.remove(segment.outputFile).catch(() => {});
+        }
+      }
+    }
+
+    await fs.remove(this._getJournalPath(sessionId));
+  }
+
+  async _getFileSize(filePath) {
+    try {
+      if (!filePath || !(await fs.pathExists(filePath))) return 0;
+      const stats = await fs.stat(filePath);
+      return stats.size;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  _getJournalPath(sessionId) {
+    return path.join(this.journalDir, `session_${RecordingJournal.validateSessionId(sessionId)}.json`);
+  }
+
+  // Session IDs become file names, so only allow plain identifiers
+  static validateSessionId(sessionId) {
+    if (typeof sessionId !== 'string' || !/^[\w-]+$/.test(sessionId)) {
+      throw new Error(`Invalid session ID: ${sessionId}`);
+    }
+    return sessionId;
+  }
+
+  _read(sessionId) {
+    try {
+      return fs.readJsonSync(this._getJournalPath(sessionId));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _readAll() {
+    try {
+      return fs.readdirSync(this.journalDir)
+        .filter(file => file.startsWith('session_') && file.endsWith('.json'))
+        .map(file => {
+          try {
+            return fs.readJsonSync(path.join(this.journalDir, file));
+          } catch (error) {
+            console.warn(`⚠️ Skipping unreadable journal file ${file}:`, error.message);
+            return null;
+          }
+        })
+        .filter(Boolean);
+    } catch (error) {
+      console.warn('⚠️ Could not read recording journal:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Write via a temp file + rename so a crash mid-write never leaves a truncated journal
+   */
+  _write(entry) {
+    try {
+      const journalPath = this._getJournalPath(entry.sessionId);
+      const tempPath = `${journalPath}.tmp`;
+      fs.writeJsonSync(tempPath, entry, { spaces: 2 });
+      fs.renameSync(tempPath, journalPath);
+    } catch (error) {
+      console.warn(`⚠️ Could not write journal for session ${entry.sessionId}:`, error.message);
+    }
+  }
+}
+
+module.exports = RecordingJournal;
@@ -0,0 +1,273 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { HEADER_SIZE, parseWavHeader, createWavHeader } = require('./WavFile');
+
+// input: microphone only, output: system audio only, stereo: mic left + system right
+const MERGE_MODES = ['input', 'output', 'stereo'];
+
+/**
+ * Session Merge Service
+ * Joins a session's segments into one playable WAV file in the temp dir
+ * - Segments are ordered by their (synchronized) start timestamps
+ * - Audio repeated by segment overlap is dropped so it's only heard once
+ * - Non-WAV segments (MediaRecorder WebM on Windows) are decoded through the AudioEncoder first
+ */
+class SessionMergeService {
+  constructor(tempDir, encoder = null) {
+    this.tempDir = tempDir;
+    this.mergedDir = path.join(tempDir, 'merged');
+    this.encoder = encoder;
+  }
+
+  /**
+   * Where a session's merged file lives - always inside the merge dir
+   */
+  getMergedFilePath(sessionId, mode = 'stereo') {
+    if (!MERGE_MODES.includes(mode)) {
+      throw new Error(`Unknown merge mode: ${mode}`);
+    }
+
+    // The session ID ends up in file names and patterns
+    if (!sessionId || !/^[\w-]+$/.test(sessionId)) {
+      throw new Error('Invalid session ID');
+    }
+
+    return path.join(this.mergedDir, `${sessionId}_${mode}.wav`);
+  }
+
+  /**
+   * An already merged file for the session, or null
+   */
+  async findMergedFile(sessionId, mode = 'stereo') {
+    const filePath = this.getMergedFilePath(sessionId, mode);
+    return await fs.pathExists(filePath) ? filePath : null;
+  }
+
+  /**
+   * Merge a session's segments into a single file
+   * @param {Object} options - { sessionId, segments, mode }
+   *   segments are optional - without them the session's files are looked up in the temp dir
+   * @returns {Object} - { filePath, mode, sampleRate, channels, duration, segmentCount, size }
+   */
+  async mergeSession({ sessionId, segments, mode = 'stereo' }) {
+    const filePath = this.getMergedFilePath(sessionId, mode);
+
+    const sessionSegments = segments && segments.length > 0
+      ? segments
+      : await this.findSessionSegments(sessionId);
+
+    if (sessionSegments.length === 0) {
+      throw new Error(`No local audio found for session ${sessionId}`);
+    }
+
+    const channels = mode === 'stereo' ? 2 : 1;
+    await fs.ensureDir(this.mergedDir);
+
+    console.log(`🔗 Merging ${sessionSegments.length} segments of session ${sessionId} (${mode})...`);
+
+    const fd = await fs.open(filePath, 'w');
+    let sampleRate = null;
+    let dataLength = 0;
+    let segmentCount = 0;
+    let previousIncluded = false;
+
+    try {
+      // Placeholder header - rewritten once the data length is known
+      await fs.write(fd, Buffer.alloc(HEADER_SIZE));
+
+      for (const segment of this.orderSegments(sessionSegments)) {
+        const mic = mode !== 'output' ? await this._readTrack(segment.inputFile) : null;
+        const system = mode !== 'input' && segment.hasOutputAudio !== false
+          ? await this._readTrack(segment.outputFile)
+          : null;
+
+        if (!mic && !system) {
+          console.warn(`⚠️ Segment ${segment.segmentId || segment.segmentIndex} has no readable audio, skipping`);
+          previousIncluded = false;
+          continue;
+        }
+
+        // The first readable segment sets the sample rate for the whole file
+        if (!sampleRate) {
+          sampleRate = (mic || system).sampleRate;
+        }
+
+        const micSamples = mic ? this._resample(mic.samples, mic.sampleRate, sampleRate) : null;
+        const systemSamples = system ? this._resample(system.samples, system.sampleRate, sampleRate) : null;
+
+        // Skip the start of the segment that repeats the end of the previous one
+        const skip = previousIncluded ? Math.round((segment.overlapDuration || 0) * sampleRate) : 0;
+
+        const chunk = mode === 'stereo'
+          ? this._interleave(micSamples, systemSamples, skip)
+          : this._toBuffer(micSamples || systemSamples, skip);
+
+        await fs.write(fd, chunk);
+        dataLength += chunk.length;
+        segmentCount++;
+        previousIncluded = true;
+      }
+
+      if (dataLength > 0) {
+        await fs.write(fd, createWavHeader({ sampleRate, channels, dataLength }), 0, HEADER_SIZE, 0);
+      }
+    } finally {
+      await fs.close(fd);
+    }
+
+    if (dataLength === 0) {
+      await fs.remove(filePath);
+      throw new Error('None of the session segments contain readable audio');
+    }
+
+    const duration = dataLength / (channels * 2) / sampleRate;
+    console.log(`✅ Merged session ${sessionId}: ${segmentCount} segments, ${duration.toFixed(1)}s -> ${filePath}`);
+
+    return {
+      filePath,
+      mode,
+      sampleRate,
+      channels,
+      duration,
+      segmentCount,
+      size: dataLength + HEADER_SIZE
+    };
+  }
+
+  /**
+   * Find a session's segment files in the temp dir (for sessions no longer held in memory)
+   * File creation time stands in for the segment start time
+   */
+  async findSessionSegments(sessionId) {
+    const files = await fs.readdir(this.tempDir).catch(() => []);
+    const segmentPattern = new RegExp(`^(input|output)_${sessionId}_segment_(\\d+)\\.(wav|webm)$`);
+    const segmentsByIndex = new Map();
+
+    for (const file of files) {
+      const match = file.match(segmentPattern);
+      if (!match) continue;
+
+      const [, track, index] = match;
+      const segmentIndex = parseInt(index, 10);
+      const filePath = path.join(this.tempDir, file);
+      const stats = await fs.stat(filePath);
+
+      const segment = segmentsByIndex.get(segmentIndex) || {
+        segmentId: `${sessionId}_segment_${index}`,
+        segmentIndex,
+        hasOutputAudio: false
+      };
+
+      if (track === 'input') {
+        segment.inputFile = filePath;
+        segment.startTime = stats.birthtimeMs || stats.mtimeMs;
+      } else {
+        segment.outputFile = filePath;
+        segment.hasOutputAudio = true;
+      }
+
+      segmentsByIndex.set(segmentIndex, segment);
+    }
+
+    return Array.from(segmentsByIndex.values());
+  }
+
+  /**
+   * Order segments by start time, falling back to segment index
+   */
+  orderSegments(segments) {
+    return [...segments].sort((a, b) => {
+      const aStart = a.segmentStartTime || a.startTime || 0;
+      const bStart = b.segmentStartTime || b.startTime || 0;
+      return (aStart - bStart) || ((a.segmentIndex || 0) - (b.segmentIndex || 0));
+    });
+  }
+
+  /**
+   * Read a segment file as mono 16-bit samples
+   * @returns {Object|null} - { sampleRate, samples } or null if the file is missing/unreadable
+   */
+  async _readTrack(filePath) {
+    if (!filePath || !(await fs.pathExists(filePath))) return null;
+
+    let buffer = await fs.readFile(filePath);
+    let wav = parseWavHeader(buffer);
+
+    // Decode WebM and other containers to WAV first
+    if (!wav && this.encoder) {
+      const decoded = await this.encoder.encodeFile(filePath, { codec: 'wav' });
+      if (decoded.codec === 'wav' && decoded.file !== filePath) {
+        buffer = await fs.readFile(decoded.file);
+        wav = parseWavHeader(buffer);
+      }
+    }
+
+    if (!wav || wav.audioFormat !== 1 || wav.bitsPerSample !== 16) {
+      console.warn(`⚠️ Cannot merge ${path.basename(filePath)}: not a 16-bit PCM WAV file`);
+      return null;
+    }
+
+    const frameCount = Math.floor(wav.dataLength / (wav.channels * 2));
+    const samples = new Int16Array(frameCount);
+
+    for (let i = 0; i < frameCount; i++) {
+      let sum = 0;
+      for (let channel = 0; channel < wav.channels; channel++) {
+        sum += buffer.readInt16LE(wav.dataOffset + (i * wav.channels + channel) * 2);
+      }
+      samples[i] = Math.round(sum / wav.channels);
+    }
+
+    return { sampleRate: wav.sampleRate, samples };
+  }
+
+  /**
+   * Linear resampling so segments recorded at different rates can share one file
+   */
+  _resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples;
+
+    const ratio = fromRate / toRate;
+    const resampled = new Int16Array(Math.floor(samples.length / ratio));
+
+    for (let i = 0; i < resampled.length; i++) {
+      const position = i * ratio;
+      const index = Math.floor(position);
+      const next = Math.min(index + 1, samples.length - 1);
+      const fraction = position - index;
+      resampled[i] = Math.round(samples[index] * (1 - fraction) + samples[next] * fraction);
+    }
+
+    return resampled;
+  }
+
+  _toBuffer(samples, skip) {
+    const start = Math.min(skip, samples.length);
+    const buffer = Buffer.alloc((samples.length - start) * 2);
+
+    for (let i = start; i < samples.length; i++) {
+      buffer.writeInt16LE(samples[i], (i - start) * 2);
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Mic on the left channel, system audio on the right - the shorter track is padded with silence
+   */
+  _interleave(left, right, skip) {
+    const length = Math.max(left ? left.length : 0, right ? right.length : 0);
+    const start = Math.min(skip, length);
+    const buffer = Buffer.alloc((length - start) * 4);
+
+    for (let i = start; i < length; i++) {
+      const offset = (i - start) * 4;
+      buffer.writeInt16LE(left && i < left.length ? left[i] : 0, offset);
+      buffer.writeInt16LE(right && i < right.length ? right[i] : 0, offset + 2);
+    }
+
+    return buffer;
+  }
+}
+
+module.exports = SessionMergeService;
@@ -0,0 +1,156 @@
+const fs = require('fs-extra');
+const { parseWavHeader } = require('./WavFile');
+
+// Frame size used for the energy measurement
+const FRAME_MS = 30;
+// Speech bursts shorter than this (clicks, bumps) are ignored
+const MIN_SPEECH_RANGE = 0.2;
+
+/**
+ * Voice Activity Detector
+ * Energy-based speech detection for finished 16-bit PCM WAV segments.
+ * Uses the same threshold/silence settings as config.js:
+ * - threshold: amplitude (percent of full scale) a frame must reach to count as speech
+ * - silence: seconds of quiet needed before a pause is treated as silence rather than part of speech
+ */
+class VoiceActivityDetector {
+  constructor({ threshold = 0.5, silence = 2.0 } = {}) {
+    this.threshold = threshold / 100;
+    this.minSilence = silence;
+  }
+
+  /**
+   * Analyse a segment's input and output files
+   * Segments we can't decode (e.g. WebM from MediaRecorder) are treated as speech so nothing is lost
+   * @returns {Object} - { hasSpeech, input, output }
+   */
+  async analyzeSegment(segment) {
+    const input = await this.analyzeFile(segment.inputFile);
+    const output = segment.hasOutputAudio ? await this.analyzeFile(segment.outputFile) : null;
+
+    const channelHasSpeech = (result) => !result.analyzed || result.hasSpeech;
+    const hasSpeech = channelHasSpeech(input) || (output ? channelHasSpeech(output) : false);
+
+    return { hasSpeech, input, output };
+  }
+
+  /**
+   * Label speech and silence ranges in a WAV file
+   * @returns {Object} - { analyzed, hasSpeech, duration, speechDuration, speechRanges, silenceRanges }
+   */
+  async analyzeFile(filePath) {
+    try {
+      if (!filePath || !(await fs.pathExists(filePath))) {
+        return { analyzed: false, reason: 'missing' };
+      }
+
+      const buffer = await fs.readFile(filePath);
+      const wav = this._parseWav(buffer);
+      if (!wav) {
+        return { analyzed: false, reason: 'unsupported format' };
+      }
+
+      const frames = this._measureFrames(buffer, wav);
+      const frameDuration = FRAME_MS / 1000;
+      const duration = frames.length * frameDuration;
+
+      // Raw speech runs
+      let ranges = [];
+      let runStart = null;
+      frames.forEach((rms, index) => {
+        if (rms >= this.threshold) {
+          if (runStart === null) runStart = index;
+        } else if (runStart !== null) {
+          ranges.push({ start: runStart * frameDuration, end: index * frameDuration });
+          runStart = null;
+        }
+      });
+      if (runStart !== null) {
+        ranges.push({ start: runStart * frameDuration, end: duration });
+      }
+
+      // Pauses shorter than the silence window are part of speech
+      ranges = ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range.start - last.end < this.minSilence) {
+          last.end = range.end;
+        } else {
+          merged.push({ ...range });
+        }
+        return merged;
+      }, []);
+
+      const speechRanges = ranges
+        .filter(range => range.end - range.start >= MIN_SPEECH_RANGE)
+        .map(range => ({ start: this._round(range.start), end: this._round(range.end) }));
+
+      const silenceRanges = [];
+      let cursor = 0;
+      for (const range of speechRanges) {
+        if (range.start > cursor) silenceRanges.push({ start: cursor, end: range.start });
+        cursor = range.end;
+      }
+      if (cursor < duration) silenceRanges.push({ start: cursor, end: this._round(duration) });
+
+      const speechDuration = speechRanges.reduce((sum, range) => sum + (range.end - range.start), 0);
+
+      return {
+        analyzed: true,
+        hasSpeech: speechRanges.length > 0,
+        duration: this._round(duration),
+        speechDuration: this._round(speechDuration),
+        speechRanges,
+        silenceRanges
+      };
+    } catch (error) {
+      console.warn(`⚠️ VAD could not analyse ${filePath}:`, error.message);
+      return { analyzed: false, reason: error.message };
+    }
+  }
+
+  /**
+   * Only 16-bit PCM WAV files can be measured
+   * @returns {Object|null} - { sampleRate, channels, dataOffset, dataLength } or null if unsupported
+   */
+  _parseWav(buffer) {
+    const wav = parseWavHeader(buffer);
+    if (!wav || wav.audioFormat !== 1 || wav.bitsPerSample !== 16) {
+      return null;
+    }
+    return wav;
+  }
+
+  /**
+   * RMS per frame (0-1), with channels averaged together
+   */
+  _measureFrames(buffer, { sampleRate, channels, dataOffset, dataLength }) {
+    const bytesPerSample = 2 * channels;
+    const samplesPerFrame = Math.max(1, Math.floor(sampleRate * FRAME_MS / 1000));
+    const totalSamples = Math.floor(dataLength / bytesPerSample);
+    const frames = [];
+
+    for (let frameStart = 0; frameStart < totalSamples; frameStart += samplesPerFrame) {
+      const frameEnd = Math.min(frameStart + samplesPerFrame, totalSamples);
+      let sumSquares = 0;
+
+      for (let i = frameStart; i < frameEnd; i++) {
+        let sample = 0;
+        for (let channel = 0; channel < channels; channel++) {
+          sample += buffer.readInt16LE(dataOffset + i * bytesPerSample + channel * 2);
+        }
+        sample = sample / channels / 32768;
+        sumSquares += sample * sample;
+      }
+
+      frames.push(Math.sqrt(sumSquares / (frameEnd - frameStart)));
+    }
+
+    return frames;
+  }
+
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = VoiceActivityDetector;
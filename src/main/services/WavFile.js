@@ -0,0 +1,73 @@
+/**
+ * WAV helpers shared by the main-process audio services
+ */
+
+const HEADER_SIZE = 44;
+
+/**
+ * Locate the fmt and data chunks of a RIFF/WAVE buffer
+ * @returns {Object|null} - { audioFormat, sampleRate, channels, bitsPerSample, dataOffset, dataLength } or null if not a WAV file
+ */
+function parseWavHeader(buffer) {
+  if (buffer.length < HEADER_SIZE || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let offset = 12;
+  let format = null;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(offset + 8),
+        channels: buffer.readUInt16LE(offset + 10),
+        sampleRate: buffer.readUInt32LE(offset + 12),
+        bitsPerSample: buffer.readUInt16LE(offset + 22)
+      };
+    } else if (chunkId === 'data') {
+      if (!format) return null;
+
+      const available = buffer.length - (offset + 8);
+      // Recorders that were killed leave a 0 or oversized length in the header
+      const dataLength = chunkSize > 0 && chunkSize <= available ? chunkSize : available;
+      return { ...format, dataOffset: offset + 8, dataLength };
+    }
+
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  return null;
+}
+
+/**
+ * Build a 44-byte PCM WAV header
+ */
+function createWavHeader({ sampleRate, channels, bitsPerSample = 16, dataLength }) {
+  const header = Buffer.alloc(HEADER_SIZE);
+  const blockAlign = channels * bitsPerSample / 8;
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataLength, 40);
+
+  return header;
+}
+
+module.exports = {
+  HEADER_SIZE,
+  parseWavHeader,
+  createWavHeader
+};
@@ -16,6 +16,22 @@ class WindowsAudioCapture {
     this.recordingTimer = null;
     this.mainWindow = null;
 
+    // Pause state - paused time is excluded from the session duration
+    this.isPaused = false;
+    this.pausedAt = null;
+    this.pausedDuration = 0;
+
+    // Live level metering - levels are polled from the renderer's analysers
+    this.levelListener = null;
+    this.levelTimer = null;
+    this.isPollingLevels = false;
+
+    // Finished segments are announced so the renderer can upload them while recording continues
+    this.segmentListener = null;
+
+    // Crash-safe session journal (set by AudioCaptureManager)
+    this.journal = null;
+
     // Audio recording properties for the new approach
     this.inputRecorder = null;
     this.outputRecorder = null;
@@ -35,6 +51,9 @@ class WindowsAudioCapture {
     }
 
     this.segmentDuration = 60; // 1 minute segments
+    this.segmentOverlap = 0;
+    this.overlapTimer = null;
+    this.overlapSegment = null;
 
     // Try to load from config file, otherwise use defaults
     let configSampleRate = 6000;
@@ -44,6 +63,8 @@ class WindowsAudioCapture {
       const audioConfig = require('../config');
       configSampleRate = audioConfig.sampleRate;
       configChannels = audioConfig.channels;
+      this.segmentDuration = audioConfig.segmentDuration || this.segmentDuration;
+      this.segmentOverlap = audioConfig.segmentOverlap || 0;
     } catch (error) {
       console.warn('⚠️ Could not load audio config, using defaults:', error.message);
     }
@@ -71,6 +92,75 @@ class WindowsAudioCapture {
     console.log('✅ Main window reference set for Windows audio capture');
   }
 
+  /**
+   * Set the recording journal used to recover sessions after a crash
+   */
+  setJournal(journal) {
+    this.journal = journal;
+  }
+
+  /**
+   * Write the current segment list to the recording journal
+   */
+  _updateJournal() {
+    if (this.journal && this.sessionId) {
+      this.journal.updateSegments(this.sessionId, this.segments);
+    }
+  }
+
+  /**
+   * Set segment length and overlap (seconds) - validated by AudioCaptureManager
+   */
+  setSegmentSettings(segmentDuration, segmentOverlap) {
+    this.segmentDuration = segmentDuration;
+    this.segmentOverlap = segmentOverlap;
+  }
+
+  /**
+   * Set the listener that receives live input/output levels while recording
+   * @param {Function} listener - Called with { sessionId, timestamp, input, output }
+   */
+  setLevelListener(listener) {
+    this.levelListener = listener;
+  }
+
+  /**
+   * Set the listener that is told about every finished segment while recording
+   * @param {Function} listener - Called with { sessionId, segment }
+   */
+  setSegmentListener(listener) {
+    this.segmentListener = listener;
+  }
+
+  /**
+   * Tell the segment listener a segment is finished and its files are written
+   */
+  _announceSegment(segment) {
+    if (!this.segmentListener) return;
+
+    try {
+      this.segmentListener({
+        sessionId: this.sessionId,
+        segment: {
+          segmentId: segment.segmentId,
+          inputFile: segment.inputFile,
+          outputFile: segment.outputFile,
+          inputSize: segment.inputSize || 0,
+          outputSize: segment.outputSize || 0,
+          duration: segment.duration || 0,
+          startTime: segment.startTime,
+          segmentStartTime: segment.segmentStartTime,
+          endTime: segment.endTime,
+          hasOutputAudio: segment.hasOutputAudio || false,
+          segmentIndex: segment.segmentIndex || 0,
+          overlapDuration: segment.overlapDuration || 0
+        }
+      });
+    } catch (error) {
+      console.warn(`⚠️ Segment listener failed for ${segment.segmentId}:`, error.message);
+    }
+  }
+
   /**
    * Check if WebRTC APIs are available in the renderer
    */
@@ -131,6 +221,9 @@ class WindowsAudioCapture {
       this.sessionId = uuidv4();
       this.segmentIndex = 0;
       this.segments = [];
+      this.isPaused = false;
+      this.pausedAt = null;
+      this.pausedDuration = 0;
 
       // Start the first segment
       await this._startNewSegment();
@@ -186,6 +279,19 @@ class WindowsAudioCapture {
       this.sessionId = uuidv4();
       this.segmentIndex = 0;
       this.segments = [];
+      this.isPaused = false;
+      this.pausedAt = null;
+      this.pausedDuration = 0;
+
+      if (this.journal) {
+        this.journal.startSession({
+          sessionId: this.sessionId,
+          platform: 'win32',
+          devices: { input: 'default', output: 'default' },
+          segmentDuration: this.segmentDuration,
+          segmentOverlap: this.segmentOverlap
+        });
+      }
 
       // Start the first segment
       await this._startNewSegment();
@@ -324,7 +430,9 @@ class WindowsAudioCapture {
         inputFormat: 'webm',  // Input is saved as WebM
         outputFormat: 'wav',   // Output is saved as WAV
         // Add segment index for proper ordering
-        segmentIndex: this.segmentIndex
+        segmentIndex: this.segmentIndex,
+        // Seconds at the start of this segment that repeat the end of the previous one
+        overlapDuration: 0
       };
 
       // Set current segment reference for audio saving
@@ -346,13 +454,17 @@ class WindowsAudioCapture {
 
       this.segments.push(segment);
       this.inputRecorder = inputRecorder;
+      this._updateJournal();
+
+      this._startLevelPolling();
 
       // Set timer for next segment with precise timing
+      // With an overlap the next segment starts early and this one keeps running for the overlap window
       this.recordingTimer = setTimeout(() => {
-        if (this.isRecording) {
+        if (this.isRecording && !this.isPaused) {
           this._startNextSegment();
         }
-      }, this.segmentDuration * 1000);
+      }, (this.segmentDuration - this.segmentOverlap) * 1000);
 
       console.log(`✅ Windows segment ${this.segmentIndex + 1} started successfully at ${new Date(segmentStartTime).toISOString()}`);
       this.segmentIndex++;
@@ -434,6 +546,12 @@ class WindowsAudioCapture {
               throw new Error('No audio tracks found in the stream');
             }
 
+            // Tap the stream with an analyser so the main process can poll live levels
+            const levelContext = new AudioContext();
+            const levelAnalyser = levelContext.createAnalyser();
+            levelAnalyser.fftSize = 2048;
+            levelContext.createMediaStreamSource(stream).connect(levelAnalyser);
+
             // Create MediaRecorder with simple approach (same as test-browser-audio.html)
             const mediaRecorder = new MediaRecorder(stream);
             console.log(\`✅ MediaRecorder created with MIME type: \${mediaRecorder.mimeType}\`);
@@ -477,6 +595,8 @@ class WindowsAudioCapture {
                 }
               }
               
+              levelContext.close().catch(() => {});
+
               // Stop all tracks
               stream.getTracks().forEach(track => {
                 track.stop();
@@ -495,7 +615,8 @@ class WindowsAudioCapture {
             // Store recorder reference for stopping
             window.currentInputRecorder = {
               mediaRecorder: mediaRecorder,
-              stream: stream
+              stream: stream,
+              analyser: levelAnalyser
             };
             
             return { success: true, message: 'Input recording started' };
@@ -590,6 +711,12 @@ class WindowsAudioCapture {
               throw new Error('No audio tracks found in the stream');
             }
 
+            // Tap the stream with an analyser so the main process can poll live levels
+            const levelContext = new AudioContext();
+            const levelAnalyser = levelContext.createAnalyser();
+            levelAnalyser.fftSize = 2048;
+            levelContext.createMediaStreamSource(stream).connect(levelAnalyser);
+
             // Create MediaRecorder with simple approach (same as test-browser-audio.html)
             const mediaRecorder = new MediaRecorder(stream);
             console.log(\`✅ MediaRecorder created with MIME type: \${mediaRecorder.mimeType}\`);
@@ -633,6 +760,8 @@ class WindowsAudioCapture {
                 }
               }
               
+              levelContext.close().catch(() => {});
+
               // Stop all tracks
               stream.getTracks().forEach(track => {
                 track.stop();
@@ -651,7 +780,8 @@ class WindowsAudioCapture {
             // Store recorder reference for stopping
             window.currentOutputRecorder = {
               mediaRecorder: mediaRecorder,
-              stream: stream
+              stream: stream,
+              analyser: levelAnalyser
             };
             
             return { success: true, message: 'Output recording started' };
@@ -679,21 +809,274 @@ class WindowsAudioCapture {
     }
   }
 
+  /**
+   * Start polling live levels from the renderer (no-op if already running)
+   */
+  _startLevelPolling() {
+    if (!this.levelListener || this.levelTimer) return;
+    this.levelTimer = setInterval(() => this._pollLevels(), 250);
+  }
+
+  /**
+   * Stop polling live levels
+   */
+  _stopLevelPolling() {
+    if (this.levelTimer) {
+      clearInterval(this.levelTimer);
+      this.levelTimer = null;
+    }
+  }
+
+  /**
+   * Read RMS/peak levels from the input and output analysers and report them
+   */
+  async _pollLevels() {
+    // Skip a tick rather than queue up calls if the renderer is busy
+    if (this.isPollingLevels || !this.mainWindow || this.mainWindow.isDestroyed()) return;
+    this.isPollingLevels = true;
+
+    try {
+      const levels = await this.mainWindow.webContents.executeJavaScript(`
+        (() => {
+          const measure = (recorder) => {
+            if (!recorder || !recorder.analyser) return null;
+            const samples = new Float32Array(recorder.analyser.fftSize);
+            recorder.analyser.getFloatTimeDomainData(samples);
+            let sumSquares = 0;
+            let peak = 0;
+            for (let i = 0; i < samples.length; i++) {
+              sumSquares += samples[i] * samples[i];
+              peak = Math.max(peak, Math.abs(samples[i]));
+            }
+            return { rms: Math.sqrt(sumSquares / samples.length), peak: Math.min(1, peak) };
+          };
+          return {
+            input: measure(window.currentInputRecorder),
+            output: measure(window.currentOutputRecorder)
+          };
+        })()
+      `);
+
+      if (this.levelListener && this.levelTimer && this.isRecording && !this.isPaused) {
+        this.levelListener({
+          sessionId: this.sessionId,
+          timestamp: Date.now(),
+          ...levels
+        });
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not poll audio levels:', error.message);
+    } finally {
+      this.isPollingLevels = false;
+    }
+  }
+
   /**
    * Start the next segment
    */
   async _startNextSegment() {
-    if (!this.isRecording) return;
+    if (!this.isRecording || this.isPaused) return;
 
     console.log(`🔄 Starting next Windows segment: ${this.segmentIndex + 1}`);
 
+    if (this.segmentOverlap > 0) {
+      await this._startOverlappedSegment();
+      return;
+    }
+
     // Stop current segment
     await this._stopCurrentSegment();
 
+    // A pause may have come in while the segment was closing
+    if (!this.isRecording || this.isPaused) return;
+
     // Start new segment
     await this._startNewSegment();
   }
 
+  /**
+   * Start the next segment while the current one keeps recording for the overlap window
+   */
+  async _startOverlappedSegment() {
+    const previousSegment = this.segments[this.segments.length - 1];
+
+    // Move the running recorders aside so the new segment can take the current slots
+    try {
+      await this.mainWindow.webContents.executeJavaScript(`
+        window.previousInputRecorder = window.currentInputRecorder;
+        window.previousOutputRecorder = window.currentOutputRecorder;
+        window.currentInputRecorder = null;
+        window.currentOutputRecorder = null;
+      `);
+    } catch (error) {
+      console.warn('⚠️ Could not hand over recorders for overlap, starting without overlap:', error.message);
+      await this._stopCurrentSegment();
+      await this._startNewSegment();
+      return;
+    }
+
+    if (this.recordingTimer) {
+      clearTimeout(this.recordingTimer);
+      this.recordingTimer = null;
+    }
+
+    this.overlapSegment = previousSegment;
+    await this._startNewSegment();
+
+    this.overlapTimer = setTimeout(() => this._closeOverlappedSegment(), this.segmentOverlap * 1000);
+  }
+
+  /**
+   * Stop the previous segment once the overlap window has passed (or right away on pause/stop)
+   */
+  async _closeOverlappedSegment() {
+    if (this.overlapTimer) {
+      clearTimeout(this.overlapTimer);
+      this.overlapTimer = null;
+    }
+
+    const segment = this.overlapSegment;
+    if (!segment) return;
+    this.overlapSegment = null;
+
+    segment.endTime = Date.now();
+
+    if (this.mainWindow && this.mainWindow.webContents) {
+      try {
+        await this.mainWindow.webContents.executeJavaScript(`
+          if (window.previousInputRecorder) {
+            window.previousInputRecorder.mediaRecorder.stop();
+            window.previousInputRecorder.stream.getTracks().forEach(track => track.stop());
+            window.previousInputRecorder = null;
+          }
+          if (window.previousOutputRecorder) {
+            window.previousOutputRecorder.mediaRecorder.stop();
+            window.previousOutputRecorder.stream.getTracks().forEach(track => track.stop());
+            window.previousOutputRecorder = null;
+          }
+        `);
+      } catch (error) {
+        console.warn('⚠️ Could not stop overlapped recorders via IPC:', error.message);
+      }
+    }
+
+    const actualStartTime = segment.segmentStartTime || segment.startTime;
+    segment.duration = Math.max(0, (segment.endTime - actualStartTime) / 1000);
+
+    // Record the actual overlap on the following segment so the repeated audio can be de-duplicated
+    const nextSegment = this.segments[this.segments.indexOf(segment) + 1];
+    if (nextSegment) {
+      nextSegment.overlapDuration = Math.max(0, (segment.endTime - (nextSegment.segmentStartTime || nextSegment.startTime)) / 1000);
+    }
+
+    // Wait for files to be written
+    await new Promise(resolve => setTimeout(resolve, 2000));
+
+    try {
+      if (await fs.pathExists(segment.inputFile)) {
+        segment.inputSize = (await fs.stat(segment.inputFile)).size;
+      }
+      if (segment.hasOutputAudio && await fs.pathExists(segment.outputFile)) {
+        segment.outputSize = (await fs.stat(segment.outputFile)).size;
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not get file stats:', error.message);
+    }
+
+    this._updateJournal();
+    this._announceSegment(segment);
+
+    console.log(`✅ Windows overlapped segment ${segment.segmentIndex + 1} completed: ${segment.duration.toFixed(2)}s`);
+  }
+
+  /**
+   * Pause dual recording
+   * Closes the current segment and suspends the segment timer, keeping the session open
+   */
+  async pauseDualRecording() {
+    if (!this.isRecording) {
+      console.log('⚠️ No Windows recording in progress');
+      return { success: false, error: 'No recording in progress' };
+    }
+    if (this.isPaused) {
+      return { success: false, error: 'Recording is already paused' };
+    }
+
+    console.log('⏸️ Pausing Windows dual recording...');
+
+    try {
+      // Flag first so a segment timer that is already running doesn't open a new segment
+      this.isPaused = true;
+      this.pausedAt = Date.now();
+      this._clearSegmentTimers();
+      this._stopLevelPolling();
+
+      await this._closeOverlappedSegment();
+      await this._stopCurrentSegment();
+      this.inputRecorder = null;
+      this.currentSegment = null;
+
+      console.log(`✅ Windows recording paused after ${this.segments.length} segments`);
+
+      return {
+        success: true,
+        sessionId: this.sessionId,
+        pausedAt: this.pausedAt,
+        totalSegments: this.segments.length
+      };
+    } catch (error) {
+      console.error('❌ Failed to pause Windows recording:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Cancel the pending segment rotation and overlap close
+   */
+  _clearSegmentTimers() {
+    if (this.recordingTimer) {
+      clearTimeout(this.recordingTimer);
+      this.recordingTimer = null;
+    }
+    if (this.overlapTimer) {
+      clearTimeout(this.overlapTimer);
+      this.overlapTimer = null;
+    }
+  }
+
+  /**
+   * Resume a paused dual recording in a new segment of the same session
+   */
+  async resumeDualRecording() {
+    if (!this.isRecording || !this.isPaused) {
+      return { success: false, error: 'Recording is not paused' };
+    }
+
+    console.log('▶️ Resuming Windows dual recording...');
+
+    try {
+      // _startNewSegment() arms a fresh segment timer
+      this._clearSegmentTimers();
+      await this._startNewSegment();
+
+      this.pausedDuration += Date.now() - this.pausedAt;
+      this.isPaused = false;
+      this.pausedAt = null;
+
+      console.log(`✅ Windows recording resumed, total paused time: ${(this.pausedDuration / 1000).toFixed(1)}s`);
+
+      return {
+        success: true,
+        sessionId: this.sessionId,
+        pausedDuration: this.pausedDuration / 1000,
+        totalSegments: this.segments.length
+      };
+    } catch (error) {
+      console.error('❌ Failed to resume Windows recording:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Stop the current segment
    */
@@ -766,6 +1149,8 @@ class WindowsAudioCapture {
         console.warn('⚠️ Could not get file stats:', error.message);
       }
 
+      this._updateJournal();
+
       console.log(`✅ Windows segment ${currentSegment.segmentIndex + 1} completed:`, {
         segmentId: currentSegment.segmentId,
         duration: `${currentSegment.duration.toFixed(2)}s`,
@@ -774,6 +1159,8 @@ class WindowsAudioCapture {
         inputSize: `${currentSegment.inputSize} bytes`,
         outputSize: `${currentSegment.outputSize} bytes`
       });
+
+      this._announceSegment(currentSegment);
     }
   }
 
@@ -928,8 +1315,9 @@ class WindowsAudioCapture {
         segment.duration = calculatedDuration;
       }
       
-      // Ensure segments don't overlap
-      if (previousEndTime && segment.startTime < previousEndTime) {
+      // Ensure segments don't overlap beyond the configured overlap window (1 second tolerance)
+      const allowedOverlapMs = (segment.overlapDuration || 0) * 1000 + 1000;
+      if (previousEndTime && previousEndTime - segment.startTime > allowedOverlapMs) {
         console.warn(`⚠️ Segment ${i + 1} overlaps with previous segment, adjusting start time`);
         segment.startTime = previousEndTime + 1000; // 1 second gap
         segment.segmentStartTime = segment.startTime;
@@ -961,9 +1349,19 @@ class WindowsAudioCapture {
 
     console.log('🛑 Stopping Windows dual recording...');
 
+    this._stopLevelPolling();
+
     try {
-      // Stop current segment
-      await this._stopCurrentSegment();
+      await this._closeOverlappedSegment();
+
+      // Stop current segment - when paused it was already closed by pauseDualRecording()
+      if (this.isPaused) {
+        this.pausedDuration += Date.now() - this.pausedAt;
+        this.isPaused = false;
+        this.pausedAt = null;
+      } else {
+        await this._stopCurrentSegment();
+      }
 
       this.isRecording = false;
 
@@ -992,12 +1390,13 @@ class WindowsAudioCapture {
         }
       }
       
-      // Calculate total duration from actual start to end times
+      // Calculate total duration from actual start to end times, excluding paused time
       if (firstSegmentStart && lastSegmentEnd) {
-        totalDuration = Math.max(0, (lastSegmentEnd - firstSegmentStart) / 1000);
+        totalDuration = Math.max(0, (lastSegmentEnd - firstSegmentStart - this.pausedDuration) / 1000);
         console.log('🔍 Total duration calculation:', {
           firstSegmentStart: new Date(firstSegmentStart).toISOString(),
           lastSegmentEnd: new Date(lastSegmentEnd).toISOString(),
+          pausedDuration: `${(this.pausedDuration / 1000).toFixed(2)}s`,
           calculatedDuration: `${totalDuration.toFixed(2)}s`,
           segmentCount: this.segments.length
         });
@@ -1034,6 +1433,7 @@ class WindowsAudioCapture {
             endTime: segment.endTime,
             hasOutputAudio: segment.hasOutputAudio || false,
             segmentIndex: segment.segmentIndex || 0, // Include segment index for ordering
+            overlapDuration: segment.overlapDuration || 0, // Seconds repeated from the previous segment
             // Add formatted timestamps for easier debugging
             startTimeISO: segment.startTime ? new Date(segment.startTime).toISOString() : null,
             endTimeISO: segment.endTime ? new Date(segment.endTime).toISOString() : null
@@ -1041,6 +1441,9 @@ class WindowsAudioCapture {
           inputFiles: synchronizedSegments.map(s => s.inputFile),
           outputFiles: synchronizedSegments.map(s => s.outputFile),
           totalDuration: totalDuration,
+          pausedDuration: this.pausedDuration / 1000,
+          segmentDuration: this.segmentDuration,
+          segmentOverlap: this.segmentOverlap,
           totalInputSize: totalInputSize,
           totalOutputSize: totalOutputSize
         },
@@ -1063,6 +1466,11 @@ class WindowsAudioCapture {
         outputFiles: synchronizedSegments.map(s => s.outputFile)
       };
 
+      // Session ended cleanly - nothing to recover on next launch
+      if (this.journal) {
+        this.journal.completeSession(this.sessionId);
+      }
+
       console.log(`✅ Windows recording stopped: ${synchronizedSegments.length} segments, ${(totalInputSize / (1024 * 1024)).toFixed(2)}MB total input, ${(totalOutputSize / (1024 * 1024)).toFixed(2)}MB total output, total duration: ${totalDuration.toFixed(2)}s`);
       console.log('📤 Returning result:', JSON.stringify(result, null, 2));
 
@@ -1170,6 +1578,9 @@ class WindowsAudioCapture {
 
     // Reset all state variables
     this.isRecording = false;
+    this.isPaused = false;
+    this.pausedAt = null;
+    this.pausedDuration = 0;
     this.sessionId = null;
     this.segmentIndex = 0;
     this.segments = [];
@@ -1186,6 +1597,12 @@ class WindowsAudioCapture {
       clearTimeout(this.recordingTimer);
       this.recordingTimer = null;
     }
+    if (this.overlapTimer) {
+      clearTimeout(this.overlapTimer);
+      this.overlapTimer = null;
+    }
+    this.overlapSegment = null;
+    this._stopLevelPolling();
 
     // Clean up any remaining recorders in renderer
     if (this.mainWindow) {
@@ -1206,6 +1623,16 @@ class WindowsAudioCapture {
             window.currentOutputRecorder.stream.getTracks().forEach(track => track.stop());
             window.currentOutputRecorder = null;
           }
+
+          // Clean up recorders still running for an overlap window
+          [window.previousInputRecorder, window.previousOutputRecorder].forEach(recorder => {
+            if (recorder) {
+              recorder.mediaRecorder.stop();
+              recorder.stream.getTracks().forEach(track => track.stop());
+            }
+          });
+          window.previousInputRecorder = null;
+          window.previousOutputRecorder = null;
         `);
       } catch (error) {
         console.warn('⚠️ Could not cleanup renderer recorders during reset:', error.message);
@@ -1230,6 +1657,12 @@ class WindowsAudioCapture {
       clearTimeout(this.recordingTimer);
       this.recordingTimer = null;
     }
+    if (this.overlapTimer) {
+      clearTimeout(this.overlapTimer);
+      this.overlapTimer = null;
+    }
+    this.overlapSegment = null;
+    this._stopLevelPolling();
 
     // Clean up any remaining recorders in renderer
     if (this.mainWindow) {
@@ -1250,6 +1683,16 @@ class WindowsAudioCapture {
             window.currentOutputRecorder.stream.getTracks().forEach(track => track.stop());
             window.currentOutputRecorder = null;
           }
+
+          // Clean up recorders still running for an overlap window
+          [window.previousInputRecorder, window.previousOutputRecorder].forEach(recorder => {
+            if (recorder) {
+              recorder.mediaRecorder.stop();
+              recorder.stream.getTracks().forEach(track => track.stop());
+            }
+          });
+          window.previousInputRecorder = null;
+          window.previousOutputRecorder = null;
         `);
       } catch (error) {
         console.warn('⚠️ Could not cleanup renderer recorders:', error.message);
@@ -1,4 +1,11 @@
 import axios from 'axios';
+import TranscriptCacheService from './TranscriptCacheService';
+import TranscriptRevisionService from './TranscriptRevisionService';
+
+// Resumable uploads: chunk size used unless the server asks for another, and tries per chunk
+const UPLOAD_CHUNK_SIZE = 1024 * 1024; // 1MB
+const UPLOAD_CHUNK_TIMEOUT = 60000; // 1 minute
+const MAX_CHUNK_ATTEMPTS = 3;
 
 /**
  * API Service for communicating with LeepiAI Backend
@@ -16,6 +23,7 @@ class ApiService {
 
     this.token = null;
     this.refreshToken = null;
+    this.resumableUploadsSupported = null; // unknown until the first upload
 
     console.log('🔗 ApiService initialized:', {
       environment: process.env.NODE_ENV || 'development',
@@ -161,6 +169,7 @@ class ApiService {
     this.refreshToken = null;
     localStorage.removeItem('leepi_token');
     localStorage.removeItem('leepi_refresh_token');
+    localStorage.removeItem('leepi_cached_user');
   }
 
   loadTokensFromStorage() {
@@ -176,6 +185,7 @@ class ApiService {
 
       if (response.data.success) {
         this.setTokens(response.data.token, response.data.refreshToken);
+        this.cacheUser(response.data.user);
         return { success: true, user: response.data.user };
       }
 
@@ -196,6 +206,7 @@ class ApiService {
 
       if (response.data.success) {
         this.setTokens(response.data.token, response.data.refreshToken);
+        this.cacheUser(response.data.user);
         return {
           success: true,
           user: response.data.user,
@@ -219,6 +230,7 @@ class ApiService {
 
       if (response.data.success) {
         this.setTokens(response.data.token, response.data.refreshToken);
+        this.cacheUser(response.data.user);
         return {
           success: true,
           user: response.data.user,
@@ -245,6 +257,9 @@ class ApiService {
       console.error('Logout error:', error);
     } finally {
       this.clearTokens();
+      TranscriptCacheService.clear()
+        .catch(error => console.warn('⚠️ Failed to clear transcript cache:', error));
+      TranscriptRevisionService.clearAll();
       return { success: true };
     }
   }
@@ -260,6 +275,7 @@ class ApiService {
       const response = await this.api.get('/api/auth/me');
 
       if (response.data.success) {
+        this.cacheUser(response.data.user);
         return response.data.user;
       }
 
@@ -271,6 +287,26 @@ class ApiService {
     }
   }
 
+  // Kept so cached transcripts can be browsed while the backend is down, and to key per-user local data
+  cacheUser(user) {
+    if (user) {
+      localStorage.setItem('leepi_cached_user', JSON.stringify(user));
+    }
+  }
+
+  /**
+   * Last user confirmed by the backend, for browsing cached transcripts offline
+   */
+  getCachedUser() {
+    try {
+      this.loadTokensFromStorage();
+      const cachedUser = localStorage.getItem('leepi_cached_user');
+      return this.token && cachedUser ? JSON.parse(cachedUser) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   // =====================================================
   // ERROR HANDLING
   // =====================================================
@@ -484,7 +520,49 @@ class ApiService {
   }
 
   // Upload raw audio file arrays (no transcription required)
+  /**
+   * Upload a recording's microphone and system segment arrays
+   * Uses resumable chunked uploads when the backend supports them, otherwise one multipart request
+   * @param {Object} recordingMetadata - { segments, totalDuration, totalSegments,
+   *   uploadSessionId (resume an earlier upload), onUploadSession(id), onSegmentProgress(segments) }
+   */
   async uploadRawAudioArrays(microphoneFiles, systemFiles, onProgress = null, recordingMetadata = {}) {
+    if (this.resumableUploadsSupported !== false) {
+      const result = await this.uploadRawAudioArraysResumable(microphoneFiles, systemFiles, onProgress, recordingMetadata);
+      if (!result.unsupported) {
+        return result;
+      }
+
+      this.resumableUploadsSupported = false;
+      console.log('ℹ️ Backend does not support resumable uploads, sending a single request');
+    }
+
+    return this.uploadRawAudioArraysMultipart(microphoneFiles, systemFiles, onProgress, recordingMetadata);
+  }
+
+  // Fields the backend needs alongside raw segment arrays
+  getRawAudioMetadata(microphoneFiles, recordingMetadata = {}) {
+    const metadata = {
+      isRawAudio: 'true',
+      totalSegments: String(microphoneFiles?.length || 0)
+    };
+
+    // Per-segment overlap (seconds repeated from the previous segment) so repeated text can be de-duplicated
+    if (recordingMetadata.segments && recordingMetadata.segments.length > 0) {
+      metadata.segmentOverlaps = JSON.stringify(
+        recordingMetadata.segments.map(segment => segment.overlapDuration || 0)
+      );
+
+      // Codec each segment was encoded to before upload (null when sent as recorded)
+      metadata.segmentCodecs = JSON.stringify(
+        recordingMetadata.segments.map(segment => segment.codec || null)
+      );
+    }
+
+    return metadata;
+  }
+
+  async uploadRawAudioArraysMultipart(microphoneFiles, systemFiles, onProgress = null, recordingMetadata = {}) {
     try {
       console.log('🎵 Starting raw audio arrays upload:', {
         microphoneFiles: microphoneFiles?.length || 0,
@@ -509,8 +587,9 @@ class ApiService {
       }
 
       // Add metadata to satisfy backend requirements
-      formData.append('isRawAudio', 'true');
-      formData.append('totalSegments', String(microphoneFiles?.length || 0));
+      Object.entries(this.getRawAudioMetadata(microphoneFiles, recordingMetadata)).forEach(([key, value]) => {
+        formData.append(key, value);
+      });
 
       // Note: upload-segmented-dual endpoint doesn't require transcript data
       // so we don't need to add segment text, start, end, or duration
@@ -545,6 +624,236 @@ class ApiService {
     }
   }
 
+  /**
+   * Resumable upload: every segment file is sent in checksummed chunks to a server-side upload session
+   * - POST /api/audio/upload-sessions                           create a session, returns { uploadSessionId, chunkSize }
+   * - GET  /api/audio/upload-sessions/:id                       chunks the server already has ({ receivedChunks: { fileKey: [index] } })
+   * - PUT  /api/audio/upload-sessions/:id/chunks/:fileKey/:index one chunk, SHA-256 in X-Chunk-Checksum
+   * - POST /api/audio/upload-sessions/:id/complete              assemble and transcribe, same response as upload-segmented-dual
+   * @returns {Object} - upload result; failures include uploadSessionId so the upload can be resumed,
+   *   and { unsupported: true } if the backend has no upload sessions
+   */
+  async uploadRawAudioArraysResumable(microphoneFiles, systemFiles, onProgress = null, recordingMetadata = {}) {
+    const files = [
+      ...(microphoneFiles || []).map((file, index) => ({ key: `microphone_${index}`, track: 'microphone', segmentIndex: index, file })),
+      ...(systemFiles || []).map((file, index) => ({ key: `system_${index}`, track: 'system', segmentIndex: index, file }))
+    ];
+    let uploadSessionId = recordingMetadata.uploadSessionId || null;
+
+    try {
+      // Resume step: ask which chunks the server already has
+      let session = uploadSessionId ? await this.getUploadSession(uploadSessionId) : null;
+
+      if (!session) {
+        try {
+          const response = await this.api.post('/api/audio/upload-sessions', {
+            files: files.map(({ key, track, segmentIndex, file }) => ({
+              key,
+              track,
+              segmentIndex,
+              name: file.name,
+              type: file.type,
+              size: file.size
+            })),
+            metadata: this.getRawAudioMetadata(microphoneFiles, recordingMetadata)
+          });
+          session = { ...response.data, receivedChunks: {} };
+        } catch (error) {
+          if ([404, 405, 501].includes(error.response?.status)) {
+            return { success: false, unsupported: true };
+          }
+          throw error;
+        }
+
+        uploadSessionId = session.uploadSessionId;
+        recordingMetadata.onUploadSession?.(uploadSessionId);
+        console.log(`📦 Created upload session ${uploadSessionId} for ${files.length} files`);
+      } else {
+        console.log(`🔄 Resuming upload session ${uploadSessionId}`);
+      }
+
+      const chunkSize = session.chunkSize || UPLOAD_CHUNK_SIZE;
+      const totalBytes = files.reduce((sum, { file }) => sum + file.size, 0) || 1;
+      const uploadedBytes = {};
+
+      const reportProgress = () => {
+        recordingMetadata.onSegmentProgress?.(files.map(({ key, track, segmentIndex, file }) => ({
+          key,
+          track,
+          segmentIndex,
+          progress: file.size > 0 ? Math.round(((uploadedBytes[key] || 0) * 100) / file.size) : 100
+        })));
+
+        if (onProgress) {
+          const uploaded = Object.values(uploadedBytes).reduce((sum, bytes) => sum + bytes, 0);
+          onProgress(Math.round((uploaded * 100) / totalBytes));
+        }
+      };
+
+      for (const { key, file } of files) {
+        const totalChunks = Math.max(1, Math.ceil(file.size / chunkSize));
+        const received = new Set(session.receivedChunks?.[key] || []);
+
+        for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
+          const chunk = file.slice(chunkIndex * chunkSize, Math.min(file.size, (chunkIndex + 1) * chunkSize));
+          const completedBytes = uploadedBytes[key] || 0;
+
+          if (!received.has(chunkIndex)) {
+            await this.uploadChunk(uploadSessionId, key, chunkIndex, totalChunks, chunk, (loaded) => {
+              uploadedBytes[key] = completedBytes + loaded;
+              reportProgress();
+            });
+          }
+
+          uploadedBytes[key] = completedBytes + chunk.size;
+          reportProgress();
+        }
+      }
+
+      console.log(`📤 All chunks uploaded, completing session ${uploadSessionId}`);
+      const response = await this.api.post(`/api/audio/upload-sessions/${uploadSessionId}/complete`, {}, {
+        timeout: this.calculateUploadTimeout({ size: totalBytes })
+      });
+
+      console.log('✅ Resumable upload completed');
+      return response.data;
+    } catch (error) {
+      console.error('❌ Resumable upload failed:', error);
+      return { ...this.handleError(error), uploadSessionId };
+    }
+  }
+
+  // Chunks the server already has for an upload session, or null if the session no longer exists
+  async getUploadSession(uploadSessionId) {
+    try {
+      const response = await this.api.get(`/api/audio/upload-sessions/${uploadSessionId}`);
+      return { uploadSessionId, ...response.data };
+    } catch (error) {
+      if ([404, 410].includes(error.response?.status)) {
+        console.warn(`⚠️ Upload session ${uploadSessionId} expired, starting over`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Send one chunk, retrying network errors, server errors and checksum mismatches
+  async uploadChunk(uploadSessionId, fileKey, chunkIndex, totalChunks, chunk, onChunkProgress) {
+    const checksum = await this.calculateChecksum(chunk);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.api.put(`/api/audio/upload-sessions/${uploadSessionId}/chunks/${fileKey}/${chunkIndex}`, chunk, {
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            'X-Chunk-Checksum': checksum,
+            'X-Total-Chunks': String(totalChunks)
+          },
+          timeout: UPLOAD_CHUNK_TIMEOUT,
+          onUploadProgress: (progressEvent) => onChunkProgress(progressEvent.loaded)
+        });
+        return;
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = !status || status >= 500 || status === 409;
+
+        if (!retryable || attempt >= MAX_CHUNK_ATTEMPTS) {
+          throw error;
+        }
+
+        console.warn(`⚠️ Chunk ${chunkIndex} of ${fileKey} failed (attempt ${attempt}), retrying...`);
+        await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+      }
+    }
+  }
+
+  // Hex SHA-256 of a blob
+  async calculateChecksum(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * Live sessions: segments are uploaded while the interview is still being recorded,
+   * so the backend can transcribe them before the user presses Stop
+   * - POST /api/audio/live-sessions/:sessionId/segments  one finished segment (multipart: microphone, system, segment fields)
+   * - GET  /api/audio/live-sessions/:sessionId/transcript partial results per segment (see getLiveTranscript)
+   * - POST /api/audio/live-sessions/:sessionId/complete  assemble the uploaded segments, same response as upload-segmented-dual
+   * @returns {Object} - upload result, or { unsupported: true } if the backend has no live sessions
+   */
+  async uploadLiveSegment(sessionId, { segment, microphoneFile, systemFile = null }) {
+    try {
+      const formData = new FormData();
+      formData.append('microphone', microphoneFile, `mic_${segment.segmentId}.${microphoneFile.name.split('.').pop()}`);
+      if (systemFile) {
+        formData.append('system', systemFile, `sys_${segment.segmentId}.${systemFile.name.split('.').pop()}`);
+      }
+
+      formData.append('segmentId', segment.segmentId);
+      formData.append('startTime', String(segment.startTime || ''));
+      formData.append('duration', String(segment.duration || 0));
+      formData.append('overlapDuration', String(segment.overlapDuration || 0));
+      if (segment.codec) {
+        formData.append('codec', segment.codec);
+      }
+
+      const response = await this.api.post(`/api/audio/live-sessions/${encodeURIComponent(sessionId)}/segments`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        timeout: this.calculateUploadTimeout([microphoneFile, systemFile].filter(Boolean)),
+      });
+
+      console.log(`✅ Live segment ${segment.segmentId} uploaded`);
+      return response.data;
+    } catch (error) {
+      if ([404, 405, 501].includes(error.response?.status)) {
+        return { success: false, unsupported: true };
+      }
+      console.error(`❌ Live segment ${segment.segmentId} upload failed:`, error);
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Partial transcription of a live session, polled while recording
+   * GET /api/audio/live-sessions/:sessionId/transcript
+   * @returns {Object} - { success, segments: [{ segmentId, status: 'queued' | 'processing' | 'completed' | 'failed',
+   *   lines: [{ speaker, text }], microphoneText, systemText, error }] }
+   */
+  async getLiveTranscript(sessionId) {
+    try {
+      const response = await this.api.get(`/api/audio/live-sessions/${encodeURIComponent(sessionId)}/transcript`);
+      return response.data;
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  // Finish a live session once recording stopped - only the segments listed make up the transcript
+  async finalizeLiveSession(sessionId, recordingMetadata = {}) {
+    try {
+      const segments = recordingMetadata.segments || [];
+      const response = await this.api.post(`/api/audio/live-sessions/${encodeURIComponent(sessionId)}/complete`, {
+        segmentIds: segments.map(segment => segment.segmentId),
+        segmentOverlaps: segments.map(segment => segment.overlapDuration || 0),
+        totalDuration: recordingMetadata.totalDuration || 0,
+        pausedDuration: recordingMetadata.pausedDuration || 0
+      }, {
+        // The last segment may still be transcribing
+        timeout: 5 * 60 * 1000
+      });
+
+      console.log(`✅ Live session ${sessionId} completed`);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Failed to complete live session ${sessionId}:`, error);
+      return this.handleError(error);
+    }
+  }
+
   // Upload segmented dual audio files (multiple 1-minute segments)
   async uploadSegmentedDualAudio(microphoneFiles, systemFiles, onProgress = null) {
     try {
@@ -602,6 +911,34 @@ class ApiService {
     }
   }
 
+  // Upload codecs the backend accepts (e.g. ['wav', 'flac', 'opus']), or null if it doesn't say
+  async getAcceptedUploadCodecs() {
+    const result = await this.getSupportedFormats();
+    if (!result || result.success === false) {
+      return null;
+    }
+
+    const formats = Array.isArray(result) ? result : (result.formats || result.supportedFormats);
+    if (!Array.isArray(formats)) {
+      return null;
+    }
+
+    // Formats may be listed as 'flac', '.flac', 'audio/flac' or { extension, mimeType }
+    const codecs = formats.map(format => {
+      const name = typeof format === 'object' && format !== null
+        ? format.extension || format.format || format.mimeType || ''
+        : String(format);
+      return name.toLowerCase().replace(/^\./, '').replace(/^audio\/(x-)?/, '');
+    });
+
+    // Opus is uploaded in an Ogg container
+    if (codecs.includes('ogg') && !codecs.includes('opus')) {
+      codecs.push('opus');
+    }
+
+    return codecs;
+  }
+
   // =====================================================
   // RECORDING MANAGEMENT
   // =====================================================
@@ -692,6 +1029,15 @@ class ApiService {
     }
   }
 
+  // Where a recording's session audio can be streamed from - playback requests it in ranges
+  // so the whole file is never downloaded up front
+  getRecordingAudioSource(recordingId) {
+    return {
+      url: `${this.baseURL}/api/recordings/${recordingId}/audio`,
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {}
+    };
+  }
+
   // =====================================================
   // TRANSCRIPT MANAGEMENT
   // =====================================================
@@ -709,6 +1055,11 @@ class ApiService {
       const response = await this.api.get(`/api/transcripts?${params}`);
 
       if (response.data.success) {
+        // A request without paging returns every transcript, so anything else cached was deleted
+        TranscriptCacheService.cacheTranscripts(response.data.transcripts, {
+          prune: !options.limit && !options.offset
+        }).catch(error => console.warn('⚠️ Failed to cache transcripts:', error));
+
         return {
           success: true,
           transcripts: response.data.transcripts
@@ -728,6 +1079,12 @@ class ApiService {
   async getTranscript(transcriptId) {
     try {
       const response = await this.api.get(`/api/transcripts/${transcriptId}`);
+
+      if (response.data.success && response.data.transcript) {
+        TranscriptCacheService.cacheTranscript(response.data.transcript)
+          .catch(error => console.warn('⚠️ Failed to cache transcript:', error));
+      }
+
       return response.data;
     } catch (error) {
       console.error('Get transcript error:', error);
@@ -741,6 +1098,12 @@ class ApiService {
   async updateTranscript(transcriptId, updates) {
     try {
       const response = await this.api.put(`/api/transcripts/${transcriptId}`, updates);
+
+      if (response.data.success && response.data.transcript) {
+        TranscriptCacheService.cacheTranscript(response.data.transcript)
+          .catch(error => console.warn('⚠️ Failed to cache transcript:', error));
+      }
+
       return response.data;
     } catch (error) {
       console.error('Update transcript error:', error);
@@ -754,6 +1117,13 @@ class ApiService {
   async deleteTranscript(transcriptId) {
     try {
       const response = await this.api.delete(`/api/transcripts/${transcriptId}`);
+
+      if (response.data.success) {
+        TranscriptCacheService.removeTranscript(transcriptId)
+          .catch(error => console.warn('⚠️ Failed to remove cached transcript:', error));
+        TranscriptRevisionService.clearRevisions(transcriptId);
+      }
+
       return response.data;
     } catch (error) {
       console.error('Delete transcript error:', error);
@@ -771,6 +1141,11 @@ class ApiService {
 
       if (options.limit) params.append('limit', options.limit);
       if (options.offset) params.append('offset', options.offset);
+      if (options.from) params.append('from', options.from);
+      if (options.to) params.append('to', options.to);
+      if (options.speaker) params.append('speaker', options.speaker);
+      if (options.hasSummary) params.append('hasSummary', 'true');
+      if (options.hasDebrief) params.append('hasDebrief', 'true');
 
       const response = await this.api.get(`/api/transcripts/search?${params}`);
       return response.data;
@@ -861,9 +1236,20 @@ class ApiService {
       };
     } catch (error) {
       console.error('Export transcript error:', error);
+
+      // With a blob response type the backend's JSON error arrives as a blob too
+      let data = error.response?.data;
+      if (data instanceof Blob) {
+        try {
+          data = JSON.parse(await data.text());
+        } catch (parseError) {
+          data = null;
+        }
+      }
+
       return {
         success: false,
-        error: error.response?.data?.error || 'Export failed'
+        error: data?.error || 'Export failed'
       };
     }
   }
@@ -898,6 +1284,23 @@ class ApiService {
     }
   }
 
+  /**
+   * AI-proposed scores and evidence for every competency of a rubric
+   * @returns {Object} - { success, scorecard: { rubricId, competencies: [{ competencyId, score, evidence, rationale }] } }
+   */
+  async generateScorecard(transcriptId, rubricId) {
+    try {
+      const response = await this.api.post(`/api/ai/scorecard/${transcriptId}`, { rubricId });
+      return response.data;
+    } catch (error) {
+      console.error('Generate scorecard error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error || 'Failed to generate scorecard'
+      };
+    }
+  }
+
   // =====================================================
   // ADMIN AI OPERATIONS
   // =====================================================
@@ -928,14 +1331,26 @@ class ApiService {
     }
   }
 
-  async chatWithTranscript(transcriptId, message, saveToHistory = true) {
+  /**
+   * Ask a question about a transcript
+   * @param {Object} options - { signal } - abort the signal to stop waiting for the answer
+   * @returns {Object} - { success, response, citations } - citations point at the transcript lines the answer is based on;
+   *   { success: true, response: '', stopped: true } when stopped
+   */
+  async chatWithTranscript(transcriptId, message, saveToHistory = true, { signal = null } = {}) {
     try {
       const response = await this.api.post(`/api/ai/chat/${transcriptId}`, {
         message,
-        saveToHistory
-      });
-      return response.data;
+        saveToHistory,
+        includeCitations: true
+      }, { signal });
+      return this.normalizeChatResponse(response.data);
     } catch (error) {
+      if (axios.isCancel(error)) {
+        console.log('⏹️ Chat answer stopped');
+        return { success: true, response: '', stopped: true };
+      }
+
       console.error('AI chat error:', error);
       return {
         success: false,
@@ -944,6 +1359,204 @@ class ApiService {
     }
   }
 
+  /**
+   * Chat with a transcript, receiving the answer while it is generated
+   * POST /api/ai/chat/:transcriptId/stream answers with server-sent events, one JSON object per `data:` line:
+   *   { type: 'token', text }     - the next piece of the answer
+   *   { type: 'done', response, citations } - the full answer; the exchange is saved to history when saveToHistory is set
+   *   { type: 'error', error }
+   * @param {Object} options - { saveToHistory, onToken(text, answerSoFar), signal } - abort the signal to stop the answer
+   * @returns {Object} - { success, response, citations, stopped }; stopped answers are partial and saved with saveChatExchange.
+   *   { unsupported: true } if the backend can't stream (use chatWithTranscript)
+   */
+  async streamChatWithTranscript(transcriptId, message, { saveToHistory = true, onToken = null, signal = null } = {}) {
+    const result = await this.readChatStream(
+      `/api/ai/chat/${transcriptId}/stream`,
+      { message, saveToHistory, includeCitations: true },
+      { onToken, signal }
+    );
+
+    // The backend only saves finished answers
+    if (result.stopped && saveToHistory && result.response) {
+      await this.saveChatExchange(transcriptId, message, result.response);
+    }
+    return result;
+  }
+
+  /**
+   * Ask a question across several transcripts (e.g. comparing candidates)
+   * The backend keeps the conversation under sessionId; pass back the one it returns for follow-up questions
+   * @param {Object} options - { signal } - as for chatWithTranscript
+   * @returns {Object} - { success, response, sessionId, citations } - every citation carries its transcriptId
+   */
+  async chatWithTranscripts(transcriptIds, message, sessionId = null, { signal = null } = {}) {
+    try {
+      const response = await this.api.post('/api/ai/chat/multi', {
+        transcriptIds,
+        message,
+        sessionId,
+        includeCitations: true
+      }, { signal });
+      return this.normalizeChatResponse(response.data);
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        console.log('⏹️ Chat answer stopped');
+        return { success: true, response: '', stopped: true };
+      }
+
+      console.error('AI multi-transcript chat error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error || 'Chat failed'
+      };
+    }
+  }
+
+  /**
+   * Streaming variant of chatWithTranscripts (POST /api/ai/chat/multi/stream, same events as streamChatWithTranscript;
+   * 'done' also carries the sessionId)
+   */
+  async streamChatWithTranscripts(transcriptIds, message, { sessionId = null, onToken = null, signal = null } = {}) {
+    return this.readChatStream(
+      '/api/ai/chat/multi/stream',
+      { transcriptIds, message, sessionId, includeCitations: true },
+      { onToken, signal }
+    );
+  }
+
+  /**
+   * POST a chat request and read the server-sent events of its answer
+   * @returns {Object} - { success, response, citations, stopped } or { unsupported: true }
+   */
+  async readChatStream(path, body, { onToken = null, signal = null } = {}) {
+    let answer = '';
+
+    try {
+      const response = await this.fetchChatStream(path, body, signal);
+
+      if ([404, 405, 501].includes(response.status)) {
+        return { success: false, unsupported: true };
+      }
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        return { success: false, error: data.error || 'Chat failed', status: response.status };
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        // Events end with a blank line - keep the unfinished one for the next read
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop();
+
+        for (const event of events) {
+          const data = event
+            .split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim())
+            .join('\n');
+          if (!data) continue;
+
+          const payload = JSON.parse(data);
+          if (payload.type === 'token') {
+            answer += payload.text;
+            if (onToken) onToken(payload.text, answer);
+          } else if (payload.type === 'done') {
+            const { type, ...result } = payload;
+            return this.normalizeChatResponse({ ...result, success: true, response: result.response ?? answer, stopped: false });
+          } else if (payload.type === 'error') {
+            return { success: false, error: payload.error || 'Chat failed', response: answer };
+          }
+        }
+      }
+
+      return answer
+        ? { success: true, response: answer, stopped: false }
+        : { success: false, error: 'The answer ended unexpectedly' };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('⏹️ Chat answer stopped');
+        return { success: true, response: answer, stopped: true };
+      }
+
+      console.error('AI chat stream error:', error);
+      return { success: false, error: 'Chat failed', response: answer };
+    }
+  }
+
+  /**
+   * Give chat citations one shape: [{ transcriptId, segmentIndex, startTime, endTime, speaker, quote }]
+   * segmentIndex is the line as shown in TranscriptViewer (transcript.segments, or the lines of transcript.content);
+   * the backend may send it as index/lineIndex and times as start/end. transcriptId is set in multi-transcript chats
+   */
+  normalizeChatResponse(data) {
+    if (!data || !data.success) return data;
+
+    const toNumber = (value) => (value === undefined || value === null || isNaN(Number(value)) ? null : Number(value));
+    const citations = (data.citations || data.sources || [])
+      .map(citation => ({
+        transcriptId: citation.transcriptId || null,
+        segmentIndex: toNumber(citation.segmentIndex ?? citation.lineIndex ?? citation.index),
+        startTime: toNumber(citation.startTime ?? citation.start),
+        endTime: toNumber(citation.endTime ?? citation.end),
+        speaker: citation.speaker || null,
+        quote: citation.quote || citation.text || ''
+      }))
+      .filter(citation => citation.transcriptId || citation.segmentIndex !== null || citation.startTime !== null);
+
+    return { ...data, citations };
+  }
+
+  // fetch instead of axios so the body can be read as it arrives - the token is added (and refreshed) here
+  async fetchChatStream(path, body, signal) {
+    const request = () => fetch(`${this.baseURL}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+        ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    const response = await request();
+    if (response.status === 401 && this.refreshToken) {
+      const refreshed = await this.refreshAccessToken();
+      if (refreshed.success) {
+        return request();
+      }
+    }
+    return response;
+  }
+
+  /**
+   * Add a question and its (stopped) answer to a transcript's chat history
+   */
+  async saveChatExchange(transcriptId, message, answer) {
+    try {
+      const response = await this.api.post(`/api/ai/chat/${transcriptId}/history`, {
+        messages: [
+          { role: 'user', content: message },
+          { role: 'assistant', content: answer, stopped: true }
+        ]
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Save chat history error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error || 'Failed to save chat history'
+      };
+    }
+  }
+
   async getChatHistory(transcriptId) {
     try {
       const response = await this.api.get(`/api/ai/chat/${transcriptId}/history`);
@@ -1052,6 +1665,119 @@ class ApiService {
     }
   }
 
+  // =====================================================
+  // RUBRICS & SCORECARDS
+  // =====================================================
+
+  async getRubrics() {
+    try {
+      const response = await this.api.get('/api/rubrics');
+      return response.data;
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Create a rubric, or update it when it has an ID (admin only)
+   * @param {Object} rubric - { id, name, description, competencies: [{ id, name, description, anchors }] }
+   */
+  async saveRubric(rubric) {
+    try {
+      const response = rubric.id
+        ? await this.api.put(`/api/rubrics/${rubric.id}`, rubric)
+        : await this.api.post('/api/rubrics', rubric);
+      return response.data;
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  async deleteRubric(rubricId) {
+    try {
+      const response = await this.api.delete(`/api/rubrics/${rubricId}`);
+      return response.data;
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * The transcript's scorecard - { success: true, scorecard: null } when it has none yet
+   */
+  async getScorecard(transcriptId) {
+    try {
+      const response = await this.api.get(`/api/scorecards/${transcriptId}`);
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return { success: true, scorecard: null };
+      }
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Save a draft scorecard, or submit it (scorecard.status === 'submitted')
+   */
+  async saveScorecard(transcriptId, scorecard) {
+    try {
+      const response = await this.api.put(`/api/scorecards/${transcriptId}`, scorecard);
+      return response.data;
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Scorecards of several transcripts, for comparing candidates
+   * @param {Object} options - { rubricId, status }
+   */
+  async getScorecards(options = {}) {
+    try {
+      const params = new URLSearchParams();
+      Object.entries(options).forEach(([key, value]) => {
+        if (value !== null && value !== undefined) {
+          params.append(key, value);
+        }
+      });
+
+      const response = await this.api.get(`/api/scorecards?${params.toString()}`);
+      return response.data;
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  // =====================================================
+  // PROMPT TEMPLATES
+  // =====================================================
+
+  /**
+   * Organisation-wide AI chat prompts, readable by every user
+   */
+  async getPromptTemplates() {
+    try {
+      const response = await this.api.get('/api/prompts/templates');
+      return response.data;
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Replace the organisation-wide prompts (admin only)
+   * @param {Array} templates - [{ id, label, text }] in display order
+   */
+  async updatePromptTemplates(templates) {
+    try {
+      const response = await this.api.put('/api/prompts/templates', { templates });
+      return response.data;
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
   // =====================================================
   // ADMIN OPERATIONS
   // =====================================================
@@ -0,0 +1,173 @@
+/**
+ * @jest-environment node
+ */
+import { File } from 'buffer';
+import { webcrypto } from 'crypto';
+import apiService from './ApiService';
+
+const { createMockUploadServer } = require('../../scripts/mock-upload-server');
+
+// The transcript cache needs browser storage, which uploads don't touch
+jest.mock('./TranscriptCacheService', () => ({}));
+
+// Chunks are checksummed with Web Crypto, as in the renderer
+global.crypto = webcrypto;
+
+const CHUNK_SIZE = 1024;
+
+const createAudioFile = (name, size) => {
+  const bytes = new Uint8Array(size).map((_, index) => index % 251);
+  return new File([bytes], name, { type: 'audio/wav' });
+};
+
+const startServer = (options = {}) => new Promise(resolve => {
+  const server = createMockUploadServer({ chunkSize: CHUNK_SIZE, ...options });
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const stopServer = (server) => new Promise(resolve => server.close(resolve));
+
+describe('ApiService resumable uploads against the mock upload server', () => {
+  let server;
+  let chunkRequests;
+
+  const useServer = async (options) => {
+    server = await startServer(options);
+    apiService.setCustomBackendURL(`http://127.0.0.1:${server.address().port}`);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Count chunk PUTs as the client sends them
+    chunkRequests = [];
+    apiService.api.interceptors.request.use(config => {
+      if (config.method === 'put') chunkRequests.push(config.url);
+      return config;
+    });
+  });
+
+  afterEach(async () => {
+    apiService.api.interceptors.request.clear();
+    apiService.resumableUploadsSupported = null;
+    jest.restoreAllMocks();
+    if (server) {
+      await stopServer(server);
+      server = null;
+    }
+  });
+
+  test('uploads every file in chunks and completes the session', async () => {
+    await useServer();
+    const onUploadSession = jest.fn();
+
+    const result = await apiService.uploadRawAudioArraysResumable(
+      [createAudioFile('mic_0.wav', 2500)],
+      [createAudioFile('sys_0.wav', 1000)],
+      null,
+      { onUploadSession }
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.transcript.content).toContain('Received 2 files');
+    expect(onUploadSession).toHaveBeenCalledTimes(1);
+    expect(chunkRequests).toHaveLength(4);
+    expect(server.sessions.size).toBe(0);
+  });
+
+  test('retries a chunk whose connection was dropped', async () => {
+    // Only the first chunk request is dropped
+    const random = jest.fn().mockReturnValueOnce(0).mockReturnValue(1);
+    await useServer({ failRate: 0.5, random });
+
+    const result = await apiService.uploadRawAudioArraysResumable([createAudioFile('mic_0.wav', 1500)], [], null, {});
+
+    expect(result.success).toBe(true);
+    expect(chunkRequests).toEqual([
+      expect.stringMatching(/chunks\/microphone_0\/0$/),
+      expect.stringMatching(/chunks\/microphone_0\/0$/),
+      expect.stringMatching(/chunks\/microphone_0\/1$/)
+    ]);
+  });
+
+  test('resends a chunk the server rejects with a checksum mismatch', async () => {
+    await useServer();
+
+    // Corrupt the checksum of the first chunk request, as if the body was damaged in transit
+    let corrupted = false;
+    apiService.api.interceptors.request.use(config => {
+      if (config.method === 'put' && !corrupted) {
+        corrupted = true;
+        config.headers.set('X-Chunk-Checksum', '0'.repeat(64));
+      }
+      return config;
+    });
+
+    const result = await apiService.uploadRawAudioArraysResumable([createAudioFile('mic_0.wav', 800)], [], null, {});
+
+    expect(result.success).toBe(true);
+    expect(chunkRequests).toHaveLength(2);
+  });
+
+  test('resumes a session and only sends the chunks the server is missing', async () => {
+    await useServer();
+    const file = createAudioFile('mic_0.wav', 3000);
+
+    // First attempt fails after the server has accepted the first chunk
+    const failingInterceptor = apiService.api.interceptors.request.use(config => {
+      if (config.method === 'put' && /\/[12]$/.test(config.url)) {
+        return Promise.reject(Object.assign(new Error('Request failed with status code 400'), {
+          response: { status: 400, data: { error: 'Simulated outage' } }
+        }));
+      }
+      return config;
+    });
+
+    const failed = await apiService.uploadRawAudioArraysResumable([file], [], null, {});
+    expect(failed.success).toBe(false);
+    expect(failed.uploadSessionId).toBeTruthy();
+
+    apiService.api.interceptors.request.eject(failingInterceptor);
+    chunkRequests.length = 0;
+
+    const resumed = await apiService.uploadRawAudioArraysResumable([file], [], null, {
+      uploadSessionId: failed.uploadSessionId
+    });
+
+    expect(resumed.success).toBe(true);
+    expect(chunkRequests).toEqual([
+      expect.stringMatching(/chunks\/microphone_0\/1$/),
+      expect.stringMatching(/chunks\/microphone_0\/2$/)
+    ]);
+  });
+
+  test('starts a new session when the one being resumed has expired', async () => {
+    await useServer();
+
+    const result = await apiService.uploadRawAudioArraysResumable([createAudioFile('mic_0.wav', 500)], [], null, {
+      uploadSessionId: 'upload_expired'
+    });
+
+    expect(result.success).toBe(true);
+    expect(chunkRequests).toEqual([expect.not.stringContaining('upload_expired')]);
+  });
+
+  test('falls back to a single request when the backend has no upload sessions', async () => {
+    await useServer({ resumable: false });
+    const multipart = jest.spyOn(apiService, 'uploadRawAudioArraysMultipart')
+      .mockResolvedValue({ success: true, transcript: { id: 'single' } });
+    const microphoneFiles = [createAudioFile('mic_0.wav', 500)];
+
+    const resumable = await apiService.uploadRawAudioArraysResumable(microphoneFiles, [], null, {});
+    expect(resumable).toEqual({ success: false, unsupported: true });
+
+    const result = await apiService.uploadRawAudioArrays(microphoneFiles, [], null, {});
+    expect(result.transcript.id).toBe('single');
+    expect(multipart).toHaveBeenCalledWith(microphoneFiles, [], null, {});
+    expect(apiService.resumableUploadsSupported).toBe(false);
+    expect(chunkRequests).toHaveLength(0);
+  });
+});
+
@@ -0,0 +1,151 @@
+/**
+ * LiveUploadService - Uploads finished segments while the interview is still being recorded
+ * Segments are sent one at a time, in recording order, under the recording session ID.
+ * When recording stops the session is completed from the uploaded segments; if any segment
+ * is missing the caller falls back to uploading the whole recording
+ */
+import ApiService from './ApiService';
+
+class LiveUploadService {
+  constructor() {
+    this.sessions = new Map(); // sessionId -> { queue, uploaded: Map(segmentId -> result), failed: Set, unsupported }
+    this.listeners = new Set();
+    this.supported = true; // false once the backend reported it has no live sessions
+  }
+
+  /**
+   * Listen for segment uploads
+   * @param {Function} callback - ({ type, sessionId, segment, result, error }) where type is
+   *   'segment-queued' | 'segment-skipped' | 'segment-uploaded' | 'segment-failed' | 'unsupported'
+   * @returns {Function} - unsubscribe
+   */
+  onUpdate(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  startSession(sessionId) {
+    if (!this.supported || !sessionId) return;
+
+    this.sessions.set(sessionId, {
+      queue: Promise.resolve(),
+      uploaded: new Map(),
+      failed: new Set(),
+      unsupported: false
+    });
+    console.log(`📡 Live upload started for session ${sessionId}`);
+  }
+
+  isActive(sessionId) {
+    return this.sessions.has(sessionId);
+  }
+
+  /**
+   * Queue a finished segment for upload
+   * @param {string} sessionId
+   * @param {Object} segment - Segment announced by the main process
+   * @param {Promise} preparation - Resolves to { segment, microphoneFile, systemFile } ready for upload, or null
+   */
+  addSegment(sessionId, segment, preparation) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return Promise.resolve();
+
+    session.queue = session.queue.then(() => this._uploadSegment(sessionId, session, segment, preparation));
+    this.notify({ type: 'segment-queued', sessionId, segment });
+    return session.queue;
+  }
+
+  /**
+   * Note a finished segment that won't be uploaded (no speech detected)
+   */
+  skipSegment(sessionId, segment) {
+    if (!this.sessions.has(sessionId)) return;
+    this.notify({ type: 'segment-skipped', sessionId, segment });
+  }
+
+  async _uploadSegment(sessionId, session, segment, preparation) {
+    if (session.unsupported) return;
+
+    let result;
+    try {
+      const prepared = await preparation;
+      if (!prepared || !prepared.microphoneFile) {
+        throw new Error('Segment audio could not be read');
+      }
+
+      result = await ApiService.uploadLiveSegment(sessionId, prepared);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.unsupported) {
+      console.log('ℹ️ Backend does not support live uploads, the recording will be uploaded after it stops');
+      session.unsupported = true;
+      this.supported = false;
+      this.notify({ type: 'unsupported', sessionId });
+      return;
+    }
+
+    if (result.success) {
+      session.uploaded.set(segment.segmentId, result);
+      this.notify({ type: 'segment-uploaded', sessionId, segment, result });
+    } else {
+      console.warn(`⚠️ Live upload of segment ${segment.segmentId} failed:`, result.error);
+      session.failed.add(segment.segmentId);
+      this.notify({ type: 'segment-failed', sessionId, segment, error: result.error });
+    }
+  }
+
+  /**
+   * Complete a live session once recording stopped
+   * @param {string} sessionId
+   * @param {Object} dualAudioData - The recording as it would be uploaded (speech segments only)
+   * @returns {Object} - upload result; { success: false } means the recording still has to be uploaded
+   */
+  async finishSession(sessionId, dualAudioData) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return { success: false, error: 'No live upload for this session' };
+    }
+
+    // The last segments are usually still uploading
+    await session.queue;
+    this.sessions.delete(sessionId);
+
+    if (session.unsupported) {
+      return { success: false, error: 'Live uploads are not supported by the backend' };
+    }
+
+    const segments = dualAudioData.segments || [];
+    const missing = segments.filter(segment => !session.uploaded.has(segment.segmentId));
+    if (segments.length === 0 || missing.length > 0) {
+      return { success: false, error: `${missing.length} segment(s) were not uploaded during recording` };
+    }
+
+    return ApiService.finalizeLiveSession(sessionId, {
+      segments,
+      totalDuration: dualAudioData.totalDuration || 0,
+      pausedDuration: dualAudioData.pausedDuration || 0
+    });
+  }
+
+  /**
+   * Forget a session without completing it (e.g. recording failed to stop)
+   */
+  discardSession(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  notify(update) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(update);
+      } catch (error) {
+        console.error('❌ Live upload listener failed:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export default new LiveUploadService();
@@ -1,17 +1,42 @@
 /**
  * OfflineStorageService - Handles offline storage of recordings for later upload
- * Uses IndexedDB for persistent storage with localStorage fallback for Windows compatibility
+ * In Electron recordings are written to disk by the main process (window.electronAPI.offlineRecordings);
+ * a pure-browser build uses IndexedDB with localStorage fallback for Windows compatibility
+ * Audio is encrypted at rest with the user's key (StorageEncryptionService) when running in Electron
  */
+import StorageEncryptionService from './StorageEncryptionService';
+
+const DAY = 24 * 60 * 60 * 1000;
+// Below this much free disk space the offline manager warns and retention frees space
+export const LOW_DISK_BYTES = 1024 * 1024 * 1024; // 1 GB
+
+// 0 turns a rule off
+export const DEFAULT_RETENTION_SETTINGS = {
+  maxTotalSizeMB: 2048,
+  maxCompletedAgeDays: 30,
+  purgeUploadedAudioAfterDays: 7
+};
 
 class OfflineStorageService {
   constructor() {
     this.dbName = 'LeepiAI_Recordings';
-    this.dbVersion = 1;
+    this.dbVersion = 2;
     this.storeName = 'recordings';
+    // Transcript cache and its inverted index (used by TranscriptCacheService)
+    this.transcriptStoreName = 'transcripts';
+    this.transcriptIndexStoreName = 'transcriptIndex';
     this.db = null;
     this.isInitialized = false;
     this.useFallbackStorage = false;
     this.fallbackStorageKey = 'leepi_offline_recordings';
+    // Filesystem storage through the main process - the primary backend in Electron
+    this.useFileStorage = false;
+    this.fileStorageMigration = null;
+    // Recordings stored before encryption are encrypted once per session, when a user is known
+    this.migrated = false;
+    this.migration = null;
+    this.retentionSettingsKey = 'offlineRetention';
+    this.retentionRun = null;
     
     // Detect Windows and set fallback if needed
     this.isWindows = this.detectWindows();
@@ -29,7 +54,13 @@ class OfflineStorageService {
    * Initialize the IndexedDB database with fallback support
    */
   async initialize() {
-    if (this.isInitialized) return;
+    if (this.isInitialized) {
+      // Recordings are readable once they have been moved to disk
+      if (this.fileStorageMigration) await this.fileStorageMigration;
+      return;
+    }
+
+    this.useFileStorage = !!window.electronAPI?.offlineRecordings;
 
     try {
       // Try IndexedDB first
@@ -43,6 +74,67 @@ class OfflineStorageService {
       this.useFallbackStorage = true;
       await this.initializeFallbackStorage();
     }
+
+    // IndexedDB stays open for the transcript cache, but recordings move to disk
+    if (this.useFileStorage && !this.fileStorageMigration) {
+      this.fileStorageMigration = this.migrateToFileStorage().catch(error => {
+        console.error('❌ Failed to move offline recordings to disk:', error);
+      });
+      await this.fileStorageMigration;
+    }
+  }
+
+  /**
+   * Call the main-process recording store, throwing if it reports a failure
+   */
+  async callFileStorage(method, ...args) {
+    const result = await window.electronAPI.offlineRecordings[method](...args);
+    if (!result.success) {
+      throw new Error(result.error || `Offline recording ${method} failed`);
+    }
+    return result;
+  }
+
+  /**
+   * Move recordings kept in IndexedDB or localStorage by earlier versions to the filesystem store
+   */
+  async migrateToFileStorage() {
+    let moved = 0;
+
+    if (this.db) {
+      for (const record of await this.getAllRawFromIndexedDB()) {
+        await this.callFileStorage('save', this.decodeFallbackRecord(record));
+        await this.deleteFromIndexedDB(record.id);
+        moved++;
+      }
+    }
+
+    const fallbackRecords = JSON.parse(localStorage.getItem(this.fallbackStorageKey) || '[]');
+    for (const record of fallbackRecords) {
+      await this.callFileStorage('save', this.decodeFallbackRecord(record));
+      moved++;
+    }
+    localStorage.removeItem(this.fallbackStorageKey);
+
+    if (moved > 0) {
+      console.log(`📁 Moved ${moved} offline recording(s) to the filesystem store`);
+    }
+  }
+
+  /**
+   * A stored record with base64 (localStorage) audio turned back into binary
+   */
+  decodeFallbackRecord(record) {
+    const decodeFiles = (files) => (files || []).map(({ dataEncoding, ...file }) => {
+      const data = this.getStoredFileData({ ...file, dataEncoding });
+      return { ...file, data: data instanceof ArrayBuffer ? data : null };
+    });
+
+    return {
+      ...record,
+      inputFiles: decodeFiles(record.inputFiles),
+      outputFiles: decodeFiles(record.outputFiles)
+    };
   }
 
   /**
@@ -73,6 +165,15 @@ class OfflineStorageService {
           store.createIndex('timestamp', 'timestamp', { unique: false });
           store.createIndex('type', 'type', { unique: false });
         }
+
+        if (!db.objectStoreNames.contains(this.transcriptStoreName)) {
+          const transcriptStore = db.createObjectStore(this.transcriptStoreName, { keyPath: 'id' });
+          transcriptStore.createIndex('createdAt', 'createdAt', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(this.transcriptIndexStoreName)) {
+          db.createObjectStore(this.transcriptIndexStoreName, { keyPath: 'term' });
+        }
       };
     });
   }
@@ -98,6 +199,7 @@ class OfflineStorageService {
    */
   async storeRecording(recordingData) {
     await this.initialize();
+    await this.ensureEncrypted();
 
     const id = `offline_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     const timestamp = new Date().toISOString();
@@ -114,24 +216,32 @@ class OfflineStorageService {
     };
 
     // Process audio files with Windows compatibility
+    const ownerId = StorageEncryptionService.isAvailable() ? await StorageEncryptionService.getCurrentUserId() : null;
     if (processedData.inputFiles) {
-      processedData.inputFiles = await this.processFilesForStorage(processedData.inputFiles);
+      processedData.inputFiles = await this.processFilesForStorage(processedData.inputFiles, ownerId);
     }
     if (processedData.outputFiles) {
-      processedData.outputFiles = await this.processFilesForStorage(processedData.outputFiles);
+      processedData.outputFiles = await this.processFilesForStorage(processedData.outputFiles, ownerId);
     }
 
     try {
-      if (this.useFallbackStorage) {
-        return await this.storeInFallbackStorage(processedData);
+      let storedId;
+      if (this.useFileStorage) {
+        storedId = (await this.callFileStorage('save', processedData)).id;
+      } else if (this.useFallbackStorage) {
+        storedId = await this.storeInFallbackStorage(processedData);
       } else {
-        return await this.storeInIndexedDB(processedData);
+        storedId = await this.storeInIndexedDB(processedData);
       }
+
+      // Make room for the new recording
+      await this.applyRetentionPolicy();
+      return storedId;
     } catch (error) {
       console.error('❌ Failed to store recording offline:', error);
       
       // Try fallback if IndexedDB failed
-      if (!this.useFallbackStorage) {
+      if (!this.useFileStorage && !this.useFallbackStorage) {
         this.useFallbackStorage = true;
         await this.initializeFallbackStorage();
         return await this.storeInFallbackStorage(processedData);
@@ -166,8 +276,12 @@ class OfflineStorageService {
       const existingData = localStorage.getItem(this.fallbackStorageKey);
       const recordings = existingData ? JSON.parse(existingData) : [];
       
-      // Add new recording
-      recordings.push(processedData);
+      // Add new recording - ArrayBuffers don't survive JSON, so audio is kept as base64
+      recordings.push({
+        ...processedData,
+        inputFiles: (processedData.inputFiles || []).map(file => this.encodeFileForFallback(file)),
+        outputFiles: (processedData.outputFiles || []).map(file => this.encodeFileForFallback(file))
+      });
       
       // Store back to localStorage
       localStorage.setItem(this.fallbackStorageKey, JSON.stringify(recordings));
@@ -181,8 +295,10 @@ class OfflineStorageService {
 
   /**
    * Convert File objects to ArrayBuffers for storage with Windows compatibility
+   * @param {File[]} files
+   * @param {string} ownerId - Signed-in user whose key encrypts the audio; stored unencrypted without one
    */
-  async processFilesForStorage(files) {
+  async processFilesForStorage(files, ownerId = null) {
     const processedFiles = [];
     
     for (const file of files) {
@@ -191,11 +307,16 @@ class OfflineStorageService {
         const normalizedName = this.normalizeFileName(file.name);
         
         const arrayBuffer = await file.arrayBuffer();
+        const stored = ownerId
+          ? await StorageEncryptionService.encrypt(arrayBuffer)
+          : { data: arrayBuffer, encryption: null };
+
         processedFiles.push({
           name: normalizedName,
           type: file.type,
           size: file.size,
-          data: arrayBuffer,
+          data: stored.data,
+          encryption: stored.encryption,
           lastModified: file.lastModified
         });
       } catch (error) {
@@ -216,22 +337,170 @@ class OfflineStorageService {
   }
 
   /**
-   * Convert stored file data back to File objects
+   * Convert stored file data back to File objects, decrypting it if needed
+   * Throws if a file can't be decrypted - an empty stand-in would be uploaded as if it were the audio
    */
-  convertStoredFilesToFiles(storedFiles) {
-    return storedFiles.map(storedFile => {
-      try {
-        const blob = new Blob([storedFile.data], { type: storedFile.type });
-        return new File([blob], storedFile.name, { 
-          type: storedFile.type,
-          lastModified: storedFile.lastModified
+  async convertStoredFilesToFiles(storedFiles) {
+    return Promise.all(storedFiles.map(async storedFile => {
+      let data = this.getStoredFileData(storedFile);
+      if (storedFile.encryption) {
+        data = await StorageEncryptionService.decrypt(data, storedFile.encryption);
+      }
+
+      const blob = new Blob([data], { type: storedFile.type });
+      return new File([blob], storedFile.name, {
+        type: storedFile.type,
+        lastModified: storedFile.lastModified
+      });
+    }));
+  }
+
+  /**
+   * User whose key encrypted a stored recording - null when its audio isn't encrypted
+   */
+  getRecordingOwnerId(recording) {
+    const encrypted = [...(recording.inputFiles || []), ...(recording.outputFiles || [])]
+      .find(file => file.encryption);
+    return encrypted ? encrypted.encryption.ownerId : null;
+  }
+
+  /**
+   * A stored recording with its files converted back to File objects
+   * - Recordings of another user (or while nobody is signed in) keep no files and are flagged ownedByOtherUser
+   * - Audio that fails to decrypt leaves no files and sets undecryptable, with the reason in decryptError
+   */
+  async restoreRecordingFiles(recording) {
+    // Retention removed the audio of this uploaded recording
+    if (recording.audioPurgedAt) {
+      return { ...recording, inputFiles: [], outputFiles: [] };
+    }
+
+    const ownerId = this.getRecordingOwnerId(recording);
+    if (ownerId && ownerId !== await StorageEncryptionService.getCurrentUserId()) {
+      return { ...recording, inputFiles: [], outputFiles: [], ownedByOtherUser: true };
+    }
+
+    try {
+      return {
+        ...recording,
+        inputFiles: await this.convertStoredFilesToFiles(recording.inputFiles || []),
+        outputFiles: await this.convertStoredFilesToFiles(recording.outputFiles || [])
+      };
+    } catch (error) {
+      console.error(`❌ Failed to decrypt offline recording ${recording.id}:`, error);
+      return { ...recording, inputFiles: [], outputFiles: [], undecryptable: true, decryptError: error.message };
+    }
+  }
+
+  /**
+   * Raw (possibly encrypted) bytes of a stored file, from IndexedDB or the base64 fallback
+   */
+  getStoredFileData(storedFile) {
+    if (storedFile.dataEncoding === 'base64') {
+      return StorageEncryptionService.base64ToBuffer(storedFile.data);
+    }
+
+    // Files read from disk arrive over IPC as Uint8Arrays
+    if (ArrayBuffer.isView(storedFile.data)) {
+      const { buffer, byteOffset, byteLength } = storedFile.data;
+      return buffer.slice(byteOffset, byteOffset + byteLength);
+    }
+
+    return storedFile.data;
+  }
+
+  encodeFileForFallback(storedFile) {
+    if (storedFile.dataEncoding === 'base64' || !(storedFile.data instanceof ArrayBuffer)) {
+      return storedFile;
+    }
+
+    return {
+      ...storedFile,
+      data: StorageEncryptionService.bufferToBase64(storedFile.data),
+      dataEncoding: 'base64'
+    };
+  }
+
+  /**
+   * Encrypt recordings stored before encryption existed, once per session
+   */
+  async ensureEncrypted() {
+    if (this.migrated || !StorageEncryptionService.isAvailable()) return;
+
+    const ownerId = await StorageEncryptionService.getCurrentUserId();
+    if (!ownerId) return;
+
+    if (!this.migration) {
+      this.migration = this.migrateUnencryptedRecordings()
+        .then(() => {
+          this.migrated = true;
+        })
+        .catch(error => {
+          console.error('❌ Failed to encrypt existing offline recordings:', error);
+        })
+        .finally(() => {
+          this.migration = null;
         });
-      } catch (error) {
-        console.error('❌ Failed to convert stored file:', storedFile.name, error);
-        // Return a placeholder file to prevent crashes
-        return new File([''], storedFile.name || 'unknown', { type: 'audio/wav' });
+    }
+
+    await this.migration;
+  }
+
+  async migrateUnencryptedRecordings() {
+    let recordings;
+    if (this.useFileStorage) {
+      recordings = (await this.callFileStorage('list')).recordings;
+    } else if (this.useFallbackStorage) {
+      recordings = JSON.parse(localStorage.getItem(this.fallbackStorageKey) || '[]');
+    } else {
+      recordings = await this.getAllRawFromIndexedDB();
+    }
+
+    const encryptFiles = async (files) => Promise.all((files || []).map(async storedFile => {
+      if (storedFile.encryption) return storedFile;
+
+      const data = this.getStoredFileData(storedFile);
+      // Older fallback records lost their audio to JSON serialisation - nothing to protect
+      if (!(data instanceof ArrayBuffer)) return storedFile;
+
+      const encrypted = await StorageEncryptionService.encrypt(data);
+      const file = { ...storedFile, data: encrypted.data, encryption: encrypted.encryption };
+      delete file.dataEncoding;
+      return this.useFallbackStorage && !this.useFileStorage ? this.encodeFileForFallback(file) : file;
+    }));
+
+    let migratedCount = 0;
+    const migrated = [];
+
+    for (const recording of recordings) {
+      const files = [...(recording.inputFiles || []), ...(recording.outputFiles || [])];
+      if (files.every(file => file.encryption || !(this.getStoredFileData(file) instanceof ArrayBuffer))) {
+        migrated.push(recording);
+        continue;
       }
-    });
+
+      const updated = {
+        ...recording,
+        inputFiles: await encryptFiles(recording.inputFiles),
+        outputFiles: await encryptFiles(recording.outputFiles)
+      };
+      migrated.push(updated);
+      migratedCount++;
+
+      if (this.useFileStorage) {
+        await this.callFileStorage('save', updated);
+      } else if (!this.useFallbackStorage) {
+        await this.putInIndexedDB(updated);
+      }
+    }
+
+    if (this.useFallbackStorage && !this.useFileStorage && migratedCount > 0) {
+      localStorage.setItem(this.fallbackStorageKey, JSON.stringify(migrated));
+    }
+
+    if (migratedCount > 0) {
+      console.log(`🔐 Encrypted ${migratedCount} offline recording(s) stored before encryption`);
+    }
   }
 
   /**
@@ -241,7 +510,9 @@ class OfflineStorageService {
     await this.initialize();
 
     try {
-      if (this.useFallbackStorage) {
+      if (this.useFileStorage) {
+        return await this.getFromFileStorage('pending');
+      } else if (this.useFallbackStorage) {
         return await this.getFromFallbackStorage('pending');
       } else {
         return await this.getPendingFromIndexedDB();
@@ -262,16 +533,9 @@ class OfflineStorageService {
     
     return new Promise((resolve, reject) => {
       const request = index.getAll('pending');
-      request.onsuccess = () => {
-        const recordings = request.result.map(recording => ({
-          ...recording,
-          inputFiles: this.convertStoredFilesToFiles(recording.inputFiles || []),
-          outputFiles: this.convertStoredFilesToFiles(recording.outputFiles || [])
-        }));
-        resolve(recordings);
-      };
+      request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
-    });
+    }).then(recordings => Promise.all(recordings.map(recording => this.restoreRecordingFiles(recording))));
   }
 
   /**
@@ -290,25 +554,32 @@ class OfflineStorageService {
       }
       
       // Convert stored files back to File objects
-      return recordings.map(recording => ({
-        ...recording,
-        inputFiles: this.convertStoredFilesToFiles(recording.inputFiles || []),
-        outputFiles: this.convertStoredFilesToFiles(recording.outputFiles || [])
-      }));
+      return await Promise.all(recordings.map(recording => this.restoreRecordingFiles(recording)));
     } catch (error) {
       console.error('❌ Failed to get from fallback storage:', error);
       return [];
     }
   }
 
+  /**
+   * Get from the filesystem store
+   */
+  async getFromFileStorage(status = null) {
+    const { recordings } = await this.callFileStorage('list', status);
+    return Promise.all(recordings.map(recording => this.restoreRecordingFiles(recording)));
+  }
+
   /**
    * Get all recordings (for debugging/admin purposes)
    */
   async getAllRecordings() {
     await this.initialize();
+    await this.ensureEncrypted();
 
     try {
-      if (this.useFallbackStorage) {
+      if (this.useFileStorage) {
+        return await this.getFromFileStorage();
+      } else if (this.useFallbackStorage) {
         return await this.getFromFallbackStorage();
       } else {
         return await this.getAllFromIndexedDB();
@@ -323,19 +594,31 @@ class OfflineStorageService {
    * Get all recordings from IndexedDB
    */
   async getAllFromIndexedDB() {
+    const recordings = await this.getAllRawFromIndexedDB();
+    return Promise.all(recordings.map(recording => this.restoreRecordingFiles(recording)));
+  }
+
+  /**
+   * Stored records as they are in IndexedDB (files not converted or decrypted)
+   */
+  async getAllRawFromIndexedDB() {
     const transaction = this.db.transaction([this.storeName], 'readonly');
     const store = transaction.objectStore(this.storeName);
     
     return new Promise((resolve, reject) => {
       const request = store.getAll();
-      request.onsuccess = () => {
-        const recordings = request.result.map(recording => ({
-          ...recording,
-          inputFiles: this.convertStoredFilesToFiles(recording.inputFiles || []),
-          outputFiles: this.convertStoredFilesToFiles(recording.outputFiles || [])
-        }));
-        resolve(recordings);
-      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async putInIndexedDB(record) {
+    const transaction = this.db.transaction([this.storeName], 'readwrite');
+    const store = transaction.objectStore(this.storeName);
+
+    await new Promise((resolve, reject) => {
+      const request = store.put(record);
+      request.onsuccess = () => resolve();
       request.onerror = () => reject(request.error);
     });
   }
@@ -344,15 +627,8 @@ class OfflineStorageService {
    * Update recording status
    */
   async updateRecordingStatus(id, status, additionalData = {}) {
-    await this.initialize();
-
     try {
-      if (this.useFallbackStorage) {
-        await this.updateStatusInFallbackStorage(id, status, additionalData);
-      } else {
-        await this.updateStatusInIndexedDB(id, status, additionalData);
-      }
-
+      await this.updateRecording(id, { status, ...additionalData });
     } catch (error) {
       console.error('❌ Failed to update recording status:', error);
       throw error;
@@ -360,9 +636,24 @@ class OfflineStorageService {
   }
 
   /**
-   * Update status in IndexedDB
+   * Merge fields into a stored recording
+   */
+  async updateRecording(id, changes) {
+    await this.initialize();
+
+    if (this.useFileStorage) {
+      await this.callFileStorage('update', id, changes);
+    } else if (this.useFallbackStorage) {
+      await this.updateInFallbackStorage(id, changes);
+    } else {
+      await this.updateInIndexedDB(id, changes);
+    }
+  }
+
+  /**
+   * Update a recording in IndexedDB
    */
-  async updateStatusInIndexedDB(id, status, additionalData = {}) {
+  async updateInIndexedDB(id, changes) {
     const transaction = this.db.transaction([this.storeName], 'readwrite');
     const store = transaction.objectStore(this.storeName);
     
@@ -380,8 +671,7 @@ class OfflineStorageService {
     // Update recording
     const updatedRecording = {
       ...currentRecording,
-      status,
-      ...additionalData
+      ...changes
     };
 
     await new Promise((resolve, reject) => {
@@ -392,9 +682,9 @@ class OfflineStorageService {
   }
 
   /**
-   * Update status in fallback storage
+   * Update a recording in fallback storage
    */
-  async updateStatusInFallbackStorage(id, status, additionalData = {}) {
+  async updateInFallbackStorage(id, changes) {
     try {
       const existingData = localStorage.getItem(this.fallbackStorageKey);
       if (!existingData) throw new Error('No recordings found');
@@ -409,14 +699,13 @@ class OfflineStorageService {
       // Update recording
       recordings[recordingIndex] = {
         ...recordings[recordingIndex],
-        status,
-        ...additionalData
+        ...changes
       };
 
       // Store back to localStorage
       localStorage.setItem(this.fallbackStorageKey, JSON.stringify(recordings));
     } catch (error) {
-      console.error('❌ Failed to update status in fallback storage:', error);
+      console.error('❌ Failed to update recording in fallback storage:', error);
       throw error;
     }
   }
@@ -429,19 +718,22 @@ class OfflineStorageService {
       uploadedAt: new Date().toISOString(),
       result
     });
+
+    await this.applyRetentionPolicy();
   }
 
   /**
    * Mark recording as failed and increment attempt count
    */
-  async markAsFailed(id, error) {
-    const currentRecording = await this.getRecordingById(id);
+  async markAsFailed(id, error, additionalData = {}) {
+    const currentRecording = await this.getRecordingSummary(id);
     const attempts = (currentRecording?.attempts || 0) + 1;
     
     await this.updateRecordingStatus(id, 'failed', {
       attempts,
       lastAttempt: new Date().toISOString(),
-      error
+      error,
+      ...additionalData
     });
   }
 
@@ -452,7 +744,10 @@ class OfflineStorageService {
     await this.initialize();
 
     try {
-      if (this.useFallbackStorage) {
+      if (this.useFileStorage) {
+        const { recording } = await this.callFileStorage('get', id);
+        return recording ? await this.restoreRecordingFiles(recording) : undefined;
+      } else if (this.useFallbackStorage) {
         const recordings = await this.getFromFallbackStorage();
         return recordings.find(r => r.id === id);
       } else {
@@ -471,18 +766,13 @@ class OfflineStorageService {
     const transaction = this.db.transaction([this.storeName], 'readonly');
     const store = transaction.objectStore(this.storeName);
     
-    return new Promise((resolve, reject) => {
+    const recording = await new Promise((resolve, reject) => {
       const request = store.get(id);
-      request.onsuccess = () => {
-        const recording = request.result;
-        if (recording) {
-          recording.inputFiles = this.convertStoredFilesToFiles(recording.inputFiles || []);
-          recording.outputFiles = this.convertStoredFilesToFiles(recording.outputFiles || []);
-        }
-        resolve(recording);
-      };
+      request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
     });
+
+    return recording ? this.restoreRecordingFiles(recording) : recording;
   }
 
   /**
@@ -492,7 +782,9 @@ class OfflineStorageService {
     await this.initialize();
 
     try {
-      if (this.useFallbackStorage) {
+      if (this.useFileStorage) {
+        await this.callFileStorage('delete', id);
+      } else if (this.useFallbackStorage) {
         await this.deleteFromFallbackStorage(id);
       } else {
         await this.deleteFromIndexedDB(id);
@@ -543,21 +835,21 @@ class OfflineStorageService {
     await this.initialize();
 
     try {
-      const allRecordings = await this.getAllRecordings();
-      const totalSize = allRecordings.reduce((size, recording) => {
-        const inputSize = (recording.inputFiles || []).reduce((s, f) => s + f.size, 0);
-        const outputSize = (recording.outputFiles || []).reduce((s, f) => s + f.size, 0);
-        return size + inputSize + outputSize;
-      }, 0);
+      const allRecordings = await this.getRecordingSummaries();
+      const totalSize = allRecordings.reduce((size, recording) => size + this.getRecordingSize(recording), 0);
+      const freeBytes = await this.getFreeDiskSpace();
 
       return {
         totalRecordings: allRecordings.length,
         pendingRecordings: allRecordings.filter(r => r.status === 'pending').length,
         failedRecordings: allRecordings.filter(r => r.status === 'failed').length,
         completedRecordings: allRecordings.filter(r => r.status === 'completed').length,
+        pinnedRecordings: allRecordings.filter(r => r.pinned).length,
         totalSize: this.formatBytes(totalSize),
         totalSizeBytes: totalSize,
-        storageType: this.useFallbackStorage ? 'localStorage (fallback)' : 'IndexedDB',
+        freeBytes,
+        lowDisk: freeBytes !== null && freeBytes < LOW_DISK_BYTES,
+        storageType: this.getStorageType(),
         isWindows: this.isWindows
       };
     } catch (error) {
@@ -566,6 +858,233 @@ class OfflineStorageService {
     }
   }
 
+  /**
+   * Stored recordings without their audio - cheap enough for listing, the upload queue, stats and retention
+   * Recordings of another user are flagged ownedByOtherUser, as restoreRecordingFiles does
+   */
+  async getRecordingSummaries() {
+    await this.initialize();
+    await this.ensureEncrypted();
+
+    let recordings;
+    if (this.useFileStorage) {
+      recordings = (await this.callFileStorage('list', null, { includeAudio: false })).recordings;
+    } else if (this.useFallbackStorage) {
+      recordings = JSON.parse(localStorage.getItem(this.fallbackStorageKey) || '[]');
+    } else {
+      recordings = await this.getAllRawFromIndexedDB();
+    }
+
+    const currentUserId = await StorageEncryptionService.getCurrentUserId();
+    const stripFiles = (files) => (files || []).map(({ data, ...file }) => file);
+    return recordings.map(recording => {
+      const ownerId = this.getRecordingOwnerId(recording);
+      return {
+        ...recording,
+        inputFiles: stripFiles(recording.inputFiles),
+        outputFiles: stripFiles(recording.outputFiles),
+        ...(ownerId && ownerId !== currentUserId ? { ownedByOtherUser: true } : {})
+      };
+    });
+  }
+
+  /**
+   * A stored recording without its audio, e.g. to read its status or error
+   */
+  async getRecordingSummary(id) {
+    return (await this.getRecordingSummaries()).find(r => r.id === id);
+  }
+
+  /**
+   * Bytes of audio a recording holds (0 once retention removed it)
+   */
+  getRecordingSize(recording) {
+    if (recording.audioPurgedAt) return 0;
+
+    return [...(recording.inputFiles || []), ...(recording.outputFiles || [])]
+      .reduce((size, file) => size + (file.size || 0), 0);
+  }
+
+  /**
+   * Free space where recordings are stored, or null if it can't be determined
+   */
+  async getFreeDiskSpace() {
+    try {
+      if (this.useFileStorage) {
+        const { stats } = await this.callFileStorage('getStats');
+        return stats.freeBytes ?? null;
+      }
+
+      if (navigator.storage?.estimate) {
+        const { quota, usage } = await navigator.storage.estimate();
+        return quota - usage;
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not determine free disk space:', error);
+    }
+    return null;
+  }
+
+  async getRetentionSettings() {
+    try {
+      const saved = window.electronAPI?.storage
+        ? await window.electronAPI.storage.get(this.retentionSettingsKey)
+        : JSON.parse(localStorage.getItem(this.retentionSettingsKey) || 'null');
+      return { ...DEFAULT_RETENTION_SETTINGS, ...(saved || {}) };
+    } catch (error) {
+      console.warn('⚠️ Failed to load retention settings:', error);
+      return { ...DEFAULT_RETENTION_SETTINGS };
+    }
+  }
+
+  async saveRetentionSettings(settings) {
+    const sanitized = {
+      maxTotalSizeMB: Math.max(0, Number(settings.maxTotalSizeMB) || 0),
+      maxCompletedAgeDays: Math.max(0, Number(settings.maxCompletedAgeDays) || 0),
+      purgeUploadedAudioAfterDays: Math.max(0, Number(settings.purgeUploadedAudioAfterDays) || 0)
+    };
+
+    if (window.electronAPI?.storage) {
+      await window.electronAPI.storage.set(this.retentionSettingsKey, sanitized);
+    } else {
+      localStorage.setItem(this.retentionSettingsKey, JSON.stringify(sanitized));
+    }
+    return sanitized;
+  }
+
+  /**
+   * Work out what the retention rules would remove right now
+   * Only uploaded (completed) recordings that aren't pinned are ever removed - pending and
+   * failed recordings are the only copy of their audio
+   * @returns {Object} - { evictions: [{ recording, action: 'delete' | 'purge-audio', reason, bytes }],
+   *   totalBytes, freeBytes, lowDisk, overLimit, bytesToFree, bytesFreed, settings }
+   */
+  async getRetentionPlan() {
+    const settings = await this.getRetentionSettings();
+    const recordings = await this.getRecordingSummaries();
+    const freeBytes = await this.getFreeDiskSpace();
+    const now = Date.now();
+
+    const evictions = [];
+    const evicted = new Set();
+    const evict = (recording, action, reason) => {
+      evictions.push({ recording, action, reason, bytes: this.getRecordingSize(recording) });
+      evicted.add(recording.id);
+    };
+
+    const candidates = recordings
+      .filter(recording => recording.status === 'completed' && !recording.pinned)
+      .map(recording => ({ recording, completedAt: new Date(recording.uploadedAt || recording.timestamp).getTime() }))
+      .sort((a, b) => a.completedAt - b.completedAt); // oldest first
+
+    // Age rules
+    for (const { recording, completedAt } of candidates) {
+      const ageDays = (now - completedAt) / DAY;
+
+      if (settings.maxCompletedAgeDays > 0 && ageDays > settings.maxCompletedAgeDays) {
+        evict(recording, 'delete', `Uploaded more than ${settings.maxCompletedAgeDays} days ago`);
+      } else if (settings.purgeUploadedAudioAfterDays > 0 && ageDays > settings.purgeUploadedAudioAfterDays
+        && this.getRecordingSize(recording) > 0) {
+        evict(recording, 'purge-audio', `Audio uploaded more than ${settings.purgeUploadedAudioAfterDays} days ago`);
+      }
+    }
+
+    // Size limit and low disk space - free the oldest uploaded audio until both are satisfied
+    const totalBytes = recordings.reduce((size, recording) => size + this.getRecordingSize(recording), 0);
+    const maxTotalBytes = settings.maxTotalSizeMB * 1024 * 1024;
+    const overLimit = settings.maxTotalSizeMB > 0 && totalBytes > maxTotalBytes;
+    const lowDisk = freeBytes !== null && freeBytes < LOW_DISK_BYTES;
+
+    const bytesToFree = Math.max(
+      overLimit ? totalBytes - maxTotalBytes : 0,
+      lowDisk ? LOW_DISK_BYTES - freeBytes : 0
+    );
+    let bytesFreed = evictions.reduce((size, eviction) => size + eviction.bytes, 0);
+
+    for (const { recording } of candidates) {
+      if (bytesFreed >= bytesToFree) break;
+
+      const bytes = this.getRecordingSize(recording);
+      if (evicted.has(recording.id) || bytes === 0) continue;
+
+      evict(recording, 'purge-audio', lowDisk ? 'Low disk space' : `Over the ${settings.maxTotalSizeMB} MB storage limit`);
+      bytesFreed += bytes;
+    }
+
+    return { evictions, totalBytes, freeBytes, lowDisk, overLimit, bytesToFree, bytesFreed, settings };
+  }
+
+  /**
+   * Apply the retention rules - runs after recordings are stored or uploaded
+   * @returns {Object|null} - the plan that was applied, null if it couldn't be worked out
+   */
+  async applyRetentionPolicy() {
+    if (!this.retentionRun) {
+      this.retentionRun = (async () => {
+        try {
+          const plan = await this.getRetentionPlan();
+
+          for (const { recording, action } of plan.evictions) {
+            if (action === 'delete') {
+              await this.deleteRecording(recording.id);
+            } else {
+              await this.purgeRecordingAudio(recording.id);
+            }
+          }
+
+          if (plan.evictions.length > 0) {
+            console.log(`🧹 Retention freed ${this.formatBytes(plan.bytesFreed)} from ${plan.evictions.length} uploaded recording(s)`);
+          }
+          return plan;
+        } catch (error) {
+          // Retention never gets in the way of storing or uploading
+          console.error('❌ Failed to apply retention policy:', error);
+          return null;
+        } finally {
+          this.retentionRun = null;
+        }
+      })();
+    }
+
+    return this.retentionRun;
+  }
+
+  /**
+   * Remove a recording's audio but keep its record
+   */
+  async purgeRecordingAudio(id) {
+    await this.initialize();
+
+    if (this.useFileStorage) {
+      await this.callFileStorage('purgeAudio', id);
+      return;
+    }
+
+    const recording = (await this.getRecordingSummaries()).find(r => r.id === id);
+    if (!recording) {
+      throw new Error(`Recording with ID ${id} not found`);
+    }
+
+    const stripFiles = (files) => (files || []).map(file => ({ ...file, data: null }));
+    await this.updateRecording(id, {
+      inputFiles: stripFiles(recording.inputFiles),
+      outputFiles: stripFiles(recording.outputFiles),
+      audioPurgedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Pinned recordings are never removed by retention
+   */
+  async setPinned(id, pinned) {
+    await this.updateRecording(id, { pinned: !!pinned });
+  }
+
+  getStorageType() {
+    if (this.useFileStorage) return 'Filesystem';
+    return this.useFallbackStorage ? 'localStorage (fallback)' : 'IndexedDB';
+  }
+
   /**
    * Format bytes to human readable format
    */
@@ -584,7 +1103,9 @@ class OfflineStorageService {
     await this.initialize();
 
     try {
-      if (this.useFallbackStorage) {
+      if (this.useFileStorage) {
+        await this.callFileStorage('clear');
+      } else if (this.useFallbackStorage) {
         localStorage.removeItem(this.fallbackStorageKey);
       } else {
         await this.clearAllFromIndexedDB();
@@ -623,7 +1144,17 @@ class OfflineStorageService {
         data: new ArrayBuffer(1024) // 1KB test data
       };
 
-      if (this.useFallbackStorage) {
+      if (this.useFileStorage) {
+        // Test the main-process store
+        const { stats } = await this.callFileStorage('getStats');
+
+        return {
+          compatible: true,
+          storageType: 'Filesystem',
+          directory: stats.directory,
+          testData: 'passed'
+        };
+      } else if (this.useFallbackStorage) {
         // Test localStorage
         const testKey = 'leepi_test_storage';
         localStorage.setItem(testKey, JSON.stringify(testData));
@@ -651,7 +1182,7 @@ class OfflineStorageService {
       return {
         compatible: false,
         error: error.message,
-        storageType: this.useFallbackStorage ? 'localStorage' : 'IndexedDB'
+        storageType: this.getStorageType()
       };
     }
   }
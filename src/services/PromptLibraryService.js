@@ -0,0 +1,201 @@
+/**
+ * PromptLibraryService - Saved prompts for the AI chat
+ * Each user's prompts ({ id, label, text }) sync through their profile (promptLibrary),
+ * with a local copy for when the backend is unreachable. Admins manage organisation-wide
+ * templates shown to everyone. Prompts may use {{variables}} filled from the transcript.
+ */
+import apiService from './ApiService';
+
+export const PROMPT_VARIABLES = [
+  { name: 'candidate', description: 'Candidate name', fallback: 'the candidate' },
+  { name: 'role', description: 'Role interviewed for', fallback: 'the role' },
+  { name: 'title', description: 'Transcript title', fallback: 'this interview' },
+  { name: 'date', description: 'Interview date', fallback: 'the interview date' },
+];
+
+// Used until the user saves a library of their own
+export const DEFAULT_PROMPTS = [
+  { id: 'default_themes', label: '', text: 'What are the key themes in this interview?' },
+  { id: 'default_performance', label: '', text: 'How did {{candidate}} perform overall?' },
+  { id: 'default_questions', label: '', text: 'What questions were asked?' },
+  { id: 'default_strengths', label: '', text: 'What are the main strengths shown?' },
+  { id: 'default_improvements', label: '', text: 'What could be improved?' },
+  { id: 'default_technical', label: '', text: 'Summarize the technical discussion' },
+];
+
+// Marks clipboard text as shared prompts
+const SHARE_TYPE = 'leepi-prompts';
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+class PromptLibraryService {
+  constructor() {
+    this.cacheKey = 'leepi_prompt_library';
+  }
+
+  /**
+   * Local copies are kept per user so other accounts on this computer never see them
+   * @returns {string|null} - null while nobody is signed in
+   */
+  getCacheKey() {
+    const user = apiService.getCachedUser();
+    const userId = user && (user.id || user._id);
+    return userId ? `${this.cacheKey}_${userId}` : null;
+  }
+
+  createPrompt(text = '', label = '') {
+    return {
+      id: `prompt_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      label,
+      text
+    };
+  }
+
+  /**
+   * The user's prompts - from the profile, the last synced copy, or the defaults
+   */
+  async getPrompts() {
+    const result = await apiService.getUserProfile();
+    const profile = result.success ? (result.user || result.profile) : null;
+
+    if (Array.isArray(profile?.promptLibrary)) {
+      this.saveLocalCopy(profile.promptLibrary);
+      return profile.promptLibrary;
+    }
+
+    if (!result.success) {
+      console.warn('⚠️ Could not load prompt library, using the copy on this device:', result.error);
+    }
+
+    return this.getLocalCopy() || DEFAULT_PROMPTS;
+  }
+
+  /**
+   * Save the user's prompts to their profile (and this device)
+   * @returns {Object} - { success, error }
+   */
+  async savePrompts(prompts) {
+    const library = prompts
+      .map(({ id, label, text }) => ({ id, label: (label || '').trim(), text: (text || '').trim() }))
+      .filter(prompt => prompt.text);
+
+    this.saveLocalCopy(library);
+
+    const result = await apiService.updateUserProfile({ promptLibrary: library });
+    if (!result.success) {
+      console.error('❌ Failed to sync prompt library:', result.error);
+      return { success: false, error: result.error || 'Failed to sync prompt library' };
+    }
+
+    console.log(`💾 Prompt library saved (${library.length} prompts)`);
+    return { success: true, prompts: library };
+  }
+
+  /**
+   * Organisation-wide templates, empty when there are none or they can't be loaded
+   */
+  async getTemplates() {
+    const result = await apiService.getPromptTemplates();
+    if (!result.success) {
+      console.warn('⚠️ Could not load prompt templates:', result.error);
+      return [];
+    }
+    return result.templates || [];
+  }
+
+  getLocalCopy() {
+    const cacheKey = this.getCacheKey();
+    if (!cacheKey) return null;
+
+    try {
+      const stored = localStorage.getItem(cacheKey);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.warn('⚠️ Failed to read prompt library:', error);
+      return null;
+    }
+  }
+
+  saveLocalCopy(prompts) {
+    const cacheKey = this.getCacheKey();
+    if (!cacheKey) return;
+
+    try {
+      localStorage.setItem(cacheKey, JSON.stringify(prompts));
+    } catch (error) {
+      console.warn('⚠️ Failed to save prompt library:', error);
+    }
+  }
+
+  /**
+   * Forget the signed-in user's local copy (and the shared one older versions kept) - call before logging out
+   */
+  clearLocalCopy() {
+    const cacheKey = this.getCacheKey();
+    if (cacheKey) {
+      localStorage.removeItem(cacheKey);
+    }
+    localStorage.removeItem(this.cacheKey);
+  }
+
+  /**
+   * Values for the prompt variables, from the transcript and its metadata
+   */
+  getVariableValues(transcript) {
+    const metadata = transcript?.metadata || {};
+
+    return {
+      candidate: metadata.candidateName || metadata.candidate || null,
+      role: metadata.role || metadata.position || null,
+      title: transcript?.title || null,
+      date: transcript?.createdAt ? new Date(transcript.createdAt).toLocaleDateString() : null
+    };
+  }
+
+  /**
+   * Replace {{variables}} - missing values read as e.g. "the candidate", unknown names are left as typed
+   */
+  fillVariables(text, transcript) {
+    const values = this.getVariableValues(transcript);
+
+    return text.replace(VARIABLE_PATTERN, (match, name) => {
+      const variable = PROMPT_VARIABLES.find(v => v.name === name.toLowerCase());
+      if (!variable) return match;
+      return values[variable.name] || variable.fallback;
+    });
+  }
+
+  /**
+   * Text to paste to a colleague, read back by parseSharedPrompts()
+   */
+  sharePrompts(prompts) {
+    return JSON.stringify({
+      type: SHARE_TYPE,
+      prompts: prompts.map(({ label, text }) => ({ label, text }))
+    });
+  }
+
+  /**
+   * Prompts from shared text, with new IDs
+   * @throws {Error} when the text isn't shared prompts
+   */
+  parseSharedPrompts(sharedText) {
+    let shared;
+    try {
+      shared = JSON.parse(sharedText);
+    } catch (error) {
+      throw new Error('This is not a shared prompt');
+    }
+
+    if (shared?.type !== SHARE_TYPE || !Array.isArray(shared.prompts)) {
+      throw new Error('This is not a shared prompt');
+    }
+
+    return shared.prompts
+      .filter(prompt => typeof prompt?.text === 'string' && prompt.text.trim())
+      .map(prompt => this.createPrompt(prompt.text.trim(), typeof prompt.label === 'string' ? prompt.label : ''));
+  }
+}
+
+// Export singleton instance
+export default new PromptLibraryService();
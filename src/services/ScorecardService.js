@@ -0,0 +1,163 @@
+/**
+ * ScorecardService - Rubric scorecards
+ * Admins define rubrics ({ id, name, description, competencies: [{ id, name, description, anchors }] })
+ * where anchors describes what a score of 1 to 5 looks like. A transcript's scorecard holds a score per
+ * competency, proposed by the AI with evidence and optionally overridden by the interviewer before submitting.
+ */
+
+export const SCORE_LEVELS = [1, 2, 3, 4, 5];
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => `${rows.map(row => row.map(escapeCsv).join(',')).join('\n')}\n`;
+
+class ScorecardService {
+  createRubric() {
+    return {
+      id: null,
+      name: '',
+      description: '',
+      competencies: [this.createCompetency()]
+    };
+  }
+
+  createCompetency() {
+    return {
+      id: `competency_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      name: '',
+      description: '',
+      anchors: SCORE_LEVELS.map(() => '')
+    };
+  }
+
+  /**
+   * A draft scorecard for the rubric from the AI's proposal
+   * Competencies the AI couldn't score are left unscored for the interviewer
+   */
+  buildScorecard(rubric, proposal, transcriptId) {
+    const proposals = proposal?.competencies || [];
+
+    return {
+      transcriptId,
+      rubricId: rubric.id,
+      rubricName: rubric.name,
+      status: 'draft',
+      notes: '',
+      competencies: rubric.competencies.map(competency => {
+        const proposed = proposals.find(p => p.competencyId === competency.id) || {};
+        const aiScore = SCORE_LEVELS.includes(proposed.score) ? proposed.score : null;
+
+        return {
+          competencyId: competency.id,
+          name: competency.name,
+          aiScore,
+          score: aiScore,
+          rationale: proposed.rationale || '',
+          evidence: (proposed.evidence || []).map(evidence => (typeof evidence === 'string'
+            ? { quote: evidence, speaker: null, startTime: null, segmentIndex: null }
+            : {
+                quote: evidence.quote || evidence.text || '',
+                speaker: evidence.speaker || null,
+                startTime: typeof evidence.startTime === 'number' ? evidence.startTime : null,
+                segmentIndex: Number.isInteger(evidence.segmentIndex) ? evidence.segmentIndex : null
+              }))
+        };
+      })
+    };
+  }
+
+  isOverridden(competency) {
+    return typeof competency.aiScore === 'number' && competency.score !== competency.aiScore;
+  }
+
+  isComplete(scorecard) {
+    return scorecard.competencies.every(competency => SCORE_LEVELS.includes(competency.score));
+  }
+
+  /**
+   * Average score, to one decimal - null while nothing is scored
+   */
+  getOverallScore(scorecard) {
+    const scores = (scorecard?.competencies || [])
+      .map(competency => competency.score)
+      .filter(score => SCORE_LEVELS.includes(score));
+
+    if (scores.length === 0) return null;
+    return Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 10) / 10;
+  }
+
+  /**
+   * Name shown for a scorecard when comparing candidates
+   */
+  getCandidateLabel(scorecard) {
+    return scorecard.candidateName || scorecard.transcriptTitle || 'Interview';
+  }
+
+  toMarkdown(scorecard, transcript) {
+    const overall = this.getOverallScore(scorecard);
+    const sections = scorecard.competencies.map(competency => {
+      const lines = [`## ${competency.name}: ${competency.score ?? '-'} / 5`];
+
+      if (this.isOverridden(competency)) {
+        lines.push(`*AI proposed ${competency.aiScore}, changed by the interviewer*`);
+      }
+      if (competency.rationale) {
+        lines.push('', competency.rationale);
+      }
+      (competency.evidence || []).forEach(evidence => {
+        lines.push('', `> ${evidence.speaker ? `${evidence.speaker}: ` : ''}${evidence.quote}`);
+      });
+
+      return lines.join('\n');
+    });
+
+    return [
+      `# Scorecard: ${transcript?.title || 'Interview'}`,
+      '',
+      `**Rubric:** ${scorecard.rubricName || ''}  `,
+      `**Status:** ${scorecard.status === 'submitted' ? `Submitted ${scorecard.submittedAt ? new Date(scorecard.submittedAt).toLocaleString() : ''}` : 'Draft'}  `,
+      `**Overall:** ${overall ?? '-'} / 5`,
+      '',
+      ...sections.flatMap(section => [section, '']),
+      ...(scorecard.notes ? ['## Notes', '', scorecard.notes, ''] : [])
+    ].join('\n');
+  }
+
+  toCsv(scorecard) {
+    return toCsv([
+      ['Competency', 'Score', 'AI score', 'Overridden', 'Rationale', 'Evidence'],
+      ...scorecard.competencies.map(competency => [
+        competency.name,
+        competency.score,
+        competency.aiScore,
+        this.isOverridden(competency) ? 'yes' : 'no',
+        competency.rationale,
+        (competency.evidence || []).map(evidence => evidence.quote).join(' | ')
+      ]),
+      ['Overall', this.getOverallScore(scorecard), '', '', '', '']
+    ]);
+  }
+
+  /**
+   * One row per competency, one column per candidate
+   */
+  comparisonToCsv(rubric, scorecards) {
+    const scoreFor = (scorecard, competencyId) =>
+      scorecard.competencies.find(competency => competency.competencyId === competencyId)?.score ?? '';
+
+    return toCsv([
+      ['Competency', ...scorecards.map(scorecard => this.getCandidateLabel(scorecard))],
+      ...rubric.competencies.map(competency => [
+        competency.name,
+        ...scorecards.map(scorecard => scoreFor(scorecard, competency.id))
+      ]),
+      ['Overall', ...scorecards.map(scorecard => this.getOverallScore(scorecard) ?? '')]
+    ]);
+  }
+}
+
+// Export singleton instance
+export default new ScorecardService();
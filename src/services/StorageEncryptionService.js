@@ -0,0 +1,147 @@
+/**
+ * StorageEncryptionService - AES-GCM encryption of offline recording audio at rest
+ * Each user has their own key, derived and kept by the main process (OfflineKeyStore).
+ * Main only hands out the key of the user it confirmed with the backend, so recordings
+ * of other users on this computer can't be decrypted. Keys are imported as non-extractable CryptoKeys.
+ */
+import ApiService from './ApiService';
+
+const ALGORITHM = 'AES-GCM';
+const IV_LENGTH = 12; // bytes, recommended for AES-GCM
+
+class StorageEncryptionService {
+  constructor() {
+    this.session = null; // Promise<{ userId, key }> for the signed-in user
+  }
+
+  /**
+   * Encryption needs the Electron key store and WebCrypto
+   */
+  isAvailable() {
+    return !!(window.electronAPI?.storage?.getEncryptionKey && window.crypto?.subtle);
+  }
+
+  /**
+   * Have main confirm the signed-in user with the backend - call after signing in
+   */
+  startSession() {
+    if (!this.isAvailable()) return Promise.resolve(null);
+
+    this.session = (async () => {
+      const result = await window.electronAPI.storage.startEncryptionSession({
+        backendURL: ApiService.getBackendURL(),
+        token: ApiService.token
+      });
+      if (!result.success) {
+        throw new Error(result.error || 'Could not confirm the signed-in user');
+      }
+      return this.loadKey();
+    })();
+
+    // Don't cache failures, the next call tries again
+    this.session.catch(() => {
+      this.session = null;
+    });
+    return this.session;
+  }
+
+  /**
+   * Forget the key in main and here (e.g. on logout)
+   */
+  async endSession() {
+    this.session = null;
+    if (this.isAvailable()) {
+      await window.electronAPI.storage.endEncryptionSession();
+    }
+  }
+
+  async loadKey() {
+    const result = await window.electronAPI.storage.getEncryptionKey();
+    if (!result.success) {
+      throw new Error(result.error || 'Encryption key not available');
+    }
+
+    const key = await window.crypto.subtle.importKey('raw', this.base64ToBuffer(result.key), ALGORITHM, false, ['encrypt', 'decrypt']);
+    return { userId: result.userId, key };
+  }
+
+  async getSession() {
+    if (!this.session) {
+      // Main may already have a confirmed user, e.g. after the window was reloaded
+      this.session = this.loadKey();
+      this.session.catch(() => {
+        this.session = null;
+      });
+    }
+
+    return this.session;
+  }
+
+  /**
+   * The user main confirmed, or null when nobody is signed in
+   */
+  async getCurrentUserId() {
+    try {
+      return (await this.getSession()).userId;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Encrypt data with the signed-in user's key
+   * @returns {Object} - { data: ArrayBuffer, encryption: { algorithm, iv, ownerId } } to store with the file
+   */
+  async encrypt(data) {
+    const { userId, key } = await this.getSession();
+    const iv = window.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const encrypted = await window.crypto.subtle.encrypt({ name: ALGORITHM, iv }, key, data);
+
+    return {
+      data: encrypted,
+      encryption: {
+        algorithm: ALGORITHM,
+        iv: this.bufferToBase64(iv),
+        ownerId: userId
+      }
+    };
+  }
+
+  /**
+   * Decrypt data stored by encrypt() - refuses data of other users and fails if it was tampered with
+   */
+  async decrypt(data, encryption) {
+    const { userId, key } = await this.getSession();
+    if (encryption.ownerId !== userId) {
+      throw new Error('This recording belongs to another user');
+    }
+
+    return window.crypto.subtle.decrypt(
+      { name: ALGORITHM, iv: new Uint8Array(this.base64ToBuffer(encryption.iv)) },
+      key,
+      data
+    );
+  }
+
+  bufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // Chunked so large recordings don't exceed the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  base64ToBuffer(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+  }
+}
+
+// Export singleton instance
+export default new StorageEncryptionService();
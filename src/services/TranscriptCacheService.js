@@ -0,0 +1,234 @@
+/**
+ * TranscriptCacheService - Keeps a local copy of fetched transcripts for offline use
+ * Transcripts and an inverted index (term -> transcript IDs) live in the IndexedDB
+ * database opened by OfflineStorageService, so past interviews can still be listed
+ * and searched while the backend is unreachable
+ */
+import OfflineStorageService from './OfflineStorageService';
+
+const MIN_TERM_LENGTH = 2;
+
+class TranscriptCacheService {
+  /**
+   * The shared database, or null when IndexedDB isn't available (localStorage fallback)
+   */
+  async getDatabase() {
+    await OfflineStorageService.initialize();
+    return OfflineStorageService.useFallbackStorage ? null : OfflineStorageService.db;
+  }
+
+  /**
+   * Split text into lowercase, de-duplicated search terms
+   */
+  tokenize(text) {
+    const terms = String(text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(term => term.length >= MIN_TERM_LENGTH);
+    return [...new Set(terms)];
+  }
+
+  /**
+   * Terms a transcript can be found by: title, speakers and the transcript text
+   */
+  getTranscriptTerms(transcript) {
+    const speakers = (transcript.speakers || []).map(speaker =>
+      typeof speaker === 'string' ? speaker : (speaker.name || speaker.label || '')
+    );
+    const text = transcript.content ||
+      (transcript.segments || []).map(segment => (typeof segment === 'string' ? segment : segment.text)).join(' ');
+
+    return this.tokenize([transcript.title, ...speakers, text].join(' '));
+  }
+
+  /**
+   * Cache transcripts and update the index
+   * @param {Array} transcripts
+   * @param {Object} options - { prune: remove cached transcripts missing from this (complete) list }
+   */
+  async cacheTranscripts(transcripts, options = {}) {
+    const db = await this.getDatabase();
+    if (!db || !Array.isArray(transcripts)) return;
+
+    const { transcriptStoreName, transcriptIndexStoreName } = OfflineStorageService;
+    const transaction = db.transaction([transcriptStoreName, transcriptIndexStoreName], 'readwrite');
+    const transcriptStore = transaction.objectStore(transcriptStoreName);
+    const indexStore = transaction.objectStore(transcriptIndexStoreName);
+    const done = this._transactionDone(transaction);
+
+    for (const transcript of transcripts) {
+      if (!transcript?.id) continue;
+
+      const existing = await this._request(transcriptStore.get(transcript.id));
+      // List responses may leave out segments, so keep what a full fetch cached before
+      const merged = existing ? { ...existing.transcript, ...transcript } : transcript;
+      const terms = this.getTranscriptTerms(merged);
+
+      await this._updateIndex(indexStore, transcript.id, existing?.terms || [], terms);
+      await this._request(transcriptStore.put({
+        id: transcript.id,
+        createdAt: merged.createdAt || null,
+        cachedAt: new Date().toISOString(),
+        terms,
+        transcript: merged
+      }));
+    }
+
+    if (options.prune) {
+      const keep = new Set(transcripts.map(transcript => transcript?.id));
+      const cached = await this._request(transcriptStore.getAll());
+
+      for (const record of cached) {
+        if (keep.has(record.id)) continue;
+        await this._updateIndex(indexStore, record.id, record.terms || [], []);
+        await this._request(transcriptStore.delete(record.id));
+      }
+    }
+
+    await done;
+  }
+
+  async cacheTranscript(transcript) {
+    return this.cacheTranscripts([transcript]);
+  }
+
+  async removeTranscript(transcriptId) {
+    const db = await this.getDatabase();
+    if (!db) return;
+
+    const { transcriptStoreName, transcriptIndexStoreName } = OfflineStorageService;
+    const transaction = db.transaction([transcriptStoreName, transcriptIndexStoreName], 'readwrite');
+    const transcriptStore = transaction.objectStore(transcriptStoreName);
+    const done = this._transactionDone(transaction);
+
+    const existing = await this._request(transcriptStore.get(transcriptId));
+    if (existing) {
+      await this._updateIndex(transaction.objectStore(transcriptIndexStoreName), transcriptId, existing.terms || [], []);
+      await this._request(transcriptStore.delete(transcriptId));
+    }
+
+    await done;
+  }
+
+  /**
+   * All cached transcripts, newest first
+   */
+  async getTranscripts() {
+    const db = await this.getDatabase();
+    if (!db) return [];
+
+    const transaction = db.transaction([OfflineStorageService.transcriptStoreName], 'readonly');
+    const records = await this._request(transaction.objectStore(OfflineStorageService.transcriptStoreName).getAll());
+
+    return this._sortNewestFirst(records.map(record => record.transcript));
+  }
+
+  async getTranscript(transcriptId) {
+    const db = await this.getDatabase();
+    if (!db) return null;
+
+    const transaction = db.transaction([OfflineStorageService.transcriptStoreName], 'readonly');
+    const record = await this._request(transaction.objectStore(OfflineStorageService.transcriptStoreName).get(transcriptId));
+    return record ? record.transcript : null;
+  }
+
+  /**
+   * Find cached transcripts containing every term of the query
+   * The last term also matches as a prefix, so partially typed words still find results
+   */
+  async search(query, options = {}) {
+    const db = await this.getDatabase();
+    const terms = this.tokenize(query);
+    if (!db || terms.length === 0) return [];
+
+    const { transcriptStoreName, transcriptIndexStoreName } = OfflineStorageService;
+    const transaction = db.transaction([transcriptStoreName, transcriptIndexStoreName], 'readonly');
+    const indexStore = transaction.objectStore(transcriptIndexStoreName);
+    const transcriptStore = transaction.objectStore(transcriptStoreName);
+
+    let matchingIds = null;
+
+    for (let i = 0; i < terms.length; i++) {
+      const isLastTerm = i === terms.length - 1;
+      const entries = isLastTerm
+        ? await this._request(indexStore.getAll(IDBKeyRange.bound(terms[i], `${terms[i]}\uffff`)))
+        : [await this._request(indexStore.get(terms[i]))].filter(Boolean);
+
+      const termIds = new Set(entries.flatMap(entry => entry.ids));
+      matchingIds = matchingIds
+        ? new Set([...matchingIds].filter(id => termIds.has(id)))
+        : termIds;
+
+      if (matchingIds.size === 0) return [];
+    }
+
+    const records = await Promise.all([...matchingIds].map(id => this._request(transcriptStore.get(id))));
+    const transcripts = this._sortNewestFirst(records.filter(Boolean).map(record => record.transcript));
+
+    return options.limit ? transcripts.slice(0, options.limit) : transcripts;
+  }
+
+  /**
+   * Drop the whole cache (e.g. on logout)
+   */
+  async clear() {
+    const db = await this.getDatabase();
+    if (!db) return;
+
+    const { transcriptStoreName, transcriptIndexStoreName } = OfflineStorageService;
+    const transaction = db.transaction([transcriptStoreName, transcriptIndexStoreName], 'readwrite');
+    const done = this._transactionDone(transaction);
+    transaction.objectStore(transcriptStoreName).clear();
+    transaction.objectStore(transcriptIndexStoreName).clear();
+    await done;
+  }
+
+  /**
+   * Move a transcript from its old index terms to its new ones
+   */
+  async _updateIndex(indexStore, transcriptId, oldTerms, newTerms) {
+    const newSet = new Set(newTerms);
+    const oldSet = new Set(oldTerms);
+
+    for (const term of oldTerms) {
+      if (newSet.has(term)) continue;
+      const entry = await this._request(indexStore.get(term));
+      if (!entry) continue;
+
+      const ids = entry.ids.filter(id => id !== transcriptId);
+      await this._request(ids.length > 0 ? indexStore.put({ term, ids }) : indexStore.delete(term));
+    }
+
+    for (const term of newTerms) {
+      if (oldSet.has(term)) continue;
+      const entry = await this._request(indexStore.get(term));
+      const ids = entry ? entry.ids : [];
+
+      if (!ids.includes(transcriptId)) {
+        await this._request(indexStore.put({ term, ids: [...ids, transcriptId] }));
+      }
+    }
+  }
+
+  _sortNewestFirst(transcripts) {
+    return transcripts.sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+  }
+
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  _transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+// Export singleton instance
+export default new TranscriptCacheService();
@@ -0,0 +1,82 @@
+/**
+ * TranscriptLineService - The lines a transcript is shown as
+ * The viewer, search hits and citations all index into these lines, so they must agree on them
+ */
+
+class TranscriptLineService {
+  /**
+   * Lines of a transcript - timed segments when available, otherwise the content's non-blank lines
+   */
+  getLines(transcript) {
+    if (!transcript) return [];
+
+    // Timed segments are needed for click-to-seek, so use them when the backend provides them
+    const hasTimedSegments = Array.isArray(transcript.segments) &&
+      transcript.segments.some(segment => segment && typeof segment === 'object' && segment.start !== undefined);
+    if (hasTimedSegments) {
+      return transcript.segments;
+    }
+
+    // Otherwise use formatted content first, then fall back to segments
+    if (transcript.content && typeof transcript.content === 'string') {
+      return transcript.content.split('\n').filter(line => line.trim());
+    }
+    if (transcript.segments && Array.isArray(transcript.segments)) {
+      return transcript.segments;
+    }
+    return [];
+  }
+
+  /**
+   * Split a "Speaker: text" content line
+   */
+  parseSpeakerLine(line) {
+    // Handle non-string inputs safely
+    if (typeof line !== 'string') {
+      return { speaker: '', text: line?.text || '', source: null };
+    }
+
+    const parts = line.split(': ');
+    if (parts.length < 2) return { speaker: '', text: line, source: null };
+
+    const speaker = parts[0];
+    const text = parts.slice(1).join(': ');
+
+    return { speaker, text, source: null };
+  }
+
+  /**
+   * A line (segment object or content string) as { speaker, text, source, start, end }
+   */
+  parseLine(segment) {
+    // Handle new segment format with source information
+    if (segment && typeof segment === 'object' && segment.text !== undefined) {
+      return {
+        speaker: segment.speaker || '',
+        text: segment.text || '',
+        source: segment.source || null,
+        start: segment.start,
+        end: segment.end
+      };
+    }
+
+    // Handle string format (fallback to old format)
+    if (typeof segment === 'string') {
+      return this.parseSpeakerLine(segment);
+    }
+
+    // Safety fallback for any other type
+    return { speaker: '', text: String(segment || ''), source: null };
+  }
+
+  /**
+   * The text a line is searched by
+   */
+  getSearchText(segment) {
+    const { speaker, text } = this.parseLine(segment);
+    return speaker ? `${speaker}: ${text}` : text;
+  }
+}
+
+// Export singleton instance
+export default new TranscriptLineService();
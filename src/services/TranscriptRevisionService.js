@@ -0,0 +1,103 @@
+/**
+ * TranscriptRevisionService - Keeps a local history of transcript edits
+ * Each revision is a snapshot of the transcript lines ({ speaker, text, start, end, source, raw })
+ * where raw is the line as it appeared in the transcript content, when known
+ * stored in localStorage per transcript, newest first. The history is cleared on logout.
+ */
+
+const MAX_REVISIONS = 50;
+
+class TranscriptRevisionService {
+  constructor() {
+    this.storageKeyPrefix = 'leepi_transcript_revisions_';
+  }
+
+  /**
+   * Get all revisions of a transcript, newest first
+   */
+  getRevisions(transcriptId) {
+    try {
+      const stored = localStorage.getItem(this.storageKeyPrefix + transcriptId);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.warn('⚠️ Failed to read transcript revisions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Record a new revision
+   * @param {string} transcriptId
+   * @param {Array} lines - Transcript lines at this revision
+   * @param {string} label - Short description, e.g. 'Original' or 'Edited'
+   * @returns {Object|null} - The revision, or null if there was no room to store it
+   */
+  addRevision(transcriptId, lines, label) {
+    const revision = {
+      id: `rev_${Date.now()}`,
+      timestamp: new Date().toISOString(),
+      label,
+      lines: lines.map(({ speaker, text, start, end, source, raw }) => ({ speaker, text, start, end, source, raw }))
+    };
+
+    const revisions = [revision, ...this.getRevisions(transcriptId)].slice(0, MAX_REVISIONS);
+
+    // When storage is full, drop the oldest edits - but keep the original so it can still be restored
+    while (true) {
+      try {
+        localStorage.setItem(this.storageKeyPrefix + transcriptId, JSON.stringify(revisions));
+        return revision;
+      } catch (error) {
+        if (revisions.length <= 2) {
+          console.warn('⚠️ Failed to save transcript revision:', error);
+          return null;
+        }
+        revisions.splice(revisions.length - 2, 1);
+      }
+    }
+  }
+
+  /**
+   * Line-by-line differences between two revisions
+   * Edits never add or remove lines, so lines are compared by position
+   * @returns {Array} - [{ index, type: 'changed' | 'added' | 'removed', before, after }]
+   */
+  diffLines(beforeLines, afterLines) {
+    const changes = [];
+    const length = Math.max(beforeLines.length, afterLines.length);
+
+    for (let index = 0; index < length; index++) {
+      const before = beforeLines[index];
+      const after = afterLines[index];
+
+      if (!before) {
+        changes.push({ index, type: 'added', before: null, after });
+      } else if (!after) {
+        changes.push({ index, type: 'removed', before, after: null });
+      } else if (before.speaker !== after.speaker || before.text !== after.text) {
+        changes.push({ index, type: 'changed', before, after });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Delete the history of a transcript
+   */
+  clearRevisions(transcriptId) {
+    localStorage.removeItem(this.storageKeyPrefix + transcriptId);
+  }
+
+  /**
+   * Delete the history of every transcript, e.g. on logout
+   */
+  clearAll() {
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(this.storageKeyPrefix))
+      .forEach(key => localStorage.removeItem(key));
+  }
+}
+
+// Export singleton instance
+export default new TranscriptRevisionService();
@@ -0,0 +1,312 @@
+/**
+ * UploadQueueService - Uploads recordings saved by OfflineStorageService in the background
+ * Pending and failed recordings are retried with exponential backoff and jitter
+ * while the backend is reachable; the queue waits (without using up attempts) while it isn't
+ */
+import OfflineStorageService from './OfflineStorageService';
+import ApiService from './ApiService';
+
+const BASE_RETRY_DELAY = 5000; // 5 seconds
+const MAX_RETRY_DELAY = 10 * 60 * 1000; // 10 minutes
+const CONNECTIVITY_CHECK_INTERVAL = 30000; // 30 seconds
+export const MAX_QUEUE_ATTEMPTS = 10;
+
+class UploadQueueService {
+  constructor() {
+    this.listeners = new Set();
+    this.timer = null;
+    this.processing = false;
+    this.activeUploads = new Set(); // recording IDs currently being uploaded
+    this.started = false;
+    this.isOnline = true;
+
+    this.handleOnline = this.handleOnline.bind(this);
+    this.handleOffline = this.handleOffline.bind(this);
+  }
+
+  /**
+   * Start watching connectivity and processing the queue
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    window.addEventListener('online', this.handleOnline);
+    window.addEventListener('offline', this.handleOffline);
+
+    // Nothing can be uploading yet, so these were interrupted by a restart
+    try {
+      const recordings = await OfflineStorageService.getRecordingSummaries();
+      for (const recording of recordings.filter(r => r.status === 'uploading')) {
+        await OfflineStorageService.updateRecordingStatus(recording.id, 'pending');
+      }
+    } catch (error) {
+      console.error('❌ Failed to reset interrupted uploads:', error);
+    }
+
+    // Age-based retention rules are otherwise only checked when recordings are stored or uploaded
+    await OfflineStorageService.applyRetentionPolicy();
+
+    console.log('📤 Upload queue started');
+    this.schedule(0);
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    window.removeEventListener('online', this.handleOnline);
+    window.removeEventListener('offline', this.handleOffline);
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    console.log('📤 Upload queue stopped');
+  }
+
+  /**
+   * Listen for queue updates
+   * @param {Function} callback - ({ type, recording, progress, segments, error, nextAttempt }) where type is
+   *   'uploading' | 'progress' | 'uploaded' | 'failed' | 'gave-up' | 'offline' | 'online'
+   * @returns {Function} - unsubscribe
+   */
+  onUpdate(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Queue a recording that was just stored offline
+   * @param {string} recordingId - ID returned by OfflineStorageService.storeRecording
+   * @param {string} error - Why the inline upload failed; counts as the first attempt
+   */
+  async enqueue(recordingId, error = null) {
+    if (error) {
+      const nextAttempt = new Date(Date.now() + this.getRetryDelay(1)).toISOString();
+      await OfflineStorageService.markAsFailed(recordingId, error, { nextAttempt });
+    }
+
+    this.schedule(0);
+  }
+
+  /**
+   * Process the queue again soon, e.g. after a recording was stored offline
+   */
+  schedule(delay = 0) {
+    if (!this.started) return;
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.processQueue(), delay);
+  }
+
+  /**
+   * Exponential backoff with jitter, so many clients coming back online don't retry in lockstep
+   */
+  getRetryDelay(attempts) {
+    const delay = Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * Math.pow(2, Math.max(0, attempts - 1)));
+    return Math.round(delay * (0.5 + Math.random() * 0.5));
+  }
+
+  /**
+   * When a stored recording is due for its next attempt
+   */
+  getNextAttemptTime(recording) {
+    if (recording.status === 'pending' || !recording.lastAttempt) return 0;
+    if (recording.nextAttempt) return new Date(recording.nextAttempt).getTime();
+
+    // Recordings that failed before the queue existed - backoff without jitter
+    const delay = Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * Math.pow(2, Math.max(0, (recording.attempts || 1) - 1)));
+    return new Date(recording.lastAttempt).getTime() + delay;
+  }
+
+  isQueued(recording) {
+    // Other users' recordings wait for them to sign in
+    if (recording.ownedByOtherUser) return false;
+
+    return recording.status === 'pending' ||
+      (recording.status === 'failed' && (recording.attempts || 0) < MAX_QUEUE_ATTEMPTS);
+  }
+
+  async checkConnectivity() {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return false;
+
+    const status = await ApiService.checkBackendStatus();
+    return status.available;
+  }
+
+  async processQueue() {
+    if (!this.started || this.processing) return;
+    this.processing = true;
+
+    let nextRun = null;
+
+    try {
+      const recordings = (await OfflineStorageService.getRecordingSummaries()).filter(r => this.isQueued(r));
+      if (recordings.length === 0) return;
+
+      const online = await this.checkConnectivity();
+      this.setOnline(online);
+
+      if (!online) {
+        nextRun = CONNECTIVITY_CHECK_INTERVAL;
+        return;
+      }
+
+      const now = Date.now();
+      const due = recordings
+        .filter(recording => this.getNextAttemptTime(recording) <= now)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+      for (const recording of due) {
+        if (!this.started) return;
+
+        const uploaded = await this.uploadRecording(recording);
+
+        // Stop early if the connection dropped - the rest would fail the same way
+        if (!uploaded && !(await this.checkConnectivity())) {
+          this.setOnline(false);
+          nextRun = CONNECTIVITY_CHECK_INTERVAL;
+          return;
+        }
+      }
+
+      // Wake up for the earliest recording still waiting on its backoff
+      const remaining = (await OfflineStorageService.getRecordingSummaries()).filter(r => this.isQueued(r));
+      if (remaining.length > 0) {
+        const earliest = Math.min(...remaining.map(recording => this.getNextAttemptTime(recording)));
+        nextRun = Math.max(0, earliest - Date.now());
+      }
+    } catch (error) {
+      console.error('❌ Upload queue processing failed:', error);
+      nextRun = CONNECTIVITY_CHECK_INTERVAL;
+    } finally {
+      this.processing = false;
+      if (nextRun !== null) this.schedule(nextRun);
+    }
+  }
+
+  /**
+   * Upload one stored recording and record the outcome
+   * Also used by OfflineRecordingsManager for manual retries
+   * @param {Object} summary - Stored recording, e.g. from getRecordingSummaries - its audio is loaded here
+   * @returns {boolean} - whether the upload succeeded
+   */
+  async uploadRecording(summary) {
+    if (this.activeUploads.has(summary.id)) return false;
+    this.activeUploads.add(summary.id);
+
+    try {
+      // Only the recording being uploaded has its audio read (and decrypted)
+      const recording = await OfflineStorageService.getRecordingById(summary.id);
+      if (!recording) return false;
+
+      return await this._uploadRecording(recording);
+    } finally {
+      this.activeUploads.delete(summary.id);
+    }
+  }
+
+  async _uploadRecording(recording) {
+    if (recording.ownedByOtherUser) return false;
+
+    // Retrying can't help audio that doesn't decrypt - it's failed for good instead of uploaded empty
+    if (recording.undecryptable) {
+      const error = `Audio could not be decrypted: ${recording.decryptError}`;
+      await OfflineStorageService.updateRecordingStatus(recording.id, 'failed', {
+        error,
+        attempts: MAX_QUEUE_ATTEMPTS,
+        lastAttempt: new Date().toISOString()
+      });
+      this.notify({ type: 'gave-up', recording, error });
+      return false;
+    }
+
+    console.log(`📤 Uploading queued recording ${recording.id} (attempt ${(recording.attempts || 0) + 1})`);
+
+    await OfflineStorageService.updateRecordingStatus(recording.id, 'uploading', {
+      lastAttempt: new Date().toISOString()
+    });
+    this.notify({ type: 'uploading', recording });
+
+    let result;
+    try {
+      if (!recording.inputFiles || recording.inputFiles.length === 0) {
+        throw new Error('No valid audio files found');
+      }
+
+      let segmentProgress = [];
+      result = await ApiService.uploadRawAudioArrays(
+        recording.inputFiles,
+        recording.outputFiles || [],
+        (progress) => this.notify({ type: 'progress', recording, progress, segments: segmentProgress }),
+        {
+          segments: recording.segments || [],
+          totalDuration: recording.totalDuration || 0,
+          totalSegments: recording.totalSegments || 0,
+          // Resume the chunks a previous attempt already sent
+          uploadSessionId: recording.uploadSessionId,
+          onUploadSession: (uploadSessionId) => {
+            OfflineStorageService.updateRecordingStatus(recording.id, 'uploading', { uploadSessionId })
+              .catch(error => console.error('❌ Failed to save upload session:', error));
+          },
+          onSegmentProgress: (segments) => {
+            segmentProgress = segments;
+          }
+        }
+      );
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      await OfflineStorageService.markAsUploaded(recording.id, result);
+      console.log(`✅ Queued recording ${recording.id} uploaded`);
+      this.notify({ type: 'uploaded', recording, result });
+      return true;
+    }
+
+    const attempts = (recording.attempts || 0) + 1;
+    const nextAttempt = new Date(Date.now() + this.getRetryDelay(attempts)).toISOString();
+    await OfflineStorageService.markAsFailed(recording.id, result.error, {
+      nextAttempt,
+      uploadSessionId: result.uploadSessionId || recording.uploadSessionId || null
+    });
+
+    if (attempts >= MAX_QUEUE_ATTEMPTS) {
+      console.warn(`⚠️ Giving up on recording ${recording.id} after ${attempts} attempts`);
+      this.notify({ type: 'gave-up', recording, error: result.error });
+    } else {
+      console.warn(`⚠️ Upload of ${recording.id} failed, retrying at ${nextAttempt}:`, result.error);
+      this.notify({ type: 'failed', recording, error: result.error, nextAttempt });
+    }
+
+    return false;
+  }
+
+  handleOnline() {
+    console.log('🌐 Connection restored, resuming upload queue');
+    this.schedule(0);
+  }
+
+  handleOffline() {
+    this.setOnline(false);
+  }
+
+  setOnline(online) {
+    if (this.isOnline === online) return;
+    this.isOnline = online;
+    this.notify({ type: online ? 'online' : 'offline' });
+  }
+
+  notify(update) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(update);
+      } catch (error) {
+        console.error('❌ Upload queue listener failed:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export default new UploadQueueService();